@@ -0,0 +1,68 @@
+import express from 'express';
+import cors from 'cors';
+import cookieParser from 'cookie-parser';
+import morgan from 'morgan';
+import helmet from 'helmet';
+import userRouter from './routes/user.route.js';
+import categoryRouter from './routes/category.route.js';
+import productRouter from './routes/product.route.js';
+import cartRouter from './routes/cart.route.js';
+import myListRouter from './routes/mylist.route.js';
+import orderRouter from './routes/order.route.js';
+import addressRouter from './routes/address.route.js';
+import paymentRouter from './routes/payment.route.js';
+import adminRouter from './routes/admin.route.js';
+import oauthRouter from './routes/oauth.route.js';
+import rateLimit from './middlewares/rateLimit.js';
+
+const app = express();
+
+// Behind a reverse proxy, req.ip must come from X-Forwarded-For for rate limiting
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
+// Cấu hình CORS
+app.use(cors({
+    credentials: true
+}));
+
+// Keep the raw body so payment webhooks can verify their signature
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
+app.use(cookieParser());
+// Request logs would drown the test runner output
+if (process.env.NODE_ENV !== 'test') {
+    app.use(morgan('dev'));
+}
+app.use(helmet({
+    crossOriginResourcePolicy: false
+}));
+
+app.get('/', (req, res) => {
+    res.json({ 
+        message: 'Server is running on port ' + process.env.PORT 
+    });
+});
+
+// Baseline limit for every API call; routers add stricter policies on top.
+// Provider webhooks are exempt: they retry in bursts from a few IPs.
+app.use('/api', rateLimit('standard', {
+    skip: (req) => req.path === '/payments/webhook'
+}));
+
+app.use('/api/users', userRouter);
+app.use('/api/auth/oauth', oauthRouter);
+app.use('/api/categories', categoryRouter);
+app.use('/api/products', productRouter);
+app.use('/api/cart', cartRouter);
+app.use('/api/mylist', myListRouter);
+app.use('/api/orders', orderRouter);
+app.use('/api/addresses', addressRouter);
+app.use('/api/payments', paymentRouter);
+app.use('/api/admin', adminRouter);
+
+export default app;
@@ -0,0 +1,131 @@
+/**
+ * An OAuth provider is a plain object:
+ *
+ * - name: string
+ * - authorizationUrl, tokenUrl, userInfoUrl: string
+ * - scope: string
+ * - clientId, clientSecret, redirectUri: string
+ * - getProfile(accessToken) => { providerUserId, email, emailVerified, name, avatar }
+ *
+ * A provider is enabled only when its client ID and secret are set.
+ */
+
+// A provider that hangs must not hold the callback request open
+export const OAUTH_REQUEST_TIMEOUT_MS = 10 * 1000;
+
+const callbackUrl = (name) =>
+    `${process.env.OAUTH_CALLBACK_BASE_URL || `http://localhost:${process.env.PORT}`}/api/auth/oauth/${name}/callback`;
+
+const fetchJson = async (url, accessToken) => {
+    const response = await fetch(url, {
+        headers: {
+            Authorization: `Bearer ${accessToken}`,
+            Accept: 'application/json',
+            'User-Agent': 'E-Commerce-App'
+        },
+        signal: AbortSignal.timeout(OAUTH_REQUEST_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+        throw new Error(`Profile request failed with status ${response.status}`);
+    }
+
+    return response.json();
+};
+
+// Standard OIDC userinfo claims (Google and any generic OIDC provider)
+const getOidcProfile = (userInfoUrl) => async (accessToken) => {
+    const profile = await fetchJson(userInfoUrl, accessToken);
+
+    return {
+        providerUserId: String(profile.sub),
+        email: profile.email,
+        emailVerified: profile.email_verified === true || profile.email_verified === 'true',
+        name: profile.name || profile.email,
+        avatar: profile.picture || ''
+    };
+};
+
+const providerFactories = {
+    google: () => ({
+        name: 'google',
+        authorizationUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+        tokenUrl: 'https://oauth2.googleapis.com/token',
+        userInfoUrl: 'https://openidconnect.googleapis.com/v1/userinfo',
+        scope: 'openid email profile',
+        clientId: process.env.GOOGLE_CLIENT_ID,
+        clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+        redirectUri: callbackUrl('google'),
+        getProfile: getOidcProfile('https://openidconnect.googleapis.com/v1/userinfo')
+    }),
+
+    github: () => ({
+        name: 'github',
+        authorizationUrl: 'https://github.com/login/oauth/authorize',
+        tokenUrl: 'https://github.com/login/oauth/access_token',
+        userInfoUrl: 'https://api.github.com/user',
+        scope: 'read:user user:email',
+        clientId: process.env.GITHUB_CLIENT_ID,
+        clientSecret: process.env.GITHUB_CLIENT_SECRET,
+        redirectUri: callbackUrl('github'),
+        // The public profile email may be empty or unverified: use the primary verified address
+        getProfile: async (accessToken) => {
+            const profile = await fetchJson('https://api.github.com/user', accessToken);
+            const emails = await fetchJson('https://api.github.com/user/emails', accessToken);
+            const primary = emails.find(email => email.primary) || emails[0];
+
+            return {
+                providerUserId: String(profile.id),
+                email: primary?.email,
+                emailVerified: primary?.verified === true,
+                name: profile.name || profile.login,
+                avatar: profile.avatar_url || ''
+            };
+        }
+    }),
+
+    // Any OIDC compliant identity provider (Keycloak, Auth0, a local stub...)
+    oidc: () => ({
+        name: 'oidc',
+        authorizationUrl: process.env.OIDC_AUTHORIZATION_URL,
+        tokenUrl: process.env.OIDC_TOKEN_URL,
+        userInfoUrl: process.env.OIDC_USERINFO_URL,
+        scope: process.env.OIDC_SCOPE || 'openid email profile',
+        clientId: process.env.OIDC_CLIENT_ID,
+        clientSecret: process.env.OIDC_CLIENT_SECRET,
+        redirectUri: callbackUrl('oidc'),
+        getProfile: getOidcProfile(process.env.OIDC_USERINFO_URL)
+    })
+};
+
+/**
+ * Register an OAuth provider factory
+ * @param {string} name - Used in /api/auth/oauth/:provider
+ * @param {Function} factory - Returns a provider object
+ */
+export function registerOAuthProvider(name, factory) {
+    providerFactories[name] = factory;
+}
+
+/**
+ * Get a configured provider
+ * @returns {object|null} null if unknown or not configured
+ */
+export function getOAuthProvider(name) {
+    const factory = Object.hasOwn(providerFactories, name) ? providerFactories[name] : null;
+    if (!factory) return null;
+
+    const provider = factory();
+    if (!provider.clientId || !provider.clientSecret || !provider.authorizationUrl || !provider.tokenUrl) {
+        return null;
+    }
+
+    return provider;
+}
+
+/**
+ * Names of the providers that are configured
+ */
+export function getEnabledOAuthProviders() {
+    return Object.keys(providerFactories).filter(name => getOAuthProvider(name));
+}
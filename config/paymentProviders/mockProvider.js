@@ -0,0 +1,101 @@
+import crypto from 'crypto';
+
+// Payment method tokens understood by the mock gateway
+export const MOCK_PAYMENT_METHODS = {
+    SUCCESS: 'mock_card_success',
+    DECLINED: 'mock_card_declined'
+};
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+function hashId(prefix, ...parts) {
+    const digest = crypto.createHash('sha256').update(parts.join(':')).digest('hex');
+    return `${prefix}_${digest.slice(0, 24)}`;
+}
+
+// The built-in secret is public: only development and test may rely on it
+function getWebhookSecret() {
+    if (process.env.PAYMENT_WEBHOOK_SECRET) {
+        return process.env.PAYMENT_WEBHOOK_SECRET;
+    }
+
+    // Same rule as isLocalPaymentEnvironment (not imported: paymentService imports this module)
+    if (['development', 'test'].includes(process.env.NODE_ENV)) {
+        return 'mock_webhook_secret';
+    }
+
+    throw new Error('PAYMENT_WEBHOOK_SECRET is not configured');
+}
+
+/**
+ * Sign a webhook payload the same way the mock gateway does
+ * (lets local tools and tests send valid webhooks)
+ * @param {string|Buffer} payload - Raw JSON body
+ * @returns {string} hex HMAC-SHA256 signature
+ */
+export function signMockWebhookPayload(payload) {
+    return crypto.createHmac('sha256', getWebhookSecret()).update(payload).digest('hex');
+}
+
+/**
+ * Deterministic offline payment provider.
+ * Same input always gives the same IDs and result, nothing leaves the process.
+ */
+const createMockProvider = () => ({
+    name: 'mock',
+
+    async createPaymentIntent({ orderId, amount, currency }) {
+        const id = hashId('mock_pi', orderId, amount, currency);
+
+        return {
+            id,
+            status: 'requires_confirmation',
+            amount,
+            currency,
+            clientSecret: `${id}_secret`
+        };
+    },
+
+    async confirmPayment(paymentId, { paymentMethod = MOCK_PAYMENT_METHODS.SUCCESS } = {}) {
+        if (paymentMethod === MOCK_PAYMENT_METHODS.DECLINED) {
+            return {
+                id: paymentId,
+                status: 'failed',
+                failureReason: 'Card declined'
+            };
+        }
+
+        return {
+            id: paymentId,
+            status: 'succeeded'
+        };
+    },
+
+    async refundPayment(paymentId, { amount, reason = '' } = {}) {
+        return {
+            id: hashId('mock_re', paymentId, amount),
+            paymentId,
+            amount,
+            reason,
+            status: 'succeeded'
+        };
+    },
+
+    async verifyWebhook(rawBody, headers = {}) {
+        const signature = headers[SIGNATURE_HEADER];
+        if (!signature || !rawBody) {
+            throw new Error('Missing webhook signature');
+        }
+
+        const expected = Buffer.from(signMockWebhookPayload(rawBody), 'hex');
+        const received = Buffer.from(String(signature), 'hex');
+
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            throw new Error('Invalid webhook signature');
+        }
+
+        return JSON.parse(rawBody.toString());
+    }
+});
+
+export default createMockProvider;
@@ -0,0 +1,111 @@
+import createMockProvider from './paymentProviders/mockProvider.js';
+
+/**
+ * A payment provider is a plain object implementing:
+ *
+ * - name: string
+ * - createPaymentIntent({ orderId, amount, currency, metadata })
+ *     => { id, status, amount, currency, clientSecret }
+ * - confirmPayment(paymentId, { paymentMethod })
+ *     => { id, status: 'succeeded' | 'failed' | 'pending', failureReason? }
+ * - refundPayment(paymentId, { amount, reason, idempotencyKey })
+ *     => { id, paymentId, amount, status: 'succeeded' | 'pending' | 'failed' }
+ * - verifyWebhook(rawBody, headers)
+ *     => event { id, type, data: { paymentId, orderId, ... } }, throws if signature is invalid
+ */
+
+// Adapter slot: real gateways register a factory here under their name
+const providerFactories = {
+    mock: createMockProvider
+};
+
+// Only these environments may fall back to the mock gateway and its built-in secret
+const LOCAL_ENVIRONMENTS = ['development', 'test'];
+
+let activeProvider = null;
+
+/**
+ * Whether NODE_ENV allows the payment defaults (mock provider, mock webhook secret)
+ */
+export function isLocalPaymentEnvironment() {
+    return LOCAL_ENVIRONMENTS.includes(process.env.NODE_ENV);
+}
+
+/**
+ * Refuse to start with an implicit payment setup.
+ * Outside development/test the provider and webhook secret must be set explicitly,
+ * and the mock provider is never allowed in production.
+ * @throws {Error} describing the missing or forbidden setting
+ */
+export function assertPaymentConfig() {
+    const { PAYMENT_PROVIDER, PAYMENT_WEBHOOK_SECRET, NODE_ENV } = process.env;
+
+    if (!isLocalPaymentEnvironment()) {
+        const missing = [
+            !PAYMENT_PROVIDER && 'PAYMENT_PROVIDER',
+            !PAYMENT_WEBHOOK_SECRET && 'PAYMENT_WEBHOOK_SECRET'
+        ].filter(Boolean);
+
+        if (missing.length > 0) {
+            throw new Error(
+                `Please define ${missing.join(' and ')} in .env (required when NODE_ENV is not development or test)`
+            );
+        }
+    }
+
+    if (NODE_ENV === 'production' && PAYMENT_PROVIDER === 'mock') {
+        throw new Error('The mock payment provider cannot be used in production');
+    }
+
+    if (PAYMENT_PROVIDER && !providerFactories[PAYMENT_PROVIDER]) {
+        throw new Error(`Unknown payment provider: ${PAYMENT_PROVIDER}`);
+    }
+}
+
+/**
+ * Register a payment provider factory (e.g. stripe, paypal)
+ * @param {string} name - Value used in PAYMENT_PROVIDER
+ * @param {Function} factory - Returns a provider object
+ */
+export function registerPaymentProvider(name, factory) {
+    providerFactories[name] = factory;
+
+    if (activeProvider?.name === name) {
+        activeProvider = null;
+    }
+}
+
+/**
+ * Get the payment provider selected by PAYMENT_PROVIDER
+ * (default: mock, in development and test only)
+ */
+export function getPaymentProvider() {
+    const name = process.env.PAYMENT_PROVIDER || (isLocalPaymentEnvironment() ? 'mock' : null);
+
+    if (!name) {
+        throw new Error('PAYMENT_PROVIDER is not configured');
+    }
+
+    if (name === 'mock' && process.env.NODE_ENV === 'production') {
+        throw new Error('The mock payment provider cannot be used in production');
+    }
+
+    if (activeProvider && activeProvider.name === name) {
+        return activeProvider;
+    }
+
+    const factory = providerFactories[name];
+    if (!factory) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+
+    activeProvider = factory();
+    return activeProvider;
+}
+
+/**
+ * Currency used for payment intents
+ */
+export function getPaymentCurrency() {
+    return (process.env.PAYMENT_CURRENCY || 'usd').toLowerCase();
+}
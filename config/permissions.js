@@ -0,0 +1,60 @@
+// Permission keys used by requirePermission()
+export const PERMISSIONS = {
+    PRODUCT_WRITE: 'product:write',
+    PRODUCT_DELETE: 'product:delete',
+    CATEGORY_WRITE: 'category:write',
+    CATEGORY_DELETE: 'category:delete',
+    ORDER_READ: 'order:read',
+    ORDER_MANAGE: 'order:manage',
+    USER_READ: 'user:read',
+    USER_MANAGE: 'user:manage',
+    ROLE_MANAGE: 'role:manage',
+    AUDIT_READ: 'audit:read',
+    REVIEW_MODERATE: 'review:moderate'
+};
+
+export const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Admin always has every permission, even ones added after its role was stored
+export const SUPER_ADMIN_ROLE = 'Admin';
+
+// Built-in roles, seeded into the Role collection on startup
+export const DEFAULT_ROLES = [
+    {
+        name: 'Admin',
+        description: 'Full access to every resource',
+        permissions: ALL_PERMISSIONS
+    },
+    {
+        name: 'CatalogManager',
+        description: 'Manages products and categories',
+        permissions: [
+            PERMISSIONS.PRODUCT_WRITE,
+            PERMISSIONS.PRODUCT_DELETE,
+            PERMISSIONS.CATEGORY_WRITE,
+            PERMISSIONS.CATEGORY_DELETE,
+            PERMISSIONS.REVIEW_MODERATE
+        ]
+    },
+    {
+        name: 'OrderFulfilment',
+        description: 'Processes and ships orders',
+        permissions: [
+            PERMISSIONS.ORDER_READ,
+            PERMISSIONS.ORDER_MANAGE
+        ]
+    },
+    {
+        name: 'Support',
+        description: 'Helps customers with their accounts and orders',
+        permissions: [
+            PERMISSIONS.ORDER_READ,
+            PERMISSIONS.USER_READ
+        ]
+    },
+    {
+        name: 'User',
+        description: 'Regular customer',
+        permissions: []
+    }
+];
@@ -0,0 +1,24 @@
+// Rate limit policies used by rateLimit()
+// limit = requests allowed per client within windowMs (sliding window)
+export const RATE_LIMIT_POLICIES = {
+    // Credential and email sending endpoints
+    strict: {
+        windowMs: 15 * 60 * 1000,
+        limit: 10
+    },
+    // Authenticated writes (cart mutations)
+    moderate: {
+        windowMs: 60 * 1000,
+        limit: 60
+    },
+    // Public catalogue browsing
+    generous: {
+        windowMs: 60 * 1000,
+        limit: 600
+    },
+    // Applied to every /api request
+    standard: {
+        windowMs: 60 * 1000,
+        limit: 300
+    }
+};
@@ -0,0 +1,44 @@
+import createMemoryStore from './memoryStore.js';
+import createMongoStore from './mongoStore.js';
+
+/**
+ * A store is a plain object implementing (all async):
+ *
+ * - get(key) => value | null
+ * - set(key, value, ttlMs)
+ * - increment(key, ttlMs) => new count (ttl only applies when the counter starts)
+ * - decrement(key) (no-op when the counter is missing, expired or at zero)
+ * - delete(key)
+ */
+const storeFactories = {
+    memory: createMemoryStore,
+    mongo: createMongoStore
+};
+
+let activeStore = null;
+
+/**
+ * Register a store factory (e.g. redis)
+ */
+export function registerStore(name, factory) {
+    storeFactories[name] = factory;
+}
+
+/**
+ * Get the store selected by THROTTLE_STORE (default: memory)
+ */
+export function getStore() {
+    const name = process.env.THROTTLE_STORE || 'memory';
+
+    if (activeStore && activeStore.name === name) {
+        return activeStore;
+    }
+
+    const factory = storeFactories[name];
+    if (!factory) {
+        throw new Error(`Unknown throttle store: ${name}`);
+    }
+
+    activeStore = factory();
+    return activeStore;
+}
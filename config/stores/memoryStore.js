@@ -0,0 +1,63 @@
+/**
+ * In-memory key/value store with TTL.
+ * Fast and dependency free, but per process: use the mongo store
+ * when running more than one server instance.
+ */
+const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+    const entries = new Map();
+
+    const isExpired = (entry) => entry.expiresAt <= Date.now();
+
+    // Drop expired entries now and then so memory does not grow forever
+    const sweeper = setInterval(() => {
+        for (const [key, entry] of entries) {
+            if (isExpired(entry)) entries.delete(key);
+        }
+    }, sweepIntervalMs);
+    sweeper.unref();
+
+    return {
+        name: 'memory',
+
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+
+            if (isExpired(entry)) {
+                entries.delete(key);
+                return null;
+            }
+
+            return entry.value;
+        },
+
+        async set(key, value, ttlMs) {
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        },
+
+        async increment(key, ttlMs) {
+            const entry = entries.get(key);
+
+            if (!entry || isExpired(entry)) {
+                entries.set(key, { value: 1, expiresAt: Date.now() + ttlMs });
+                return 1;
+            }
+
+            entry.value += 1;
+            return entry.value;
+        },
+
+        async decrement(key) {
+            const entry = entries.get(key);
+            if (!entry || isExpired(entry) || entry.value <= 0) return;
+
+            entry.value -= 1;
+        },
+
+        async delete(key) {
+            entries.delete(key);
+        }
+    };
+};
+
+export default createMemoryStore;
@@ -0,0 +1,71 @@
+import ThrottleEntryModel from '../../models/throttleEntry.model.js';
+
+/**
+ * MongoDB backed key/value store with TTL.
+ * Shared between server instances, expired documents are removed by a TTL index.
+ */
+const createMongoStore = () => ({
+    name: 'mongo',
+
+    async get(key) {
+        const entry = await ThrottleEntryModel.findOne({
+            key,
+            expiresAt: { $gt: new Date() }
+        }).lean();
+
+        return entry ? entry.value : null;
+    },
+
+    async set(key, value, ttlMs) {
+        await ThrottleEntryModel.updateOne(
+            { key },
+            { $set: { value, expiresAt: new Date(Date.now() + ttlMs) } },
+            { upsert: true }
+        );
+    },
+
+    async increment(key, ttlMs) {
+        const now = new Date();
+        const isAlive = { $gt: ['$expiresAt', now] };
+
+        // Single atomic update: restart the counter if missing or expired, otherwise +1
+        const update = [{
+            $set: {
+                value: { $cond: [isAlive, { $add: ['$value', 1] }, 1] },
+                expiresAt: { $cond: [isAlive, '$expiresAt', new Date(now.getTime() + ttlMs)] }
+            }
+        }];
+
+        try {
+            const entry = await ThrottleEntryModel.findOneAndUpdate(
+                { key },
+                update,
+                { upsert: true, returnDocument: 'after', updatePipeline: true }
+            ).lean();
+            return entry.value;
+        } catch (error) {
+            // Two concurrent upserts on a new key: the loser retries as a plain update
+            if (error.code !== 11000) throw error;
+
+            const entry = await ThrottleEntryModel.findOneAndUpdate(
+                { key },
+                update,
+                { returnDocument: 'after', updatePipeline: true }
+            ).lean();
+            return entry.value;
+        }
+    },
+
+    async decrement(key) {
+        await ThrottleEntryModel.updateOne(
+            { key, expiresAt: { $gt: new Date() }, value: { $gt: 0 } },
+            { $inc: { value: -1 } }
+        );
+    },
+
+    async delete(key) {
+        await ThrottleEntryModel.deleteOne({ key });
+    }
+});
+
+export default createMongoStore;
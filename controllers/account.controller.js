@@ -0,0 +1,175 @@
+import bcrypt from "bcryptjs";
+import UserModel from "../models/user.model.js";
+import AddressModel from "../models/address.model.js";
+import CartProductModel from "../models/cartproduct.model.js";
+import MyListModel from "../models/mylist.model.js";
+import OrderModel from "../models/order.model.js";
+import SessionModel from "../models/session.model.js";
+import ReviewModel from "../models/review.model.js";
+import { scheduleAccountDeletion } from "../helpers/accountDeletion.helper.js";
+import { TWO_FACTOR_SECRET_FIELDS, verifyTwoFactorCode } from "../helpers/twoFactor.helper.js";
+import { clearAuthCookies } from "../helpers/session.helper.js";
+
+// Orders that still need the customer's address and account
+const OPEN_ORDER_STATUSES = ['pending', 'paid', 'processing', 'shipped'];
+
+/**
+ * @desc    Download all personal data of the authenticated user as JSON
+ * @route   GET /api/users/me/export
+ * @access  Private
+ */
+export async function exportAccountDataController(req, res) {
+    try {
+        const userId = req.userId;
+
+        const profile = await UserModel.findById(userId)
+            .select('-password -token_version -__v -address_details -shopping_cart -order_history')
+            .lean();
+
+        if (!profile) {
+            return res.status(404).json({
+                message: 'User not found',
+                error: true,
+                success: false
+            });
+        }
+
+        const [addresses, cart, wishlist, orders, sessions, reviews] = await Promise.all([
+            AddressModel.find({ userId }).select('-__v').lean(),
+            CartProductModel.find({ userId })
+                .populate('productId', 'name brand price')
+                .select('-__v')
+                .lean(),
+            MyListModel.find({ userId }).select('-__v').lean(),
+            OrderModel.find({ userId })
+                .sort({ createdAt: -1 })
+                .select('-__v')
+                .lean(),
+            SessionModel.find({ userId })
+                .select('device ip userAgent createdAt lastUsedAt expiresAt revokedAt revokedReason')
+                .lean(),
+            ReviewModel.find({ userId }).select('-__v').lean()
+        ]);
+
+        const exportedAt = new Date();
+
+        res.set(
+            'Content-Disposition',
+            `attachment; filename="account-export-${exportedAt.toISOString().slice(0, 10)}.json"`
+        );
+
+        return res.status(200).json({
+            message: 'Account data exported successfully',
+            error: false,
+            success: true,
+            data: {
+                exportedAt,
+                profile,
+                addresses,
+                cart,
+                wishlist,
+                orders,
+                sessions,
+                reviews
+            }
+        });
+
+    } catch (error) {
+        console.error('Export Account Data Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Failed to export account data',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * @desc    Request deletion of the authenticated user's account.
+ *          The account is disabled now and erased after a grace period;
+ *          logging in again before then cancels the deletion.
+ * @route   DELETE /api/users/me
+ * @access  Private
+ */
+export async function deleteAccountController(req, res) {
+    try {
+        const { password, code, backupCode } = req.body;
+
+        if (!password) {
+            return res.status(400).json({
+                message: 'Password is required',
+                error: true,
+                success: false
+            });
+        }
+
+        const user = await UserModel.findById(req.userId).select(TWO_FACTOR_SECRET_FIELDS);
+        if (!user) {
+            return res.status(404).json({
+                message: 'User not found',
+                error: true,
+                success: false
+            });
+        }
+
+        const isPasswordValid = await bcrypt.compare(password, user.password);
+        if (!isPasswordValid) {
+            return res.status(401).json({
+                message: 'Password is incorrect',
+                error: true,
+                success: false
+            });
+        }
+
+        if (user.two_factor.enabled) {
+            const method = await verifyTwoFactorCode(user, { code, backupCode });
+            if (!method) {
+                return res.status(401).json({
+                    message: 'A valid two-factor code is required',
+                    error: true,
+                    success: false,
+                    twoFactorRequired: true
+                });
+            }
+        }
+
+        const openOrders = await OrderModel.find({
+            userId: user._id,
+            status: { $in: OPEN_ORDER_STATUSES }
+        })
+            .select('orderId status')
+            .lean();
+
+        if (openOrders.length > 0) {
+            return res.status(409).json({
+                message: 'Your account cannot be deleted while orders are in progress',
+                error: true,
+                success: false,
+                openOrders
+            });
+        }
+
+        const scheduledFor = await scheduleAccountDeletion(user._id);
+
+        clearAuthCookies(res);
+
+        return res.status(200).json({
+            message: 'Your account will be deleted. Log in again before the scheduled date to cancel.',
+            error: false,
+            success: true,
+            data: {
+                scheduledFor
+            }
+        });
+
+    } catch (error) {
+        console.error('Delete Account Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Failed to delete account',
+            error: true,
+            success: false
+        });
+    }
+}
@@ -0,0 +1,414 @@
+import mongoose from "mongoose";
+import AddressModel from "../models/address.model.js";
+import UserModel from "../models/user.model.js";
+
+const PINCODE_REGEX = /^[A-Za-z0-9][A-Za-z0-9 -]{2,9}$/;
+const MOBILE_REGEX = /^\+?[0-9]{7,15}$/;
+const COUNTRY_REGEX = /^[A-Za-z][A-Za-z .'-]{1,55}$/;
+
+const ADDRESS_FIELDS = ['address_line', 'city', 'state', 'pincode', 'country', 'mobile'];
+
+/**
+ * Helper function to validate address input
+ * @param {object} body - Request body
+ * @param {boolean} partial - Only validate provided fields (update)
+ * @returns {{ data: object, errors: object }}
+ */
+function validateAddressInput(body = {}, partial = false) {
+    const data = {};
+    const errors = {};
+
+    ADDRESS_FIELDS.forEach(field => {
+        if (body[field] !== undefined && body[field] !== null) {
+            data[field] = String(body[field]).trim();
+        }
+    });
+
+    if (!partial || data.pincode !== undefined) {
+        if (!data.pincode) {
+            errors.pincode = 'Pincode is required';
+        } else if (!PINCODE_REGEX.test(data.pincode)) {
+            errors.pincode = 'Pincode must be 3-10 letters, digits, spaces or dashes';
+        }
+    }
+
+    if (!partial || data.mobile !== undefined) {
+        const mobile = data.mobile?.replace(/[\s()-]/g, '');
+        if (!mobile) {
+            errors.mobile = 'Mobile number is required';
+        } else if (!MOBILE_REGEX.test(mobile)) {
+            errors.mobile = 'Mobile number must contain 7-15 digits';
+        } else {
+            data.mobile = mobile;
+        }
+    }
+
+    if (!partial || data.country !== undefined) {
+        if (!data.country) {
+            errors.country = 'Country is required';
+        } else if (!COUNTRY_REGEX.test(data.country)) {
+            errors.country = 'Invalid country name';
+        }
+    }
+
+    if (!partial && !data.address_line) {
+        errors.address_line = 'Address line is required';
+    }
+
+    if (!partial && !data.city) {
+        errors.city = 'City is required';
+    }
+
+    return { data, errors };
+}
+
+/**
+ * @desc    Create a new address for the authenticated user
+ * @route   POST /api/addresses
+ * @access  Private
+ */
+export async function createAddressController(req, res) {
+    const session = await mongoose.startSession();
+
+    try {
+        session.startTransaction();
+
+        const userId = req.userId;
+        const { data, errors } = validateAddressInput(req.body);
+
+        if (Object.keys(errors).length > 0) {
+            await session.abortTransaction();
+            return res.status(400).json({
+                message: 'Invalid address',
+                error: true,
+                success: false,
+                details: errors
+            });
+        }
+
+        // First address always becomes the default one
+        const activeCount = await AddressModel.countDocuments({ userId, status: true }).session(session);
+        const makeDefault = activeCount === 0 || req.body.is_default === true || req.body.is_default === 'true';
+
+        if (makeDefault) {
+            await AddressModel.updateMany(
+                { userId, is_default: true },
+                { $set: { is_default: false } },
+                { session }
+            );
+        }
+
+        const [address] = await AddressModel.create([{
+            ...data,
+            userId,
+            is_default: makeDefault
+        }], { session });
+
+        await UserModel.findByIdAndUpdate(
+            userId,
+            { $addToSet: { address_details: address._id } },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        return res.status(201).json({
+            message: 'Address created successfully',
+            error: false,
+            success: true,
+            data: address
+        });
+
+    } catch (error) {
+        await session.abortTransaction();
+        console.error('Create Address Error:', error);
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                message: 'Validation failed',
+                error: true,
+                success: false,
+                details: messages
+            });
+        }
+
+        return res.status(500).json({
+            message: error.message || 'Failed to create address',
+            error: true,
+            success: false
+        });
+    } finally {
+        session.endSession();
+    }
+}
+
+/**
+ * @desc    Get all addresses of the authenticated user
+ * @route   GET /api/addresses
+ * @access  Private
+ */
+export async function getAddressesController(req, res) {
+    try {
+        const addresses = await AddressModel.find({
+            userId: req.userId,
+            status: true
+        })
+            .sort({ is_default: -1, updatedAt: -1 })
+            .select('-__v')
+            .lean();
+
+        return res.status(200).json({
+            message: 'Addresses retrieved successfully',
+            error: false,
+            success: true,
+            data: addresses,
+            count: addresses.length
+        });
+
+    } catch (error) {
+        console.error('Get Addresses Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Failed to retrieve addresses',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * @desc    Update an address of the authenticated user
+ * @route   PUT /api/addresses/:addressId
+ * @access  Private
+ */
+export async function updateAddressController(req, res) {
+    try {
+        const { addressId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(addressId)) {
+            return res.status(400).json({
+                message: 'Invalid address ID format',
+                error: true,
+                success: false
+            });
+        }
+
+        const { data, errors } = validateAddressInput(req.body, true);
+
+        if (Object.keys(errors).length > 0) {
+            return res.status(400).json({
+                message: 'Invalid address',
+                error: true,
+                success: false,
+                details: errors
+            });
+        }
+
+        if (Object.keys(data).length === 0) {
+            return res.status(400).json({
+                message: 'No address fields provided',
+                error: true,
+                success: false
+            });
+        }
+
+        const address = await AddressModel.findOneAndUpdate(
+            { _id: addressId, userId: req.userId, status: true },
+            { $set: data },
+            { new: true, runValidators: true }
+        ).select('-__v');
+
+        if (!address) {
+            return res.status(404).json({
+                message: 'Address not found',
+                error: true,
+                success: false
+            });
+        }
+
+        return res.status(200).json({
+            message: 'Address updated successfully',
+            error: false,
+            success: true,
+            data: address
+        });
+
+    } catch (error) {
+        console.error('Update Address Error:', error);
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                message: 'Validation failed',
+                error: true,
+                success: false,
+                details: messages
+            });
+        }
+
+        return res.status(500).json({
+            message: error.message || 'Failed to update address',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * @desc    Delete an address of the authenticated user
+ *          (soft delete: orders keep referencing it)
+ * @route   DELETE /api/addresses/:addressId
+ * @access  Private
+ */
+export async function deleteAddressController(req, res) {
+    const session = await mongoose.startSession();
+
+    try {
+        session.startTransaction();
+
+        const userId = req.userId;
+        const { addressId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(addressId)) {
+            await session.abortTransaction();
+            return res.status(400).json({
+                message: 'Invalid address ID format',
+                error: true,
+                success: false
+            });
+        }
+
+        const address = await AddressModel.findOne({
+            _id: addressId,
+            userId,
+            status: true
+        }).session(session);
+
+        if (!address) {
+            await session.abortTransaction();
+            return res.status(404).json({
+                message: 'Address not found',
+                error: true,
+                success: false
+            });
+        }
+
+        const wasDefault = address.is_default;
+
+        address.status = false;
+        address.is_default = false;
+        await address.save({ session });
+
+        await UserModel.findByIdAndUpdate(
+            userId,
+            { $pull: { address_details: address._id } },
+            { session }
+        );
+
+        // Promote the most recent remaining address to default
+        let newDefaultId = null;
+        if (wasDefault) {
+            const nextDefault = await AddressModel.findOneAndUpdate(
+                { userId, status: true },
+                { $set: { is_default: true } },
+                { new: true, sort: { updatedAt: -1 }, session }
+            );
+            newDefaultId = nextDefault?._id || null;
+        }
+
+        await session.commitTransaction();
+
+        return res.status(200).json({
+            message: 'Address deleted successfully',
+            error: false,
+            success: true,
+            data: {
+                addressId: address._id,
+                newDefaultAddressId: newDefaultId
+            }
+        });
+
+    } catch (error) {
+        await session.abortTransaction();
+        console.error('Delete Address Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Failed to delete address',
+            error: true,
+            success: false
+        });
+    } finally {
+        session.endSession();
+    }
+}
+
+/**
+ * @desc    Set an address as the default one
+ * @route   PATCH /api/addresses/:addressId/default
+ * @access  Private
+ */
+export async function setDefaultAddressController(req, res) {
+    const session = await mongoose.startSession();
+
+    try {
+        session.startTransaction();
+
+        const userId = req.userId;
+        const { addressId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(addressId)) {
+            await session.abortTransaction();
+            return res.status(400).json({
+                message: 'Invalid address ID format',
+                error: true,
+                success: false
+            });
+        }
+
+        const address = await AddressModel.findOne({
+            _id: addressId,
+            userId,
+            status: true
+        }).session(session);
+
+        if (!address) {
+            await session.abortTransaction();
+            return res.status(404).json({
+                message: 'Address not found',
+                error: true,
+                success: false
+            });
+        }
+
+        await AddressModel.updateMany(
+            { userId, is_default: true, _id: { $ne: address._id } },
+            { $set: { is_default: false } },
+            { session }
+        );
+
+        address.is_default = true;
+        await address.save({ session });
+
+        await session.commitTransaction();
+
+        return res.status(200).json({
+            message: 'Default address updated successfully',
+            error: false,
+            success: true,
+            data: address
+        });
+
+    } catch (error) {
+        await session.abortTransaction();
+        console.error('Set Default Address Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Failed to set default address',
+            error: true,
+            success: false
+        });
+    } finally {
+        session.endSession();
+    }
+}
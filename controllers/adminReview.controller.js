@@ -0,0 +1,199 @@
+import mongoose from "mongoose";
+import ReviewModel, { REVIEW_STATUSES } from "../models/review.model.js";
+import { recordAudit } from "../helpers/audit.helper.js";
+import { recalculateProductRating } from "../helpers/review.helper.js";
+import { buildPaginationMetadata, validatePaginationParams } from "../helpers/product.helper.js";
+
+// Moderation action -> resulting review status
+const MODERATION_ACTIONS = {
+    approve: 'approved',
+    reject: 'rejected',
+    flag: 'flagged'
+};
+
+/**
+ * @desc    Moderation queue: reviews by status (pending and flagged by default), oldest first
+ * @route   GET /api/admin/reviews?status=&productId=&userId=&page=&limit=
+ * @access  Private/Admin
+ */
+export async function listReviewsForModerationController(req, res) {
+    try {
+        const { status = 'pending,flagged', productId, userId } = req.query;
+        const { pageNum, limitNum, errors } = validatePaginationParams(req.query.page, req.query.limit);
+
+        const filter = {};
+
+        const statuses = String(status).split(',').map(s => s.trim()).filter(Boolean);
+        const invalidStatuses = statuses.filter(s => !REVIEW_STATUSES.includes(s));
+        if (invalidStatuses.length > 0) {
+            errors.push(`Invalid status: ${invalidStatuses.join(', ')}`);
+        } else {
+            filter.status = { $in: statuses };
+        }
+
+        if (productId) {
+            if (!mongoose.Types.ObjectId.isValid(productId)) {
+                errors.push('Invalid product ID format');
+            } else {
+                filter.productId = productId;
+            }
+        }
+
+        if (userId) {
+            if (!mongoose.Types.ObjectId.isValid(userId)) {
+                errors.push('Invalid user ID format');
+            } else {
+                filter.userId = userId;
+            }
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                message: errors.join(', '),
+                error: true,
+                success: false
+            });
+        }
+
+        const [totalReviews, reviews] = await Promise.all([
+            ReviewModel.countDocuments(filter),
+            ReviewModel.find(filter)
+                .sort({ createdAt: 1, _id: 1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .populate('productId', 'name images')
+                .populate('userId', 'name email')
+                .populate('moderation.moderatedBy', 'name email')
+                .select('-__v')
+                .lean()
+        ]);
+
+        return res.status(200).json({
+            message: 'Reviews retrieved successfully',
+            error: false,
+            success: true,
+            data: reviews,
+            pagination: buildPaginationMetadata(pageNum, limitNum, totalReviews),
+            appliedFilters: {
+                status: statuses,
+                productId: productId || null,
+                userId: userId || null
+            }
+        });
+
+    } catch (error) {
+        console.error('List Reviews For Moderation Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Failed to retrieve reviews',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * @desc    Approve, reject or flag a review (reject and flag need a reason)
+ * @route   PATCH /api/admin/reviews/:reviewId/moderation
+ * @access  Private/Admin
+ */
+export async function moderateReviewController(req, res) {
+    const session = await mongoose.startSession();
+
+    try {
+        session.startTransaction();
+
+        const { reviewId } = req.params;
+        const { action, reason = '' } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(reviewId)) {
+            await session.abortTransaction();
+            return res.status(400).json({
+                message: 'Invalid review ID format',
+                error: true,
+                success: false
+            });
+        }
+
+        const nextStatus = MODERATION_ACTIONS[action];
+        if (!nextStatus) {
+            await session.abortTransaction();
+            return res.status(400).json({
+                message: `Invalid action. Must be one of: ${Object.keys(MODERATION_ACTIONS).join(', ')}`,
+                error: true,
+                success: false
+            });
+        }
+
+        if (action !== 'approve' && !String(reason).trim()) {
+            await session.abortTransaction();
+            return res.status(400).json({
+                message: 'A reason is required to reject or flag a review',
+                error: true,
+                success: false
+            });
+        }
+
+        const review = await ReviewModel.findById(reviewId).session(session);
+        if (!review) {
+            await session.abortTransaction();
+            return res.status(404).json({
+                message: 'Review not found',
+                error: true,
+                success: false
+            });
+        }
+
+        const previousStatus = review.status;
+
+        review.status = nextStatus;
+        review.moderation.reason = String(reason).trim();
+        review.moderation.moderatedBy = req.userId;
+        review.moderation.moderatedAt = new Date();
+        await review.save({ session });
+
+        // Only approved reviews count towards the rating: status and rating change together
+        if (previousStatus !== nextStatus) {
+            await recalculateProductRating(review.productId, { session });
+        }
+
+        await session.commitTransaction();
+
+        await recordAudit(req, {
+            action: 'review.moderate',
+            targetType: 'Review',
+            targetId: review._id,
+            changes: { status: { from: previousStatus, to: nextStatus } },
+            meta: { reason: review.moderation.reason, productId: review.productId }
+        });
+
+        return res.status(200).json({
+            message: `Review ${nextStatus}`,
+            error: false,
+            success: true,
+            data: review
+        });
+
+    } catch (error) {
+        await session.abortTransaction();
+        console.error('Moderate Review Error:', error);
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                message: 'Validation failed',
+                error: true,
+                success: false,
+                details: errors
+            });
+        }
+
+        return res.status(500).json({
+            message: error.message || 'Failed to moderate review',
+            error: true,
+            success: false
+        });
+    } finally {
+        session.endSession();
+    }
+}
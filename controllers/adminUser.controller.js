@@ -0,0 +1,455 @@
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import mongoose from "mongoose";
+import UserModel from "../models/user.model.js";
+import OrderModel from "../models/order.model.js";
+import SessionModel from "../models/session.model.js";
+import { bumpTokenVersion } from "../helpers/tokenVersion.helper.js";
+import { revokeUserSessions } from "../helpers/session.helper.js";
+import { canManageRole, manageableUserFilter } from "../helpers/role.helper.js";
+import { recordAudit } from "../helpers/audit.helper.js";
+import { issueOtp } from "../helpers/otp.helper.js";
+import { buildPaginationMetadata, validatePaginationParams } from "../helpers/product.helper.js";
+import { buildOrderFilter, buildOrderSort } from "../helpers/order.helper.js";
+import sendVerificationEmail from "../config/sendVerificationEmail.js";
+import ForgotPasswordTemplate from "../utils/forgotPasswordTemplate.js";
+
+const USER_STATUSES = ['Active', 'Inactive', 'Suspended'];
+
+// Fields an admin may see (no password, tokens or 2FA secrets)
+const ADMIN_USER_FIELDS = 'name email avatar mobile verify_email status role last_login_date two_factor.enabled oauth_accounts.provider deletion createdAt updatedAt';
+
+const USER_SORT_FIELDS = ['createdAt', 'name', 'email', 'last_login_date'];
+
+/**
+ * Helper function to build the user list filter from query params
+ * @returns {{ filter: object, errors: string[] }}
+ */
+function buildUserFilter({ search, status, role, verified }) {
+    const filter = {};
+    const errors = [];
+
+    if (search?.trim()) {
+        const pattern = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        filter.$or = [
+            { name: { $regex: pattern, $options: 'i' } },
+            { email: { $regex: pattern, $options: 'i' } }
+        ];
+    }
+
+    if (status) {
+        const statuses = String(status).split(',').map(s => s.trim());
+        const allowed = [...USER_STATUSES, 'PendingDeletion', 'Deleted'];
+        const invalid = statuses.filter(s => !allowed.includes(s));
+
+        if (invalid.length > 0) {
+            errors.push(`Invalid status: ${invalid.join(', ')}`);
+        } else {
+            filter.status = { $in: statuses };
+        }
+    }
+
+    if (role?.trim()) {
+        filter.role = role.trim();
+    }
+
+    if (verified !== undefined) {
+        if (verified !== 'true' && verified !== 'false') {
+            errors.push('Verified must be true or false');
+        } else {
+            filter.verify_email = verified === 'true';
+        }
+    }
+
+    return { filter, errors };
+}
+
+/**
+ * Helper function to build the user list sort (e.g. "-createdAt", "name")
+ */
+function buildUserSort(sortParam = '-createdAt') {
+    const direction = sortParam.startsWith('-') ? -1 : 1;
+    const field = sortParam.replace(/^-/, '');
+
+    return USER_SORT_FIELDS.includes(field)
+        ? { [field]: direction, _id: direction }
+        : { createdAt: -1, _id: -1 };
+}
+
+/**
+ * @desc    List users with search, filters and pagination
+ * @route   GET /api/admin/users?search=&status=&role=&verified=&sort=&page=&limit=
+ * @access  Private/Admin
+ */
+export async function listUsersController(req, res) {
+    try {
+        const { pageNum, limitNum, errors: paginationErrors } = validatePaginationParams(
+            req.query.page,
+            req.query.limit
+        );
+        const { filter, errors: filterErrors } = buildUserFilter(req.query);
+
+        const errors = [...paginationErrors, ...filterErrors];
+        if (errors.length > 0) {
+            return res.status(400).json({
+                message: errors.join(', '),
+                error: true,
+                success: false
+            });
+        }
+
+        const [totalUsers, users] = await Promise.all([
+            UserModel.countDocuments(filter),
+            UserModel.find(filter)
+                .sort(buildUserSort(req.query.sort))
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .select(ADMIN_USER_FIELDS)
+                .lean()
+        ]);
+
+        return res.status(200).json({
+            message: 'Users retrieved successfully',
+            error: false,
+            success: true,
+            data: users,
+            pagination: buildPaginationMetadata(pageNum, limitNum, totalUsers),
+            appliedFilters: {
+                search: req.query.search || null,
+                status: req.query.status || null,
+                role: req.query.role || null,
+                verified: req.query.verified ?? null,
+                sort: req.query.sort || '-createdAt'
+            }
+        });
+
+    } catch (error) {
+        console.error('List Users Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Failed to retrieve users',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * @desc    Get one user with order and session counts
+ * @route   GET /api/admin/users/:userId
+ * @access  Private/Admin
+ */
+export async function getUserController(req, res) {
+    try {
+        const { userId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({
+                message: 'Invalid user ID format',
+                error: true,
+                success: false
+            });
+        }
+
+        const user = await UserModel.findById(userId)
+            .select(`${ADMIN_USER_FIELDS} address_details`)
+            .populate('address_details', 'address_line city state pincode country mobile is_default')
+            .lean();
+
+        if (!user) {
+            return res.status(404).json({
+                message: 'User not found',
+                error: true,
+                success: false
+            });
+        }
+
+        const [orderCount, activeSessions] = await Promise.all([
+            OrderModel.countDocuments({ userId }),
+            SessionModel.countDocuments({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        ]);
+
+        return res.status(200).json({
+            message: 'User retrieved successfully',
+            error: false,
+            success: true,
+            data: {
+                ...user,
+                orderCount,
+                activeSessions
+            }
+        });
+
+    } catch (error) {
+        console.error('Get User Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Failed to retrieve user',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * @desc    Get orders of a user
+ * @route   GET /api/admin/users/:userId/orders?status=&from=&to=&sort=&page=&limit=
+ * @access  Private/Admin
+ */
+export async function getUserOrdersController(req, res) {
+    try {
+        const { userId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({
+                message: 'Invalid user ID format',
+                error: true,
+                success: false
+            });
+        }
+
+        const { pageNum, limitNum, errors: paginationErrors } = validatePaginationParams(
+            req.query.page,
+            req.query.limit
+        );
+        const { filter, errors: filterErrors } = buildOrderFilter({ userId }, req.query);
+
+        const errors = [...paginationErrors, ...filterErrors];
+        if (errors.length > 0) {
+            return res.status(400).json({
+                message: errors.join(', '),
+                error: true,
+                success: false
+            });
+        }
+
+        const [totalOrders, orders] = await Promise.all([
+            OrderModel.countDocuments(filter),
+            OrderModel.find(filter)
+                .sort(buildOrderSort(req.query.sort))
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .select('-__v')
+                .lean()
+        ]);
+
+        return res.status(200).json({
+            message: 'Orders retrieved successfully',
+            error: false,
+            success: true,
+            data: orders,
+            pagination: buildPaginationMetadata(pageNum, limitNum, totalOrders)
+        });
+
+    } catch (error) {
+        console.error('Get User Orders Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Failed to retrieve orders',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * @desc    Change account status of a user (Active, Inactive, Suspended)
+ * @route   PATCH /api/admin/users/:userId/status
+ * @access  Private/Admin
+ */
+export async function updateUserStatusController(req, res) {
+    try {
+        const { userId } = req.params;
+        const { status } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({
+                message: 'Invalid user ID format',
+                error: true,
+                success: false
+            });
+        }
+
+        if (!USER_STATUSES.includes(status)) {
+            return res.status(400).json({
+                message: `Invalid status. Must be one of: ${USER_STATUSES.join(', ')}`,
+                error: true,
+                success: false
+            });
+        }
+
+        if (userId === String(req.userId)) {
+            return res.status(400).json({
+                message: 'You cannot change your own status',
+                error: true,
+                success: false
+            });
+        }
+
+        const existing = await UserModel.findById(userId).select('status role').lean();
+        if (!existing) {
+            return res.status(404).json({
+                message: 'User not found',
+                error: true,
+                success: false
+            });
+        }
+
+        if (!canManageRole(req.userRole, existing.role)) {
+            return res.status(403).json({
+                message: 'Only an Admin can change the status of an Admin account',
+                error: true,
+                success: false
+            });
+        }
+
+        // Deletion is driven by the user (grace period) and the purge job only
+        if (!USER_STATUSES.includes(existing.status)) {
+            return res.status(409).json({
+                message: 'Status of a deleted or pending deletion account cannot be changed',
+                error: true,
+                success: false
+            });
+        }
+
+        const user = await UserModel.findOneAndUpdate(
+            { _id: userId, status: { $in: USER_STATUSES }, ...manageableUserFilter(req.userRole) },
+            { status },
+            { new: true }
+        ).select('name email role status');
+
+        if (!user) {
+            return res.status(404).json({
+                message: 'User not found',
+                error: true,
+                success: false
+            });
+        }
+
+        // Suspended/inactive users lose access immediately
+        if (status !== 'Active') {
+            await bumpTokenVersion(user._id);
+            await revokeUserSessions(user._id, `status_${status.toLowerCase()}`);
+        }
+
+        await recordAudit(req, {
+            action: 'user.status.update',
+            targetType: 'User',
+            targetId: user._id,
+            changes: { status: { from: existing.status, to: status } }
+        });
+
+        return res.status(200).json({
+            message: `User status updated to ${status}`,
+            error: false,
+            success: true,
+            data: user
+        });
+
+    } catch (error) {
+        console.error('Update User Status Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Failed to update user status',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * @desc    Force a password reset: the current password stops working,
+ *          every device is signed out and a reset code is emailed to the user
+ * @route   POST /api/admin/users/:userId/force-password-reset
+ * @access  Private/Admin
+ */
+export async function forcePasswordResetController(req, res) {
+    try {
+        const { userId } = req.params;
+        const { reason = '' } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({
+                message: 'Invalid user ID format',
+                error: true,
+                success: false
+            });
+        }
+
+        if (userId === String(req.userId)) {
+            return res.status(400).json({
+                message: 'Use change password for your own account',
+                error: true,
+                success: false
+            });
+        }
+
+        const user = await UserModel.findById(userId);
+        if (!user || !USER_STATUSES.includes(user.status)) {
+            return res.status(404).json({
+                message: 'User not found',
+                error: true,
+                success: false
+            });
+        }
+
+        if (!canManageRole(req.userRole, user.role)) {
+            return res.status(403).json({
+                message: 'Only an Admin can force a password reset on an Admin account',
+                error: true,
+                success: false
+            });
+        }
+
+        // Nobody knows the new password: the user has to go through the reset code
+        user.password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+        await user.save();
+
+        await bumpTokenVersion(user._id);
+        const revokedSessions = await revokeUserSessions(user._id, 'admin_password_reset');
+
+        const resetCode = await issueOtp(user._id, 'password_reset');
+
+        let emailSent = true;
+        try {
+            await sendVerificationEmail({
+                sendTo: user.email,
+                subject: 'Password Reset Required - E-Commerce App',
+                text: 'An administrator has required a password reset for your account. Use the OTP code to set a new password.',
+                html: ForgotPasswordTemplate(user.name, resetCode)
+            });
+        } catch (emailError) {
+            console.error('Failed to send forced reset email:', emailError);
+            emailSent = false;
+        }
+
+        await recordAudit(req, {
+            action: 'user.password.force_reset',
+            targetType: 'User',
+            targetId: user._id,
+            meta: { reason, revokedSessions, emailSent }
+        });
+
+        return res.status(200).json({
+            message: emailSent
+                ? 'Password reset forced. The user received a reset code by email.'
+                : 'Password reset forced, but the email could not be sent. The user can request a new code with forgot password.',
+            error: false,
+            success: true,
+            data: {
+                userId: user._id,
+                revokedSessions,
+                emailSent
+            }
+        });
+
+    } catch (error) {
+        console.error('Force Password Reset Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Failed to force password reset',
+            error: true,
+            success: false
+        });
+    }
+}
@@ -0,0 +1,131 @@
+import mongoose from "mongoose";
+import AuditLogModel from "../models/auditLog.model.js";
+import { buildPaginationMetadata, validatePaginationParams } from "../helpers/product.helper.js";
+
+/**
+ * Helper function to build the audit log filter from query params
+ * @returns {{ filter: object, errors: string[] }}
+ */
+function buildAuditLogFilter({ actorId, action, targetType, targetId, from, to }) {
+    const filter = {};
+    const errors = [];
+
+    // A repeated query param arrives as an array: never pass it on to the query
+    const params = { actorId, action, targetType, targetId, from, to };
+    const repeated = Object.keys(params).filter(name => params[name] !== undefined && typeof params[name] !== 'string');
+    if (repeated.length > 0) {
+        return { filter, errors: repeated.map(name => `${name} must be a single value`) };
+    }
+
+    if (actorId) {
+        if (!mongoose.Types.ObjectId.isValid(actorId)) {
+            errors.push('Invalid actor ID format');
+        } else {
+            filter.actorId = actorId;
+        }
+    }
+
+    // "product.delete" matches exactly, "product.*" matches every product action
+    if (action?.trim()) {
+        const value = action.trim();
+        filter.action = value.endsWith('.*')
+            ? { $regex: `^${value.slice(0, -2).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.` }
+            : value;
+    }
+
+    if (targetType?.trim()) {
+        filter.targetType = targetType.trim();
+    }
+
+    if (targetId?.trim()) {
+        if (!mongoose.Types.ObjectId.isValid(targetId.trim())) {
+            errors.push('Invalid target ID format');
+        } else {
+            filter.targetId = targetId.trim();
+        }
+    }
+
+    const createdAt = {};
+    if (from) {
+        const fromDate = new Date(from);
+        if (isNaN(fromDate.getTime())) {
+            errors.push('Invalid from date');
+        } else {
+            createdAt.$gte = fromDate;
+        }
+    }
+
+    if (to) {
+        const toDate = new Date(to);
+        if (isNaN(toDate.getTime())) {
+            errors.push('Invalid to date');
+        } else {
+            createdAt.$lte = toDate;
+        }
+    }
+
+    if (Object.keys(createdAt).length > 0) {
+        filter.createdAt = createdAt;
+    }
+
+    return { filter, errors };
+}
+
+/**
+ * @desc    List audit log entries with filters and pagination (newest first)
+ * @route   GET /api/admin/audit-logs?actorId=&action=&targetType=&targetId=&from=&to=&page=&limit=
+ * @access  Private/Admin
+ */
+export async function listAuditLogsController(req, res) {
+    try {
+        const { pageNum, limitNum, errors: paginationErrors } = validatePaginationParams(
+            req.query.page,
+            req.query.limit
+        );
+        const { filter, errors: filterErrors } = buildAuditLogFilter(req.query);
+
+        const errors = [...paginationErrors, ...filterErrors];
+        if (errors.length > 0) {
+            return res.status(400).json({
+                message: errors.join(', '),
+                error: true,
+                success: false
+            });
+        }
+
+        const [totalEntries, entries] = await Promise.all([
+            AuditLogModel.countDocuments(filter),
+            AuditLogModel.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .select('-__v')
+                .lean()
+        ]);
+
+        return res.status(200).json({
+            message: 'Audit logs retrieved successfully',
+            error: false,
+            success: true,
+            data: entries,
+            pagination: buildPaginationMetadata(pageNum, limitNum, totalEntries),
+            appliedFilters: {
+                actorId: req.query.actorId || null,
+                action: req.query.action || null,
+                targetType: req.query.targetType || null,
+                targetId: req.query.targetId || null,
+                from: req.query.from || null,
+                to: req.query.to || null
+            }
+        });
+
+    } catch (error) {
+        console.error('List Audit Logs Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Failed to retrieve audit logs',
+            error: true,
+            success: false
+        });
+    }
+}
@@ -2,6 +2,61 @@ import mongoose from "mongoose";
 import CartProductModel from "../models/cartproduct.model.js";
 import UserModel from "../models/user.model.js";
 import ProductModel from "../models/product.model.js";
+import {
+  getAvailableStock,
+  getUnitPrice,
+  resolvePurchasableVariant
+} from "../helpers/variant.helper.js";
+
+/**
+ * Helper function to remove products from the user's shopping_cart once none of
+ * their cart lines (one per variant) is left
+ */
+async function pullProductsWithoutCartLines(userId, productIds, session) {
+  const stillInCart = await CartProductModel.distinct('productId', {
+    userId,
+    productId: { $in: productIds }
+  }).session(session);
+
+  const remaining = new Set(stillInCart.map(String));
+  const removable = productIds.filter(productId => !remaining.has(String(productId)));
+  if (removable.length === 0) return;
+
+  await UserModel.findByIdAndUpdate(
+    userId,
+    {
+      $pull: { shopping_cart: { $in: removable } }
+    },
+    { session }
+  );
+}
+
+/**
+ * Helper function to attach the chosen variant to a populated, lean cart item,
+ * with the stock and price the line can actually be bought at
+ */
+function attachCartVariant(item) {
+  const { variants = [], ...product } = item.productId;
+  const variant = item.variantId
+    ? variants.find(v => String(v._id) === String(item.variantId)) || null
+    : null;
+
+  let availableStock = product.countInStock;
+  if (item.variantId) {
+    availableStock = variant?.isActive ? variant.countInStock : 0;
+  } else if (variants.length > 0) {
+    // Added before the product had variants: a variant must be chosen first
+    availableStock = 0;
+  }
+
+  return {
+    ...item,
+    productId: product,
+    variant,
+    availableStock,
+    currentPrice: variant ? variant.price : product.price
+  };
+}
 
 /**
  * Add a product to user's shopping cart
@@ -15,7 +70,7 @@ export const createCartItem = async (req, res) => {
     session.startTransaction();
 
     const userId = req.userId;
-    const { productId, variant = null } = req.body;
+    const { productId, variantId = null } = req.body;
     const quantity = Number(req.body.quantity) || 1;
 
     // Validate input
@@ -55,19 +110,33 @@ export const createCartItem = async (req, res) => {
       });
     }
 
+    // Products with variants are bought per variant
+    const { variant, error: variantError } = resolvePurchasableVariant(product, variantId);
+    if (variantError) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        message: variantError,
+        error: true,
+        success: false
+      });
+    }
+
+    const availableStock = getAvailableStock(product, variant);
+    const unitPrice = getUnitPrice(product, variant);
+
     // Check stock availability
-    if (product.countInStock < quantity) {
+    if (availableStock < quantity) {
       await session.abortTransaction();
       return res.status(400).json({
-        message: `Only ${product.countInStock} items available in stock`,
+        message: `Only ${availableStock} items available in stock`,
         error: true,
         success: false,
-        availableStock: product.countInStock
+        availableStock
       });
     }
 
     // Check if product is out of stock
-    if (product.countInStock === 0) {
+    if (availableStock === 0) {
       await session.abortTransaction();
       return res.status(400).json({
         message: 'Product is out of stock',
@@ -79,7 +148,8 @@ export const createCartItem = async (req, res) => {
     // Check if item already exists in cart
     const existingCartItem = await CartProductModel.findOne({ 
       userId, 
-      productId 
+      productId,
+      variantId: variant ? variant._id : null
     }).session(session);
 
     if (existingCartItem) {
@@ -96,20 +166,19 @@ export const createCartItem = async (req, res) => {
         });
       }
 
-      if (newQuantity > product.countInStock) {
+      if (newQuantity > availableStock) {
         await session.abortTransaction();
         return res.status(400).json({
-          message: `Only ${product.countInStock} items available. You already have ${existingCartItem.quantity} in cart`,
+          message: `Only ${availableStock} items available. You already have ${existingCartItem.quantity} in cart`,
           error: true,
           success: false,
-          availableStock: product.countInStock,
+          availableStock,
           currentQuantity: existingCartItem.quantity
         });
       }
 
       existingCartItem.quantity = newQuantity;
-      existingCartItem.priceAtAdd = product.price;
-      existingCartItem.variant = variant;
+      existingCartItem.priceAtAdd = unitPrice;
       existingCartItem.status = 'active';
       
       await existingCartItem.save({ session });
@@ -129,8 +198,8 @@ export const createCartItem = async (req, res) => {
       quantity,
       productId,
       userId,
-      priceAtAdd: product.price,
-      variant,
+      priceAtAdd: unitPrice,
+      variantId: variant ? variant._id : null,
       status: 'active'
     });
 
@@ -221,14 +290,16 @@ export const getCartItems = async (req, res) => {
     const cartItems = await CartProductModel.find(query)
       .populate({
         path: 'productId',
-        select: 'name price oldPrice images brand countInStock discount rating isFeatured',
+        select: 'name price oldPrice images brand countInStock discount rating isFeatured variants',
         match: { _id: { $exists: true } } // Only include if product still exists
       })
       .sort({ createdAt: -1 }) // Most recent first
       .lean();
 
     // Filter out items where product has been deleted
-    const validCartItems = cartItems.filter(item => item.productId !== null);
+    const validCartItems = cartItems
+      .filter(item => item.productId !== null)
+      .map(attachCartVariant);
 
     // Calculate cart summary
     const summary = {
@@ -239,41 +310,39 @@ export const getCartItems = async (req, res) => {
       }, 0),
       estimatedTotal: validCartItems.reduce((sum, item) => {
         // Use current price for estimation
-        const currentPrice = item.productId?.price || item.priceAtAdd;
+        const currentPrice = item.currentPrice || item.priceAtAdd;
         return sum + (currentPrice * item.quantity);
       }, 0)
     };
 
     // Check for stock issues
     const stockIssues = validCartItems.filter(item => {
-      const product = item.productId;
-      return product && (
-        product.countInStock === 0 || 
-        product.countInStock < item.quantity
-      );
+      return item.availableStock === 0 || 
+        item.availableStock < item.quantity;
     }).map(item => ({
       cartItemId: item._id,
       productId: item.productId._id,
       productName: item.productId.name,
+      variantId: item.variantId,
       requestedQuantity: item.quantity,
-      availableStock: item.productId.countInStock,
-      message: item.productId.countInStock === 0 
+      availableStock: item.availableStock,
+      message: item.availableStock === 0 
         ? 'Out of stock' 
-        : `Only ${item.productId.countInStock} available`
+        : `Only ${item.availableStock} available`
     }));
 
     // Check for price changes
     const priceChanges = validCartItems.filter(item => {
-      const product = item.productId;
-      return product && product.price !== item.priceAtAdd;
+      return item.currentPrice !== item.priceAtAdd;
     }).map(item => ({
       cartItemId: item._id,
       productId: item.productId._id,
       productName: item.productId.name,
+      variantId: item.variantId,
       oldPrice: item.priceAtAdd,
-      newPrice: item.productId.price,
-      difference: item.productId.price - item.priceAtAdd,
-      percentChange: ((item.productId.price - item.priceAtAdd) / item.priceAtAdd * 100).toFixed(2)
+      newPrice: item.currentPrice,
+      difference: item.currentPrice - item.priceAtAdd,
+      percentChange: ((item.currentPrice - item.priceAtAdd) / item.priceAtAdd * 100).toFixed(2)
     }));
 
     return res.status(200).json({
@@ -389,8 +458,21 @@ export const updateCartItemQuantity = async (req, res) => {
       });
     }
 
+    const { variant, error: variantError } = resolvePurchasableVariant(product, cartItem.variantId);
+    if (variantError) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        message: variantError,
+        error: true,
+        success: false
+      });
+    }
+
+    const availableStock = getAvailableStock(product, variant);
+    const unitPrice = getUnitPrice(product, variant);
+
     // Check stock availability
-    if (product.countInStock === 0) {
+    if (availableStock === 0) {
       await session.abortTransaction();
       return res.status(400).json({
         message: 'Product is out of stock',
@@ -400,13 +482,13 @@ export const updateCartItemQuantity = async (req, res) => {
       });
     }
 
-    if (quantity > product.countInStock) {
+    if (quantity > availableStock) {
       await session.abortTransaction();
       return res.status(400).json({
-        message: `Only ${product.countInStock} items available in stock`,
+        message: `Only ${availableStock} items available in stock`,
         error: true,
         success: false,
-        availableStock: product.countInStock,
+        availableStock,
         requestedQuantity: quantity
       });
     }
@@ -416,7 +498,7 @@ export const updateCartItemQuantity = async (req, res) => {
 
     // Update cart item quantity (SET, not ADD)
     cartItem.quantity = quantity;
-    cartItem.priceAtAdd = product.price; // Update to current price
+    cartItem.priceAtAdd = unitPrice; // Update to current price
     cartItem.status = 'active'; // Ensure status is active
     
     await cartItem.save({ session });
@@ -435,9 +517,9 @@ export const updateCartItemQuantity = async (req, res) => {
           oldQuantity,
           newQuantity: quantity,
           quantityDifference: quantity - oldQuantity,
-          oldTotal: oldQuantity * product.price,
-          newTotal: quantity * product.price,
-          totalDifference: (quantity - oldQuantity) * product.price
+          oldTotal: oldQuantity * unitPrice,
+          newTotal: quantity * unitPrice,
+          totalDifference: (quantity - oldQuantity) * unitPrice
         }
       },
       error: false,
@@ -534,13 +616,25 @@ export const incrementCartQuantity = async (req, res) => {
       });
     }
 
-    if (cartItem.quantity + 1 > product.countInStock) {
+    const { variant, error: variantError } = resolvePurchasableVariant(product, cartItem.variantId);
+    if (variantError) {
       await session.abortTransaction();
       return res.status(400).json({
-        message: `Maximum available stock reached (${product.countInStock})`,
+        message: variantError,
+        error: true,
+        success: false
+      });
+    }
+
+    const availableStock = getAvailableStock(product, variant);
+
+    if (cartItem.quantity + 1 > availableStock) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        message: `Maximum available stock reached (${availableStock})`,
         error: true,
         success: false,
-        availableStock: product.countInStock,
+        availableStock,
         currentQuantity: cartItem.quantity
       });
     }
@@ -701,14 +795,8 @@ export const deleteCartItem = async (req, res) => {
     // Delete cart item
     await CartProductModel.deleteOne({ _id: id, userId }).session(session);
 
-    // Remove product from user's shopping_cart array
-    await UserModel.findByIdAndUpdate(
-      userId,
-      {
-        $pull: { shopping_cart: cartItem.productId }
-      },
-      { session }
-    );
+    // Remove product from user's shopping_cart array, unless another variant is still in the cart
+    await pullProductsWithoutCartLines(userId, [cartItem.productId], session);
 
     await session.commitTransaction();
 
@@ -809,13 +897,7 @@ export const clearCart = async (req, res) => {
     } else {
       // Remove only deleted product IDs
       const productIds = itemsToDelete.map(item => item.productId);
-      await UserModel.findByIdAndUpdate(
-        userId,
-        {
-          $pull: { shopping_cart: { $in: productIds } }
-        },
-        { session }
-      );
+      await pullProductsWithoutCartLines(userId, productIds, session);
     }
 
     await session.commitTransaction();
@@ -920,14 +1002,8 @@ export const deleteCartItemsBatch = async (req, res) => {
       userId
     }).session(session);
 
-    // Remove products from user's shopping_cart array
-    await UserModel.findByIdAndUpdate(
-      userId,
-      {
-        $pull: { shopping_cart: { $in: productIds } }
-      },
-      { session }
-    );
+    // Remove products from user's shopping_cart array, unless another variant is still in the cart
+    await pullProductsWithoutCartLines(userId, productIds, session);
 
     await session.commitTransaction();
 
@@ -1067,7 +1143,18 @@ export const moveToCart = async (req, res) => {
       });
     }
 
-    if (cartItem.productId.countInStock === 0) {
+    const { variant, error: variantError } = resolvePurchasableVariant(cartItem.productId, cartItem.variantId);
+    if (variantError) {
+      return res.status(400).json({
+        message: variantError,
+        error: true,
+        success: false
+      });
+    }
+
+    const availableStock = getAvailableStock(cartItem.productId, variant);
+
+    if (availableStock === 0) {
       return res.status(400).json({
         message: 'Product is out of stock',
         error: true,
@@ -1075,18 +1162,18 @@ export const moveToCart = async (req, res) => {
       });
     }
 
-    if (cartItem.quantity > cartItem.productId.countInStock) {
+    if (cartItem.quantity > availableStock) {
       return res.status(400).json({
-        message: `Only ${cartItem.productId.countInStock} items available. Please update quantity first.`,
+        message: `Only ${availableStock} items available. Please update quantity first.`,
         error: true,
         success: false,
-        availableStock: cartItem.productId.countInStock,
+        availableStock,
         currentQuantity: cartItem.quantity
       });
     }
 
     cartItem.status = 'active';
-    cartItem.priceAtAdd = cartItem.productId.price; // Update to current price
+    cartItem.priceAtAdd = getUnitPrice(cartItem.productId, variant); // Update to current price
     await cartItem.save();
 
     const populatedCartItem = await CartProductModel.findById(cartItem._id)
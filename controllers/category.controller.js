@@ -1,6 +1,7 @@
 import CategoryModel from '../models/category.model.js';
 import { uploadCategoryImage, deleteImage } from '../utils/cloudinary.js';
 import fs from 'fs';
+import { recordAudit, toAuditSnapshot } from '../helpers/audit.helper.js';
 
 // Create a new category
 export async function createCategory(req, res) {
@@ -594,6 +595,8 @@ export async function updateCategory(req, res) {
             }
         }
 
+        const before = toAuditSnapshot(category);
+
         // Update fields
         if (name && name.trim() !== '') {
             category.name = name.trim();
@@ -644,6 +647,14 @@ export async function updateCategory(req, res) {
 
         await category.save();
 
+        await recordAudit(req, {
+            action: 'category.update',
+            targetType: 'Category',
+            targetId: category._id,
+            before,
+            after: category
+        });
+
         // Populate and return
         const updatedCategory = await CategoryModel.findById(categoryId)
             .populate('parentCategory', 'name slug');
@@ -722,6 +733,13 @@ export async function deleteCategory(req, res) {
         // Delete category
         await CategoryModel.findByIdAndDelete(categoryId);
 
+        await recordAudit(req, {
+            action: 'category.delete',
+            targetType: 'Category',
+            targetId: category._id,
+            before: category
+        });
+
         return res.status(200).json({
             message: 'Category deleted successfully',
             error: false,
@@ -1,4 +1,4 @@
-import MyListModel from "../models/myList.model.js";
+import MyListModel from "../models/mylist.model.js";
 import ProductModel from "../models/product.model.js";
 import mongoose from "mongoose";
 
@@ -0,0 +1,223 @@
+import UserModel from "../models/user.model.js";
+import { getEnabledOAuthProviders, getOAuthProvider } from "../config/oauthProviders.js";
+import {
+    OAUTH_STATE_COOKIE,
+    OAUTH_STATE_COOKIE_OPTIONS,
+    consumeAuthorizationState,
+    createAuthorizationUrl,
+    exchangeAuthorizationCode,
+    resolveOAuthUser
+} from "../helpers/oauth.helper.js";
+import { createUserSession, setAuthCookies } from "../helpers/session.helper.js";
+import { createTwoFactorChallenge } from "../helpers/twoFactor.helper.js";
+import { cancelAccountDeletion } from "../helpers/accountDeletion.helper.js";
+
+const RESOLVE_ERRORS = {
+    EMAIL_NOT_VERIFIED: 'Your email is not verified with this provider',
+    LOCAL_EMAIL_NOT_VERIFIED: 'An unverified account already uses this email. Verify it or log in with your password first.',
+    ACCOUNT_NOT_ACTIVE: 'User account is not active'
+};
+
+/**
+ * Helper function to finish the callback: JSON by default, or a redirect to the
+ * frontend (OAUTH_REDIRECT_URL) with the result in the URL fragment
+ */
+function sendOAuthResult(res, status, body) {
+    const redirectUrl = process.env.OAUTH_REDIRECT_URL;
+    if (!redirectUrl) {
+        return res.status(status).json(body);
+    }
+
+    // Tokens travel in cookies, only the 2FA challenge goes in the fragment
+    let fragment;
+    if (!body.success) {
+        fragment = { status: 'error', message: body.message };
+    } else if (body.data?.twoFactorRequired) {
+        fragment = { status: '2fa_required', twoFactorToken: body.data.twoFactorToken };
+    } else {
+        fragment = { status: 'success' };
+    }
+
+    return res.redirect(`${redirectUrl}#${new URLSearchParams(fragment).toString()}`);
+}
+
+/**
+ * @desc    List configured OAuth providers
+ * @route   GET /api/auth/oauth/providers
+ * @access  Public
+ */
+export async function getOAuthProvidersController(req, res) {
+    return res.status(200).json({
+        message: 'OAuth providers retrieved successfully',
+        error: false,
+        success: true,
+        data: getEnabledOAuthProviders()
+    });
+}
+
+/**
+ * @desc    Start the OAuth login: redirects to the provider
+ *          (?redirect=false returns the URL instead)
+ * @route   GET /api/auth/oauth/:provider
+ * @access  Public
+ */
+export async function startOAuthController(req, res) {
+    try {
+        const provider = getOAuthProvider(req.params.provider);
+        if (!provider) {
+            return res.status(404).json({
+                message: 'Unknown or disabled OAuth provider',
+                error: true,
+                success: false
+            });
+        }
+
+        const { authorizationUrl, state } = await createAuthorizationUrl(provider);
+
+        // Only the browser that started the login can complete it
+        res.cookie(OAUTH_STATE_COOKIE, state, OAUTH_STATE_COOKIE_OPTIONS);
+
+        if (req.query.redirect === 'false') {
+            return res.status(200).json({
+                message: 'Authorization URL created',
+                error: false,
+                success: true,
+                data: { authorizationUrl }
+            });
+        }
+
+        return res.redirect(authorizationUrl);
+
+    } catch (error) {
+        console.error('Start OAuth Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Failed to start OAuth login',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * @desc    OAuth callback: exchanges the code, links or creates the user and signs in
+ * @route   GET /api/auth/oauth/:provider/callback
+ * @access  Public
+ */
+export async function oauthCallbackController(req, res) {
+    try {
+        const provider = getOAuthProvider(req.params.provider);
+        if (!provider) {
+            return sendOAuthResult(res, 404, {
+                message: 'Unknown or disabled OAuth provider',
+                error: true,
+                success: false
+            });
+        }
+
+        const { code, state, error: providerError } = req.query;
+
+        // State is consumed even when the provider reports an error
+        const authRequest = await consumeAuthorizationState(
+            state,
+            provider.name,
+            req.cookies?.[OAUTH_STATE_COOKIE]
+        );
+        res.clearCookie(OAUTH_STATE_COOKIE, OAUTH_STATE_COOKIE_OPTIONS);
+
+        if (providerError) {
+            return sendOAuthResult(res, 400, {
+                message: `Login was cancelled or refused by ${provider.name}`,
+                error: true,
+                success: false
+            });
+        }
+
+        if (!authRequest || !code) {
+            return sendOAuthResult(res, 400, {
+                message: 'Invalid or expired OAuth state. Please try again.',
+                error: true,
+                success: false
+            });
+        }
+
+        let profile;
+        try {
+            const accessToken = await exchangeAuthorizationCode(provider, code, authRequest.codeVerifier);
+            profile = await provider.getProfile(accessToken);
+        } catch (providerFailure) {
+            console.error('OAuth Provider Error:', providerFailure);
+            return sendOAuthResult(res, 502, {
+                message: `Could not complete login with ${provider.name}`,
+                error: true,
+                success: false
+            });
+        }
+
+        const { user, created, linked, error } = await resolveOAuthUser(provider.name, profile);
+
+        if (error) {
+            return sendOAuthResult(res, error === 'LOCAL_EMAIL_NOT_VERIFIED' ? 409 : 403, {
+                message: RESOLVE_ERRORS[error],
+                error: true,
+                success: false
+            });
+        }
+
+        if (user.status !== 'Active' && user.status !== 'PendingDeletion') {
+            return sendOAuthResult(res, 403, {
+                message: 'User account is not active',
+                error: true,
+                success: false
+            });
+        }
+
+        // The provider replaces the password, not the second factor
+        if (user.two_factor?.enabled) {
+            return sendOAuthResult(res, 200, {
+                message: 'Two-factor authentication required',
+                error: false,
+                success: true,
+                data: {
+                    twoFactorRequired: true,
+                    twoFactorToken: createTwoFactorChallenge(user)
+                }
+            });
+        }
+
+        const deletionCancelled = user.status === 'PendingDeletion'
+            && await cancelAccountDeletion(user._id);
+
+        const { accessToken, refreshToken } = await createUserSession(user, req);
+
+        await UserModel.findByIdAndUpdate(
+            user._id,
+            { last_login_date: Date.now() },
+        );
+
+        setAuthCookies(res, { accessToken, refreshToken });
+
+        return sendOAuthResult(res, created ? 201 : 200, {
+            message: deletionCancelled
+                ? 'Login successful. Your account deletion has been cancelled.'
+                : 'Login successful',
+            error: false,
+            success: true,
+            data: {
+                accessToken,
+                refreshToken,
+                accountCreated: Boolean(created),
+                accountLinked: Boolean(linked)
+            }
+        });
+
+    } catch (error) {
+        console.error('OAuth Callback Error:', error);
+
+        return sendOAuthResult(res, 500, {
+            message: error.message || 'OAuth login failed',
+            error: true,
+            success: false
+        });
+    }
+}
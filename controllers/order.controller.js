@@ -0,0 +1,710 @@
+import mongoose from "mongoose";
+import OrderModel from "../models/order.model.js";
+import CartProductModel from "../models/cartproduct.model.js";
+import ProductModel from "../models/product.model.js";
+import UserModel from "../models/user.model.js";
+import AddressModel from "../models/address.model.js";
+import {
+    CANCELLABLE_ORDER_STATUSES,
+    ORDER_STATUSES,
+    ORDER_STATUS_TRANSITIONS,
+    buildOrderFilter,
+    buildOrderLookup,
+    buildOrderSort,
+    canTransitionOrderStatus,
+    cancelOrder,
+    buildStockReservation,
+    generateOrderId,
+    isRefundDue,
+    refundOrderPayment,
+    snapshotDeliveryAddress
+} from "../helpers/order.helper.js";
+import {
+    buildPaginationMetadata,
+    validatePaginationParams
+} from "../helpers/product.helper.js";
+import { getPaymentCurrency, getPaymentProvider } from "../config/paymentService.js";
+import { resolvePurchasableVariant, variantAttributesToObject } from "../helpers/variant.helper.js";
+import { markVerifiedPurchases, unmarkVerifiedPurchases } from "../helpers/review.helper.js";
+
+/**
+ * Helper function to refund an order once the transaction that marked it
+ * 'refund_pending' is committed. A provider error leaves the marker in place
+ * so the refund can be retried.
+ * @returns {Promise<{order: object, refundStatus: string|null}>} refundStatus is
+ *   succeeded, pending or failed, null when no refund was due
+ */
+async function settleOrderRefund(order, options) {
+    if (!isRefundDue(order)) {
+        return { order, refundStatus: null };
+    }
+
+    try {
+        const { refund, order: updatedOrder } = await refundOrderPayment(order, options);
+        return { order: updatedOrder, refundStatus: refund.status };
+    } catch (error) {
+        console.error('Refund Order Payment Error:', error);
+        return { order, refundStatus: 'failed' };
+    }
+}
+
+/**
+ * Helper function to undo a checkout whose payment could not be started:
+ * the order is cancelled (its stock goes back) and the purchased lines return to the cart
+ */
+async function releaseUnpaidCheckout(order, cartItems) {
+    const session = await mongoose.startSession();
+
+    try {
+        session.startTransaction();
+
+        await cancelOrder(order, { reason: 'Payment could not be started', session });
+
+        await CartProductModel.insertMany(cartItems.map(item => item.toObject()), { session });
+        await UserModel.findByIdAndUpdate(
+            order.userId,
+            { $addToSet: { shopping_cart: { $each: cartItems.map(item => item.productId) } } },
+            { session }
+        );
+
+        await session.commitTransaction();
+    } catch (error) {
+        await session.abortTransaction();
+        console.error('Release Unpaid Checkout Error:', error);
+    } finally {
+        session.endSession();
+    }
+}
+
+/**
+ * Helper function to get the address an order ships to: the snapshot taken at checkout,
+ * or the address book entry for orders placed before snapshots existed
+ * @returns {Promise<object|null>}
+ */
+async function resolveOrderDeliveryAddress(order) {
+    if (order.delivery_address_snapshot) {
+        return order.delivery_address_snapshot;
+    }
+
+    if (!order.delivery_address) return null;
+
+    const address = await AddressModel.findById(order.delivery_address).lean();
+    return address ? snapshotDeliveryAddress(address) : null;
+}
+
+/**
+ * @desc    Checkout: turn the user's active cart items into a single order
+ * @route   POST /api/orders/checkout
+ * @access  Private
+ */
+export async function checkoutController(req, res) {
+    const session = await mongoose.startSession();
+
+    try {
+        session.startTransaction();
+
+        const userId = req.userId;
+        const { addressId } = req.body ?? {};
+
+        // ================ RESOLVE DELIVERY ADDRESS ================
+
+        if (addressId && !mongoose.Types.ObjectId.isValid(addressId)) {
+            await session.abortTransaction();
+            return res.status(400).json({
+                message: 'Invalid address ID format',
+                error: true,
+                success: false
+            });
+        }
+
+        // Fall back to the default address when none is given
+        const deliveryAddress = await AddressModel.findOne(
+            addressId
+                ? { _id: addressId, userId, status: true }
+                : { userId, status: true, is_default: true }
+        ).session(session);
+
+        if (!deliveryAddress) {
+            await session.abortTransaction();
+            return res.status(addressId ? 404 : 400).json({
+                message: addressId ? 'Delivery address not found' : 'Delivery address is required',
+                error: true,
+                success: false
+            });
+        }
+
+        // ================ LOAD ACTIVE CART ================
+
+        const cartItems = await CartProductModel.find({
+            userId,
+            status: 'active'
+        }).session(session);
+
+        if (cartItems.length === 0) {
+            await session.abortTransaction();
+            return res.status(400).json({
+                message: 'Your cart is empty',
+                error: true,
+                success: false
+            });
+        }
+
+        // ================ RESERVE STOCK ================
+
+        const unavailableItems = [];
+        const purchasedLines = [];
+
+        for (const item of cartItems) {
+            // Conditional decrement: only succeeds if enough stock is left
+            const { filter, update } = buildStockReservation(item);
+            const product = await ProductModel.findOneAndUpdate(
+                filter,
+                update,
+                { new: true, session }
+            );
+
+            if (!product) {
+                const current = await ProductModel.findById(item.productId)
+                    .select('name countInStock variants')
+                    .session(session);
+
+                const { variant, error: variantError } = current
+                    ? resolvePurchasableVariant(current, item.variantId)
+                    : { variant: null, error: 'Product no longer exists' };
+                const availableStock = variantError ? 0 : (variant ? variant.countInStock : current.countInStock);
+
+                unavailableItems.push({
+                    cartItemId: item._id,
+                    productId: item.productId,
+                    variantId: item.variantId,
+                    productName: current?.name || null,
+                    requestedQuantity: item.quantity,
+                    availableStock,
+                    message: variantError || `Only ${availableStock} available`
+                });
+                continue;
+            }
+
+            const variant = item.variantId ? product.variants.id(item.variantId) : null;
+            purchasedLines.push({ item, product, variant });
+        }
+
+        if (unavailableItems.length > 0) {
+            await session.abortTransaction();
+            return res.status(409).json({
+                message: 'Some items in your cart are no longer available',
+                error: true,
+                success: false,
+                unavailableItems
+            });
+        }
+
+        // ================ CREATE ORDER ================
+
+        const order = new OrderModel({
+            userId,
+            orderId: generateOrderId(),
+            items: purchasedLines.map(({ item, product, variant }) => ({
+                productId: product._id,
+                name: product.name,
+                image: variant?.images?.[0]?.url || product.images?.[0]?.url || '',
+                brand: product.brand,
+                quantity: item.quantity,
+                price: variant ? variant.price : product.price,
+                oldPrice: (variant ? variant.oldPrice : product.oldPrice) || 0,
+                discount: product.discount || 0,
+                variantId: variant ? variant._id : null,
+                sku: variant ? variant.sku : '',
+                variant: variant ? variantAttributesToObject(variant.attributes) : null
+            })),
+            payment_status: 'pending',
+            delivery_address: deliveryAddress._id,
+            delivery_address_snapshot: snapshotDeliveryAddress(deliveryAddress)
+        });
+
+        // Validation derives the order totals from its line items
+        await order.validate();
+
+        await order.save({ session });
+
+        // ================ CLEAR PURCHASED CART LINES ================
+
+        await CartProductModel.deleteMany({
+            _id: { $in: cartItems.map(item => item._id) },
+            userId
+        }).session(session);
+
+        await UserModel.findByIdAndUpdate(
+            userId,
+            {
+                $pull: { shopping_cart: { $in: cartItems.map(item => item.productId) } },
+                $push: { order_history: order._id }
+            },
+            { session }
+        );
+
+        await session.commitTransaction();
+
+        // ================ CREATE PAYMENT INTENT ================
+
+        // Only once the order is committed: the provider round-trip does not hold the
+        // transaction open, and an aborted checkout never leaves an intent behind
+        const paymentProvider = getPaymentProvider();
+        let paymentIntent;
+
+        try {
+            paymentIntent = await paymentProvider.createPaymentIntent({
+                orderId: order.orderId,
+                amount: order.totalAmount,
+                currency: getPaymentCurrency(),
+                metadata: { userId: String(userId) }
+            });
+        } catch (paymentError) {
+            console.error('Create Payment Intent Error:', paymentError);
+            await releaseUnpaidCheckout(order, cartItems);
+
+            return res.status(502).json({
+                message: 'Payment could not be started. Your cart was restored, please try again.',
+                error: true,
+                success: false
+            });
+        }
+
+        // Conditional: the customer may have cancelled the order in the meantime
+        const placedOrder = await OrderModel.findOneAndUpdate(
+            { _id: order._id, status: 'pending', paymentId: '' },
+            { $set: { paymentId: paymentIntent.id, payment_provider: paymentProvider.name } },
+            { new: true }
+        );
+
+        if (!placedOrder) {
+            return res.status(409).json({
+                message: 'Order was cancelled before its payment could start',
+                error: true,
+                success: false
+            });
+        }
+
+        return res.status(201).json({
+            message: 'Order placed successfully',
+            error: false,
+            success: true,
+            data: placedOrder,
+            payment: {
+                provider: paymentProvider.name,
+                paymentId: paymentIntent.id,
+                clientSecret: paymentIntent.clientSecret,
+                status: paymentIntent.status
+            }
+        });
+
+    } catch (error) {
+        // The payment intent step runs after the commit
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+        console.error('Checkout Error:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                message: error.message,
+                error: true,
+                success: false
+            });
+        }
+
+        return res.status(500).json({
+            message: 'Failed to place order. Please try again later',
+            error: true,
+            success: false
+        });
+    } finally {
+        session.endSession();
+    }
+}
+
+/**
+ * @desc    Advance order fulfilment status
+ * @route   PATCH /api/orders/:orderId/status
+ * @access  Private/Admin
+ */
+export async function updateOrderStatusController(req, res) {
+    const session = await mongoose.startSession();
+
+    try {
+        session.startTransaction();
+
+        const { orderId } = req.params;
+        const { status, note = '' } = req.body;
+
+        if (!status || !ORDER_STATUSES.includes(status)) {
+            await session.abortTransaction();
+            return res.status(400).json({
+                message: `Invalid status. Must be one of: ${ORDER_STATUSES.join(', ')}`,
+                error: true,
+                success: false
+            });
+        }
+
+        const order = await OrderModel.findOne(buildOrderLookup(orderId)).session(session);
+        if (!order) {
+            await session.abortTransaction();
+            return res.status(404).json({
+                message: 'Order not found',
+                error: true,
+                success: false
+            });
+        }
+
+        if (!canTransitionOrderStatus(order.status, status)) {
+            await session.abortTransaction();
+            return res.status(400).json({
+                message: `Cannot change order status from ${order.status} to ${status}`,
+                error: true,
+                success: false,
+                currentStatus: order.status,
+                allowedStatuses: ORDER_STATUS_TRANSITIONS[order.status]
+            });
+        }
+
+        if (status === 'cancelled') {
+            // Cancelling always gives the reserved stock back
+            await cancelOrder(order, {
+                reason: note || 'Cancelled by admin',
+                changedBy: req.userId,
+                actorType: 'admin',
+                session
+            });
+        } else if (status === 'refunded' && order.paymentId) {
+            // Only marked here: the provider is called once the transaction is committed
+            if (order.payment_status !== 'refund_pending') {
+                order.payment_status = 'refund_pending';
+                order.refundId = '';
+            }
+            await order.save({ session });
+        } else {
+            order.transitionTo(status, {
+                changedBy: req.userId,
+                actorType: 'admin',
+                note
+            });
+            await order.save({ session });
+        }
+
+        await session.commitTransaction();
+
+        const { order: updatedOrder, refundStatus } = await settleOrderRefund(order, {
+            reason: note || order.cancellation?.reason || '',
+            changedBy: req.userId,
+            actorType: 'admin'
+        });
+
+        // A delivered order taken back no longer verifies the customer's reviews
+        if (['cancelled', 'refunded'].includes(updatedOrder.status)) {
+            await unmarkVerifiedPurchases(order).catch(error =>
+                console.error('Unmark Verified Purchases Error:', error)
+            );
+        }
+
+        if (status === 'refunded' && updatedOrder.status !== 'refunded') {
+            const refundFailed = refundStatus === 'failed';
+            return res.status(refundFailed ? 502 : 202).json({
+                message: refundFailed ? 'Refund failed at payment provider' : 'Refund is being processed',
+                error: refundFailed,
+                success: !refundFailed,
+                data: updatedOrder
+            });
+        }
+
+        // Reviews written before delivery earn the verified purchase badge now
+        if (status === 'delivered') {
+            await markVerifiedPurchases(order).catch(error =>
+                console.error('Mark Verified Purchases Error:', error)
+            );
+        }
+
+        return res.status(200).json({
+            message: `Order status updated to ${status}`,
+            error: false,
+            success: true,
+            data: updatedOrder
+        });
+
+    } catch (error) {
+        await session.abortTransaction();
+        console.error('Update Order Status Error:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                message: error.message,
+                error: true,
+                success: false
+            });
+        }
+
+        return res.status(500).json({
+            message: error.message || 'Failed to update order status',
+            error: true,
+            success: false
+        });
+    } finally {
+        session.endSession();
+    }
+}
+
+/**
+ * @desc    Get status timeline of the user's order
+ * @route   GET /api/orders/:orderId/timeline
+ * @access  Private
+ */
+export async function getOrderTimelineController(req, res) {
+    try {
+        const { orderId } = req.params;
+
+        const order = await OrderModel.findOne({
+            ...buildOrderLookup(orderId),
+            userId: req.userId
+        })
+            .select('orderId status statusHistory delivery_address delivery_address_snapshot createdAt')
+            .lean();
+
+        if (!order) {
+            return res.status(404).json({
+                message: 'Order not found',
+                error: true,
+                success: false
+            });
+        }
+
+        return res.status(200).json({
+            message: 'Order timeline retrieved successfully',
+            error: false,
+            success: true,
+            data: {
+                orderId: order.orderId,
+                currentStatus: order.status,
+                deliveryAddress: await resolveOrderDeliveryAddress(order),
+                timeline: order.statusHistory.map(entry => ({
+                    status: entry.status,
+                    changedAt: entry.changedAt,
+                    actorType: entry.actorType,
+                    note: entry.note
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Get Order Timeline Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Failed to retrieve order timeline',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * @desc    Get orders of the authenticated user (with pagination and filtering)
+ * @route   GET /api/orders/me
+ * @access  Private
+ */
+export async function getMyOrdersController(req, res) {
+    try {
+        const { pageNum, limitNum, errors: paginationErrors } = validatePaginationParams(
+            req.query.page,
+            req.query.limit
+        );
+
+        const { filter, errors: filterErrors } = buildOrderFilter(
+            { userId: req.userId },
+            req.query
+        );
+
+        const errors = [...paginationErrors, ...filterErrors];
+        if (errors.length > 0) {
+            return res.status(400).json({
+                message: errors.join(', '),
+                error: true,
+                success: false
+            });
+        }
+
+        const sortObj = buildOrderSort(req.query.sort);
+        const skip = (pageNum - 1) * limitNum;
+
+        const [totalOrders, orders] = await Promise.all([
+            OrderModel.countDocuments(filter),
+            OrderModel.find(filter)
+                .sort(sortObj)
+                .skip(skip)
+                .limit(limitNum)
+                .select('-statusHistory -__v')
+                .lean()
+        ]);
+
+        return res.status(200).json({
+            message: 'Orders retrieved successfully',
+            error: false,
+            success: true,
+            data: orders,
+            pagination: buildPaginationMetadata(pageNum, limitNum, totalOrders),
+            appliedFilters: {
+                status: req.query.status || null,
+                from: req.query.from || null,
+                to: req.query.to || null,
+                sort: req.query.sort || '-createdAt'
+            }
+        });
+
+    } catch (error) {
+        console.error('Get My Orders Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Failed to retrieve orders',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * @desc    Get a single order of the authenticated user
+ * @route   GET /api/orders/:orderId
+ * @access  Private
+ */
+export async function getOrderByIdController(req, res) {
+    try {
+        const { orderId } = req.params;
+
+        const order = await OrderModel.findOne({
+            ...buildOrderLookup(orderId),
+            userId: req.userId
+        })
+            .select('-__v')
+            .lean();
+
+        if (!order) {
+            return res.status(404).json({
+                message: 'Order not found',
+                error: true,
+                success: false
+            });
+        }
+
+        const { delivery_address_snapshot, ...orderData } = order;
+
+        return res.status(200).json({
+            message: 'Order retrieved successfully',
+            error: false,
+            success: true,
+            data: {
+                ...orderData,
+                delivery_address: await resolveOrderDeliveryAddress(order)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get Order By ID Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Failed to retrieve order',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * @desc    Cancel an order of the authenticated user and restore stock
+ * @route   POST /api/orders/:orderId/cancel
+ * @access  Private
+ */
+export async function cancelOrderController(req, res) {
+    const session = await mongoose.startSession();
+
+    try {
+        session.startTransaction();
+
+        const { orderId } = req.params;
+        const reason = req.body?.reason?.trim();
+
+        if (!reason) {
+            await session.abortTransaction();
+            return res.status(400).json({
+                message: 'Cancellation reason is required',
+                error: true,
+                success: false
+            });
+        }
+
+        if (reason.length > 500) {
+            await session.abortTransaction();
+            return res.status(400).json({
+                message: 'Cancellation reason cannot exceed 500 characters',
+                error: true,
+                success: false
+            });
+        }
+
+        const order = await OrderModel.findOne({
+            ...buildOrderLookup(orderId),
+            userId: req.userId
+        }).session(session);
+
+        if (!order) {
+            await session.abortTransaction();
+            return res.status(404).json({
+                message: 'Order not found',
+                error: true,
+                success: false
+            });
+        }
+
+        if (!CANCELLABLE_ORDER_STATUSES.includes(order.status)) {
+            await session.abortTransaction();
+            return res.status(400).json({
+                message: `Order can no longer be cancelled (current status: ${order.status})`,
+                error: true,
+                success: false,
+                currentStatus: order.status
+            });
+        }
+
+        await cancelOrder(order, {
+            reason,
+            changedBy: req.userId,
+            actorType: 'customer',
+            session
+        });
+
+        await session.commitTransaction();
+
+        const { order: updatedOrder, refundStatus } = await settleOrderRefund(order, {
+            reason,
+            changedBy: req.userId,
+            actorType: 'customer'
+        });
+
+        return res.status(200).json({
+            message: refundStatus && refundStatus !== 'succeeded'
+                ? 'Order cancelled successfully. Your refund is being processed.'
+                : 'Order cancelled successfully',
+            error: false,
+            success: true,
+            data: updatedOrder
+        });
+
+    } catch (error) {
+        await session.abortTransaction();
+        console.error('Cancel Order Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Failed to cancel order',
+            error: true,
+            success: false
+        });
+    } finally {
+        session.endSession();
+    }
+}
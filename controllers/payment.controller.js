@@ -0,0 +1,317 @@
+import mongoose from "mongoose";
+import OrderModel from "../models/order.model.js";
+import PaymentEventModel from "../models/paymentEvent.model.js";
+import { getPaymentProvider } from "../config/paymentService.js";
+import {
+    buildOrderLookup,
+    canTransitionOrderStatus,
+    isRefundDue,
+    refundOrderPayment,
+    saveOrderFromStatus
+} from "../helpers/order.helper.js";
+import { unmarkVerifiedPurchases } from "../helpers/review.helper.js";
+
+/**
+ * @desc    Confirm the payment of a pending order
+ * @route   POST /api/payments/:orderId/confirm
+ * @access  Private
+ */
+export async function confirmPaymentController(req, res) {
+    try {
+        const { orderId } = req.params;
+        const { paymentMethod } = req.body ?? {};
+
+        const order = await OrderModel.findOne({
+            ...buildOrderLookup(orderId),
+            userId: req.userId
+        });
+
+        if (!order) {
+            return res.status(404).json({
+                message: 'Order not found',
+                error: true,
+                success: false
+            });
+        }
+
+        if (order.status !== 'pending') {
+            return res.status(400).json({
+                message: `Order cannot be paid (current status: ${order.status})`,
+                error: true,
+                success: false,
+                currentStatus: order.status
+            });
+        }
+
+        if (!order.paymentId) {
+            return res.status(400).json({
+                message: 'Order has no payment to confirm',
+                error: true,
+                success: false
+            });
+        }
+
+        const provider = getPaymentProvider();
+        const result = await provider.confirmPayment(order.paymentId, { paymentMethod });
+
+        if (result.status === 'failed') {
+            order.payment_status = 'failed';
+        } else if (result.status === 'succeeded') {
+            order.transitionTo('paid', {
+                changedBy: req.userId,
+                actorType: 'customer',
+                note: `Payment confirmed via ${provider.name}`
+            });
+        } else {
+            // Provider settles asynchronously, webhook will finish the job
+            order.payment_status = result.status;
+        }
+
+        // Only written while the order is still pending: a cancellation committed
+        // during the provider call already released the stock
+        const updatedOrder = await saveOrderFromStatus(order, 'pending');
+
+        if (!updatedOrder) {
+            if (result.status === 'succeeded') {
+                await refundLatePayment(order._id);
+            }
+
+            return res.status(409).json({
+                message: 'Order was changed while the payment was being confirmed',
+                error: true,
+                success: false
+            });
+        }
+
+        if (result.status === 'failed') {
+            return res.status(402).json({
+                message: result.failureReason || 'Payment failed',
+                error: true,
+                success: false,
+                data: {
+                    orderId: updatedOrder.orderId,
+                    paymentId: updatedOrder.paymentId,
+                    payment_status: updatedOrder.payment_status
+                }
+            });
+        }
+
+        return res.status(200).json({
+            message: result.status === 'succeeded'
+                ? 'Payment confirmed successfully'
+                : 'Payment is being processed',
+            error: false,
+            success: true,
+            data: updatedOrder
+        });
+
+    } catch (error) {
+        console.error('Confirm Payment Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Failed to confirm payment',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * Helper function to refund a payment that succeeded after its order was cancelled.
+ * A provider error leaves the order 'refund_pending' for manual follow-up.
+ */
+async function refundLatePayment(orderId) {
+    try {
+        const order = await OrderModel.findOneAndUpdate(
+            { _id: orderId, status: 'cancelled', refundId: '', payment_status: { $ne: 'refund_pending' } },
+            { $set: { payment_status: 'refund_pending' } },
+            { new: true }
+        );
+
+        if (order) {
+            await refundOrderPayment(order, { reason: 'Payment received for a cancelled order' });
+        }
+    } catch (error) {
+        console.error('Refund Late Payment Error:', error);
+    }
+}
+
+/**
+ * Helper function to apply a webhook event to its order
+ * @returns {'processed'|'ignored'}
+ */
+function applyPaymentEvent(order, event) {
+    const note = `Webhook ${event.type} (${event.id})`;
+
+    switch (event.type) {
+        case 'payment.succeeded':
+            // Money arrived for an order that was cancelled meanwhile: it has to go back
+            if (order.status === 'cancelled' && !order.refundId && order.payment_status !== 'refund_pending') {
+                order.payment_status = 'refund_pending';
+                return 'processed';
+            }
+            if (order.status !== 'pending') return 'ignored';
+            order.transitionTo('paid', { actorType: 'system', note });
+            return 'processed';
+
+        case 'payment.failed':
+            if (order.status !== 'pending') return 'ignored';
+            order.payment_status = 'failed';
+            return 'processed';
+
+        case 'refund.succeeded':
+            if (!canTransitionOrderStatus(order.status, 'refunded')) return 'ignored';
+            order.transitionTo('refunded', { actorType: 'system', note });
+            return 'processed';
+
+        case 'refund.failed':
+            if (order.status === 'refunded') return 'ignored';
+            order.payment_status = 'refund_failed';
+            return 'processed';
+
+        default:
+            return 'ignored';
+    }
+}
+
+/**
+ * @desc    Receive payment provider webhooks
+ * @route   POST /api/payments/webhook
+ * @access  Public (signed by the payment provider)
+ */
+export async function paymentWebhookController(req, res) {
+    const provider = getPaymentProvider();
+
+    // ================ VERIFY SIGNATURE ================
+
+    let event;
+    try {
+        event = await provider.verifyWebhook(req.rawBody, req.headers);
+    } catch (verifyError) {
+        return res.status(400).json({
+            message: verifyError.message || 'Invalid webhook signature',
+            error: true,
+            success: false
+        });
+    }
+
+    if (!event?.id || !event?.type) {
+        return res.status(400).json({
+            message: 'Webhook event ID and type are required',
+            error: true,
+            success: false
+        });
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+        session.startTransaction();
+
+        // ================ IDEMPOTENCY CHECK ================
+
+        const alreadyProcessed = await PaymentEventModel.exists({ eventId: event.id }).session(session);
+        if (alreadyProcessed) {
+            await session.abortTransaction();
+            return res.status(200).json({
+                message: 'Event already processed',
+                error: false,
+                success: true,
+                duplicate: true
+            });
+        }
+
+        // ================ APPLY EVENT ================
+
+        const paymentId = event.data?.paymentId || '';
+        const order = paymentId
+            ? await OrderModel.findOne({ paymentId, payment_provider: provider.name }).session(session)
+            : null;
+
+        const readStatus = order?.status;
+        const result = order ? applyPaymentEvent(order, event) : 'ignored';
+
+        let savedOrder = order;
+        if (order && result === 'processed') {
+            // Written only from the status the event was applied to: after a change
+            // committed meanwhile (e.g. a cancellation) the provider redelivers the event
+            savedOrder = await saveOrderFromStatus(order, readStatus, { session });
+
+            if (!savedOrder) {
+                await session.abortTransaction();
+                return res.status(409).json({
+                    message: 'Order changed while the event was being applied',
+                    error: true,
+                    success: false
+                });
+            }
+        }
+
+        // Recording the event in the same transaction makes redelivery a no-op
+        await PaymentEventModel.create([{
+            eventId: event.id,
+            provider: provider.name,
+            type: event.type,
+            paymentId,
+            order: order?._id || null,
+            result,
+            payload: event
+        }], { session });
+
+        await session.commitTransaction();
+
+        if (result === 'processed' && event.type === 'refund.succeeded') {
+            await unmarkVerifiedPurchases(savedOrder).catch(error =>
+                console.error('Unmark Verified Purchases Error:', error)
+            );
+        }
+
+        // A failed refund leaves the order 'refund_pending' for manual follow-up
+        let refundedOrder = savedOrder;
+        if (result === 'processed' && isRefundDue(savedOrder)) {
+            try {
+                ({ order: refundedOrder } = await refundOrderPayment(savedOrder, {
+                    reason: 'Payment received for a cancelled order'
+                }));
+            } catch (refundError) {
+                console.error(`Refund Of Cancelled Order ${savedOrder.orderId} Failed:`, refundError);
+            }
+        }
+
+        return res.status(200).json({
+            message: `Event ${result}`,
+            error: false,
+            success: true,
+            data: {
+                eventId: event.id,
+                result,
+                orderId: refundedOrder?.orderId || null,
+                status: refundedOrder?.status || null,
+                payment_status: refundedOrder?.payment_status || null
+            }
+        });
+
+    } catch (error) {
+        await session.abortTransaction();
+
+        // Concurrent delivery of the same event lost the race on the unique index
+        if (error.code === 11000) {
+            return res.status(200).json({
+                message: 'Event already processed',
+                error: false,
+                success: true,
+                duplicate: true
+            });
+        }
+
+        console.error('Payment Webhook Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Failed to process webhook',
+            error: true,
+            success: false
+        });
+    } finally {
+        session.endSession();
+    }
+}
@@ -14,6 +14,12 @@ import {
   getProductsByField,
   getThirdSubCategories
 } from '../helpers/product.helper.js';
+import { recordAudit, toAuditSnapshot } from '../helpers/audit.helper.js';
+import { getVariantImages, parseVariantInput } from '../helpers/variant.helper.js';
+import { deleteReviews } from '../helpers/review.helper.js';
+
+// Images kept per variant (the product gallery holds up to 10)
+const MAX_VARIANT_IMAGES = 5;
 
 /**
  * @desc    Create a new product with images
@@ -36,7 +42,6 @@ export async function createProduct(req, res) {
           thirdSubCatId,
           category,
           countInStock,
-          rating,
           isFeatured,
           discount,
           productRam,
@@ -202,7 +207,6 @@ export async function createProduct(req, res) {
           thirdSubCatId: thirdSubCatId || '',
           category,
           countInStock: stockNum,
-          rating: rating ? parseFloat(rating) : 0,
           isFeatured: isFeatured === 'true' || isFeatured === true || isFeatured === 1,
           discount: discountNum,
           productRam: parsedProductRam,
@@ -1099,7 +1103,6 @@ export async function updateProduct(req, res) {
             thirdSubCatId,
             category,
             countInStock,
-            rating,
             isFeatured,
             discount,
             productRam,
@@ -1185,18 +1188,6 @@ export async function updateProduct(req, res) {
             }
         }
 
-        // 7. Validate rating if provided
-        if (rating !== undefined) {
-            const ratingNum = parseFloat(rating);
-            if (isNaN(ratingNum) || ratingNum < 0 || ratingNum > 5) {
-                return res.status(400).json({
-                    message: 'Rating must be between 0 and 5',
-                    error: true,
-                    success: false
-                });
-            }
-        }
-
         // ================ PARSE ARRAYS ================
         
         const parseArrayField = (field) => {
@@ -1235,6 +1226,8 @@ export async function updateProduct(req, res) {
 
         // ================ UPDATE FIELDS ================
         
+        const before = toAuditSnapshot(product);
+
         if (name) product.name = name.trim();
         if (description) product.description = description.trim();
         if (brand !== undefined) product.brand = brand.trim();
@@ -1248,7 +1241,6 @@ export async function updateProduct(req, res) {
         if (thirdSubCatId !== undefined) product.thirdSubCatId = thirdSubCatId;
         if (category) product.category = category;
         if (countInStock !== undefined) product.countInStock = parseInt(countInStock);
-        if (rating !== undefined) product.rating = parseFloat(rating);
         if (isFeatured !== undefined) product.isFeatured = isFeatured === 'true' || isFeatured === true;
         if (discount !== undefined) product.discount = parseFloat(discount);
         if (parsedProductRam) product.productRam = parsedProductRam;
@@ -1259,6 +1251,14 @@ export async function updateProduct(req, res) {
         // Save updated product
         await product.save();
 
+        await recordAudit(req, {
+            action: 'product.update',
+            targetType: 'Product',
+            targetId: product._id,
+            before,
+            after: product
+        });
+
         // Populate category info for response
         await product.populate('category', 'name slug color');
 
@@ -1332,14 +1332,16 @@ export async function deleteProduct(req, res) {
 
         // ================ DELETE IMAGES FROM CLOUDINARY ================
         
+        // Variant images live on the variants, not in product.images
+        const allImages = [...(product.images || []), ...getVariantImages(product)];
         const deletedImages = [];
         const failedImages = [];
 
-        if (product.images && product.images.length > 0) {
-            console.log(`Deleting ${product.images.length} images from Cloudinary...`);
+        if (allImages.length > 0) {
+            console.log(`Deleting ${allImages.length} images from Cloudinary...`);
 
             // Delete all images in parallel
-            const deletePromises = product.images.map(async (img) => {
+            const deletePromises = allImages.map(async (img) => {
                 try {
                     const result = await deleteImage(img.public_id);
                     if (result) {
@@ -1362,6 +1364,15 @@ export async function deleteProduct(req, res) {
         // ================ DELETE PRODUCT FROM DATABASE ================
         
         await ProductModel.findByIdAndDelete(id);
+        await deleteReviews({ productId: product._id });
+
+        await recordAudit(req, {
+            action: 'product.delete',
+            targetType: 'Product',
+            targetId: product._id,
+            before: product,
+            meta: { imagesFailed: failedImages }
+        });
 
         // ================ PREPARE RESPONSE ================
         
@@ -1577,7 +1588,10 @@ export async function bulkDeleteProducts(req, res) {
 
         // ================ DELETE IMAGES FROM CLOUDINARY ================
         
-        const allImages = products.flatMap(product => product.images || []);
+        const allImages = products.flatMap(product => [
+            ...(product.images || []),
+            ...getVariantImages(product)
+        ]);
         const deletedImages = [];
         const failedImages = [];
 
@@ -1606,6 +1620,16 @@ export async function bulkDeleteProducts(req, res) {
         const deleteResult = await ProductModel.deleteMany({ 
             _id: { $in: products.map(p => p._id) } 
         });
+        await deleteReviews({ productId: { $in: products.map(p => p._id) } });
+
+        // One entry per product so each shows up in its own history
+        await Promise.all(products.map(product => recordAudit(req, {
+            action: 'product.delete',
+            targetType: 'Product',
+            targetId: product._id,
+            before: product,
+            meta: { bulk: true }
+        })));
 
         // ================ PREPARE RESPONSE ================
         
@@ -1634,4 +1658,371 @@ export async function bulkDeleteProducts(req, res) {
             success: false
         });
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Helper function to load a product and one of its variants from route params
+ * @returns {Promise<{ product?: object, variant?: object, status?: number, message?: string }>}
+ */
+async function findProductVariant(id, variantId) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return { status: 400, message: 'Invalid product ID format' };
+    }
+
+    if (variantId !== undefined && !mongoose.Types.ObjectId.isValid(variantId)) {
+        return { status: 400, message: 'Invalid variant ID format' };
+    }
+
+    const product = await ProductModel.findById(id);
+    if (!product) {
+        return { status: 404, message: 'Product not found' };
+    }
+
+    if (variantId === undefined) {
+        return { product };
+    }
+
+    const variant = product.variants.id(variantId);
+    if (!variant) {
+        return { status: 404, message: 'Variant not found' };
+    }
+
+    return { product, variant };
+}
+
+/**
+ * Helper function to upload variant images; failed uploads are reported, not thrown
+ */
+async function uploadVariantImages(files, productId) {
+    const uploadErrors = [];
+
+    const results = await Promise.all(files.map(async (file) => {
+        try {
+            const result = await uploadProductImage(file.path, productId);
+            return { url: result.url, public_id: result.publicId };
+        } catch (error) {
+            uploadErrors.push({ file: file.originalname, error: error.message });
+            return null;
+        }
+    }));
+
+    return { images: results.filter(Boolean), uploadErrors };
+}
+
+/**
+ * @desc    List variants of a product
+ * @route   GET /api/products/:id/variants
+ * @access  Public
+ */
+export async function getProductVariants(req, res) {
+    try {
+        const { product, status, message } = await findProductVariant(req.params.id);
+        if (!product) {
+            return res.status(status).json({
+                message,
+                error: true,
+                success: false
+            });
+        }
+
+        return res.status(200).json({
+            message: 'Variants retrieved successfully',
+            error: false,
+            success: true,
+            data: product.variants
+        });
+
+    } catch (error) {
+        console.error('Get Product Variants Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Failed to retrieve variants',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * @desc    Add a variant (SKU, attributes, price, stock, optional images) to a product
+ * @route   POST /api/products/:id/variants
+ * @access  Private/Admin
+ */
+export async function createProductVariant(req, res) {
+    const files = req.files || [];
+
+    try {
+        const { product, status, message } = await findProductVariant(req.params.id);
+        if (!product) {
+            cleanupUploadedFiles(files);
+            return res.status(status).json({
+                message,
+                error: true,
+                success: false
+            });
+        }
+
+        const { value, errors } = parseVariantInput(req.body);
+        if (errors.length > 0) {
+            cleanupUploadedFiles(files);
+            return res.status(400).json({
+                message: 'Validation failed',
+                error: true,
+                success: false,
+                details: errors
+            });
+        }
+
+        if (files.length > MAX_VARIANT_IMAGES) {
+            cleanupUploadedFiles(files);
+            return res.status(400).json({
+                message: `Maximum ${MAX_VARIANT_IMAGES} images per variant`,
+                error: true,
+                success: false
+            });
+        }
+
+        const { images, uploadErrors } = await uploadVariantImages(files, product._id.toString());
+
+        product.variants.push({ ...value, images });
+        const variant = product.variants[product.variants.length - 1];
+
+        try {
+            await product.save();
+        } catch (saveError) {
+            // Do not leave orphaned images behind
+            await Promise.all(images.map(img => deleteImage(img.public_id).catch(() => null)));
+            throw saveError;
+        }
+
+        await recordAudit(req, {
+            action: 'product.variant.create',
+            targetType: 'Product',
+            targetId: product._id,
+            after: { variant: toAuditSnapshot(variant) },
+            meta: { variantId: variant._id, sku: variant.sku }
+        });
+
+        const response = {
+            message: 'Variant created successfully',
+            error: false,
+            success: true,
+            data: variant
+        };
+
+        if (uploadErrors.length > 0) {
+            response.warning = `${uploadErrors.length} image(s) failed to upload`;
+            response.uploadErrors = uploadErrors;
+        }
+
+        return res.status(201).json(response);
+
+    } catch (error) {
+        cleanupUploadedFiles(files);
+
+        console.error('Create Product Variant Error:', error);
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                message: 'Validation failed',
+                error: true,
+                success: false,
+                details: errors
+            });
+        }
+
+        if (error.code === 11000) {
+            return res.status(409).json({
+                message: 'A variant with this SKU already exists',
+                error: true,
+                success: false
+            });
+        }
+
+        return res.status(500).json({
+            message: error.message || 'Failed to create variant',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * @desc    Update a variant; uploaded images are appended to its gallery
+ * @route   PUT /api/products/:id/variants/:variantId
+ * @access  Private/Admin
+ */
+export async function updateProductVariant(req, res) {
+    const files = req.files || [];
+
+    try {
+        const { product, variant, status, message } = await findProductVariant(req.params.id, req.params.variantId);
+        if (!variant) {
+            cleanupUploadedFiles(files);
+            return res.status(status).json({
+                message,
+                error: true,
+                success: false
+            });
+        }
+
+        const { value, errors } = parseVariantInput(req.body, { partial: true });
+        if (errors.length > 0) {
+            cleanupUploadedFiles(files);
+            return res.status(400).json({
+                message: 'Validation failed',
+                error: true,
+                success: false,
+                details: errors
+            });
+        }
+
+        if (variant.images.length + files.length > MAX_VARIANT_IMAGES) {
+            cleanupUploadedFiles(files);
+            return res.status(400).json({
+                message: `Maximum ${MAX_VARIANT_IMAGES} images per variant (current: ${variant.images.length})`,
+                error: true,
+                success: false
+            });
+        }
+
+        const before = toAuditSnapshot(variant);
+
+        const { images, uploadErrors } = await uploadVariantImages(files, product._id.toString());
+
+        variant.set(value);
+        variant.images.push(...images);
+
+        try {
+            await product.save();
+        } catch (saveError) {
+            await Promise.all(images.map(img => deleteImage(img.public_id).catch(() => null)));
+            throw saveError;
+        }
+
+        await recordAudit(req, {
+            action: 'product.variant.update',
+            targetType: 'Product',
+            targetId: product._id,
+            before: { variant: before },
+            after: { variant: toAuditSnapshot(variant) },
+            meta: { variantId: variant._id, sku: variant.sku }
+        });
+
+        const response = {
+            message: 'Variant updated successfully',
+            error: false,
+            success: true,
+            data: variant
+        };
+
+        if (uploadErrors.length > 0) {
+            response.warning = `${uploadErrors.length} image(s) failed to upload`;
+            response.uploadErrors = uploadErrors;
+        }
+
+        return res.status(200).json(response);
+
+    } catch (error) {
+        cleanupUploadedFiles(files);
+
+        console.error('Update Product Variant Error:', error);
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                message: 'Validation failed',
+                error: true,
+                success: false,
+                details: errors
+            });
+        }
+
+        if (error.code === 11000) {
+            return res.status(409).json({
+                message: 'A variant with this SKU already exists',
+                error: true,
+                success: false
+            });
+        }
+
+        return res.status(500).json({
+            message: error.message || 'Failed to update variant',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * @desc    Delete a variant and its images.
+ *          Cart lines pointing at it report it as unavailable.
+ * @route   DELETE /api/products/:id/variants/:variantId
+ * @access  Private/Admin
+ */
+export async function deleteProductVariant(req, res) {
+    try {
+        const { product, variant, status, message } = await findProductVariant(req.params.id, req.params.variantId);
+        if (!variant) {
+            return res.status(status).json({
+                message,
+                error: true,
+                success: false
+            });
+        }
+
+        const before = toAuditSnapshot(variant);
+        const publicIds = variant.images.map(img => img.public_id);
+
+        variant.deleteOne();
+        await product.save();
+
+        // Images go after the save so a failed save keeps the variant intact
+        const failedImages = [];
+        await Promise.all(publicIds.map(async (publicId) => {
+            try {
+                const result = await deleteImage(publicId);
+                if (!result) failedImages.push(publicId);
+            } catch (error) {
+                console.error(`Failed to delete image ${publicId}:`, error);
+                failedImages.push(publicId);
+            }
+        }));
+
+        await recordAudit(req, {
+            action: 'product.variant.delete',
+            targetType: 'Product',
+            targetId: product._id,
+            before: { variant: before },
+            meta: { variantId: before._id, sku: before.sku }
+        });
+
+        const response = {
+            message: 'Variant deleted successfully',
+            error: false,
+            success: true,
+            data: {
+                productId: product._id,
+                variantId: before._id,
+                remainingVariants: product.variants.length
+            }
+        };
+
+        if (failedImages.length > 0) {
+            response.warning = `${failedImages.length} image(s) failed to delete from Cloudinary`;
+            response.data.failedImages = failedImages;
+        }
+
+        return res.status(200).json(response);
+
+    } catch (error) {
+        console.error('Delete Product Variant Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Failed to delete variant',
+            error: true,
+            success: false
+        });
+    }
+}
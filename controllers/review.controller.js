@@ -0,0 +1,540 @@
+import fs from "fs";
+import mongoose from "mongoose";
+import ReviewModel from "../models/review.model.js";
+import ProductModel from "../models/product.model.js";
+import { PERMISSIONS, SUPER_ADMIN_ROLE } from "../config/permissions.js";
+import { deleteImage, uploadReviewImage } from "../utils/cloudinary.js";
+import { buildPaginationMetadata, validatePaginationParams } from "../helpers/product.helper.js";
+import {
+    buildReviewSort,
+    getRatingSummary,
+    hasVerifiedPurchase,
+    recalculateProductRating,
+    resolveReviewStatus,
+    runAutoModeration
+} from "../helpers/review.helper.js";
+import { recordAudit } from "../helpers/audit.helper.js";
+
+const MAX_REVIEW_IMAGES = 5;
+
+/**
+ * Helper function to remove multer temp files that were not uploaded
+ */
+function discardUploads(files = []) {
+    files.forEach(file => {
+        try {
+            if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+        } catch (error) {
+            console.error(`Failed to delete file ${file.path}:`, error);
+        }
+    });
+}
+
+/**
+ * Helper function to validate review fields from a request body
+ * @param {object} [options]
+ * @param {boolean} [options.partial] - Update: only validate the fields that are present
+ * @returns {{ value: object, errors: string[] }}
+ */
+function parseReviewInput({ rating, title, text }, { partial = false } = {}) {
+    const value = {};
+    const errors = [];
+
+    if (rating !== undefined || !partial) {
+        const ratingNum = Number(rating);
+        if (!Number.isInteger(ratingNum) || ratingNum < 1 || ratingNum > 5) {
+            errors.push('Rating must be a whole number between 1 and 5');
+        } else {
+            value.rating = ratingNum;
+        }
+    }
+
+    if (title !== undefined || !partial) {
+        if (typeof title !== 'string' || !title.trim()) {
+            errors.push('Title is required');
+        } else {
+            value.title = title.trim();
+        }
+    }
+
+    if (text !== undefined || !partial) {
+        if (typeof text !== 'string' || !text.trim()) {
+            errors.push('Review text is required');
+        } else {
+            value.text = text.trim();
+        }
+    }
+
+    return { value, errors };
+}
+
+/**
+ * Helper function to upload review photos; failed uploads are reported, not thrown
+ */
+async function uploadReviewImages(files, reviewId) {
+    const uploadErrors = [];
+
+    const results = await Promise.all(files.map(async (file) => {
+        try {
+            const result = await uploadReviewImage(file.path, reviewId);
+            return { url: result.url, public_id: result.publicId };
+        } catch (error) {
+            uploadErrors.push({ file: file.originalname, error: error.message });
+            return null;
+        }
+    }));
+
+    return { images: results.filter(Boolean), uploadErrors };
+}
+
+/**
+ * Helper function to check whether the requester may manage reviews of others
+ */
+function canModerateReviews(req) {
+    if (req.twoFactorRequired && !req.twoFactorVerified) return false;
+
+    return req.userRole === SUPER_ADMIN_ROLE
+        || (req.userPermissions || []).includes(PERMISSIONS.REVIEW_MODERATE);
+}
+
+/**
+ * @desc    List approved reviews of a product with rating summary, pagination and sort
+ * @route   GET /api/products/:id/reviews?rating=&verified=&sort=&page=&limit=
+ * @access  Public
+ */
+export async function listProductReviewsController(req, res) {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                message: 'Invalid product ID format',
+                error: true,
+                success: false
+            });
+        }
+
+        const { pageNum, limitNum, errors } = validatePaginationParams(req.query.page, req.query.limit);
+
+        const filter = { productId: id, status: 'approved' };
+        if (req.query.rating !== undefined) {
+            const ratingNum = Number(req.query.rating);
+            if (!Number.isInteger(ratingNum) || ratingNum < 1 || ratingNum > 5) {
+                errors.push('Rating must be a whole number between 1 and 5');
+            } else {
+                filter.rating = ratingNum;
+            }
+        }
+
+        if (req.query.verified !== undefined) {
+            if (req.query.verified !== 'true' && req.query.verified !== 'false') {
+                errors.push('Verified must be true or false');
+            } else {
+                filter.verifiedPurchase = req.query.verified === 'true';
+            }
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                message: errors.join(', '),
+                error: true,
+                success: false
+            });
+        }
+
+        const productExists = await ProductModel.exists({ _id: id });
+        if (!productExists) {
+            return res.status(404).json({
+                message: 'Product not found',
+                error: true,
+                success: false
+            });
+        }
+
+        const [totalReviews, reviews, summary] = await Promise.all([
+            ReviewModel.countDocuments(filter),
+            ReviewModel.find(filter)
+                .sort(buildReviewSort(req.query.sort))
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .populate('userId', 'name avatar')
+                .select('-__v -moderation')
+                .lean(),
+            getRatingSummary(id)
+        ]);
+
+        return res.status(200).json({
+            message: 'Reviews retrieved successfully',
+            error: false,
+            success: true,
+            data: reviews,
+            summary,
+            pagination: buildPaginationMetadata(pageNum, limitNum, totalReviews),
+            appliedFilters: {
+                rating: req.query.rating || null,
+                verified: req.query.verified ?? null,
+                sort: req.query.sort || '-createdAt'
+            }
+        });
+
+    } catch (error) {
+        console.error('List Reviews Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Failed to retrieve reviews',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * @desc    Review a product (one review per user), with optional photos
+ * @route   POST /api/products/:id/reviews
+ * @access  Private
+ */
+export async function createReviewController(req, res) {
+    const files = req.files || [];
+
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            discardUploads(files);
+            return res.status(400).json({
+                message: 'Invalid product ID format',
+                error: true,
+                success: false
+            });
+        }
+
+        const { value, errors } = parseReviewInput(req.body);
+        if (files.length > MAX_REVIEW_IMAGES) {
+            errors.push(`Maximum ${MAX_REVIEW_IMAGES} photos per review`);
+        }
+
+        if (errors.length > 0) {
+            discardUploads(files);
+            return res.status(400).json({
+                message: 'Validation failed',
+                error: true,
+                success: false,
+                details: errors
+            });
+        }
+
+        const productExists = await ProductModel.exists({ _id: id });
+        if (!productExists) {
+            discardUploads(files);
+            return res.status(404).json({
+                message: 'Product not found',
+                error: true,
+                success: false
+            });
+        }
+
+        const alreadyReviewed = await ReviewModel.exists({ productId: id, userId: req.userId });
+        if (alreadyReviewed) {
+            discardUploads(files);
+            return res.status(409).json({
+                message: 'You have already reviewed this product. Edit your review instead.',
+                error: true,
+                success: false,
+                reviewId: alreadyReviewed._id
+            });
+        }
+
+        const autoFlags = runAutoModeration(value);
+
+        const review = new ReviewModel({
+            ...value,
+            productId: id,
+            userId: req.userId,
+            verifiedPurchase: await hasVerifiedPurchase(req.userId, id),
+            status: resolveReviewStatus(autoFlags),
+            moderation: { autoFlags }
+        });
+
+        const { images, uploadErrors } = await uploadReviewImages(files, review._id.toString());
+        review.images = images;
+
+        try {
+            await review.save();
+        } catch (saveError) {
+            // Do not leave orphaned photos behind
+            await Promise.all(images.map(img => deleteImage(img.public_id)));
+            throw saveError;
+        }
+
+        const productRating = await recalculateProductRating(id);
+
+        const response = {
+            message: review.status === 'approved'
+                ? 'Review created successfully'
+                : 'Review submitted. It will be visible once a moderator approves it.',
+            error: false,
+            success: true,
+            data: review,
+            productRating
+        };
+
+        if (uploadErrors.length > 0) {
+            response.warning = `${uploadErrors.length} photo(s) failed to upload`;
+            response.uploadErrors = uploadErrors;
+        }
+
+        return res.status(201).json(response);
+
+    } catch (error) {
+        discardUploads(files);
+
+        console.error('Create Review Error:', error);
+
+        if (error.code === 11000) {
+            return res.status(409).json({
+                message: 'You have already reviewed this product',
+                error: true,
+                success: false
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                message: 'Validation failed',
+                error: true,
+                success: false,
+                details: errors
+            });
+        }
+
+        return res.status(500).json({
+            message: error.message || 'Failed to create review',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * @desc    Edit own review. New photos are appended, removeImages (public IDs) are deleted.
+ * @route   PUT /api/products/:id/reviews/:reviewId
+ * @access  Private (author)
+ */
+export async function updateReviewController(req, res) {
+    const files = req.files || [];
+
+    try {
+        const { id, reviewId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(reviewId)) {
+            discardUploads(files);
+            return res.status(400).json({
+                message: 'Invalid product or review ID format',
+                error: true,
+                success: false
+            });
+        }
+
+        const review = await ReviewModel.findOne({ _id: reviewId, productId: id });
+        if (!review) {
+            discardUploads(files);
+            return res.status(404).json({
+                message: 'Review not found',
+                error: true,
+                success: false
+            });
+        }
+
+        if (String(review.userId) !== String(req.userId)) {
+            discardUploads(files);
+            return res.status(403).json({
+                message: 'You can only edit your own review',
+                error: true,
+                success: false
+            });
+        }
+
+        const { value, errors } = parseReviewInput(req.body, { partial: true });
+
+        // Multipart requests send the list as JSON or comma separated
+        let { removeImages = [] } = req.body;
+        if (typeof removeImages === 'string') {
+            removeImages = removeImages.trim().startsWith('[')
+                ? JSON.parse(removeImages)
+                : removeImages.split(',').map(item => item.trim()).filter(Boolean);
+        }
+        if (!Array.isArray(removeImages)) {
+            errors.push('removeImages must be a list of photo public IDs');
+            removeImages = [];
+        }
+
+        const removedImages = review.images.filter(img => removeImages.includes(img.public_id));
+        if (review.images.length - removedImages.length + files.length > MAX_REVIEW_IMAGES) {
+            errors.push(`Maximum ${MAX_REVIEW_IMAGES} photos per review`);
+        }
+
+        if (errors.length > 0) {
+            discardUploads(files);
+            return res.status(400).json({
+                message: 'Validation failed',
+                error: true,
+                success: false,
+                details: errors
+            });
+        }
+
+        const previousStatus = review.status;
+        const ratingChanged = value.rating !== undefined && value.rating !== review.rating;
+        const contentChanged = (value.title !== undefined && value.title !== review.title)
+            || (value.text !== undefined && value.text !== review.text);
+
+        const { images, uploadErrors } = await uploadReviewImages(files, review._id.toString());
+
+        review.set(value);
+
+        // Edited content goes through the same rules as a new review
+        if (contentChanged) {
+            const autoFlags = runAutoModeration(review);
+            review.status = resolveReviewStatus(autoFlags, review.status);
+            review.moderation.autoFlags = autoFlags;
+        }
+
+        review.verifiedPurchase = await hasVerifiedPurchase(review.userId, id);
+        review.images = [
+            ...review.images.filter(img => !removeImages.includes(img.public_id)),
+            ...images
+        ];
+
+        try {
+            await review.save();
+        } catch (saveError) {
+            await Promise.all(images.map(img => deleteImage(img.public_id)));
+            throw saveError;
+        }
+
+        // Removed photos go only after the save succeeded
+        await Promise.all(removedImages.map(img => deleteImage(img.public_id)));
+
+        const productRating = ratingChanged || review.status !== previousStatus
+            ? await recalculateProductRating(id)
+            : undefined;
+
+        const response = {
+            message: review.status === 'pending'
+                ? 'Review updated. It will be visible once a moderator approves it.'
+                : 'Review updated successfully',
+            error: false,
+            success: true,
+            data: review,
+            productRating
+        };
+
+        if (uploadErrors.length > 0) {
+            response.warning = `${uploadErrors.length} photo(s) failed to upload`;
+            response.uploadErrors = uploadErrors;
+        }
+
+        return res.status(200).json(response);
+
+    } catch (error) {
+        discardUploads(files);
+
+        console.error('Update Review Error:', error);
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                message: 'Validation failed',
+                error: true,
+                success: false,
+                details: errors
+            });
+        }
+
+        if (error instanceof SyntaxError) {
+            return res.status(400).json({
+                message: 'removeImages must be a JSON array or a comma separated list',
+                error: true,
+                success: false
+            });
+        }
+
+        return res.status(500).json({
+            message: error.message || 'Failed to update review',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * @desc    Delete a review (its author, or staff allowed to moderate reviews)
+ * @route   DELETE /api/products/:id/reviews/:reviewId
+ * @access  Private
+ */
+export async function deleteReviewController(req, res) {
+    try {
+        const { id, reviewId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(reviewId)) {
+            return res.status(400).json({
+                message: 'Invalid product or review ID format',
+                error: true,
+                success: false
+            });
+        }
+
+        const review = await ReviewModel.findOne({ _id: reviewId, productId: id });
+        if (!review) {
+            return res.status(404).json({
+                message: 'Review not found',
+                error: true,
+                success: false
+            });
+        }
+
+        const isAuthor = String(review.userId) === String(req.userId);
+        if (!isAuthor && !canModerateReviews(req)) {
+            return res.status(403).json({
+                message: 'You can only delete your own review',
+                error: true,
+                success: false
+            });
+        }
+
+        await ReviewModel.deleteOne({ _id: review._id });
+        await Promise.all(review.images.map(img => deleteImage(img.public_id)));
+
+        const productRating = await recalculateProductRating(id);
+
+        if (!isAuthor) {
+            await recordAudit(req, {
+                action: 'review.delete',
+                targetType: 'Review',
+                targetId: review._id,
+                before: review,
+                meta: { productId: id }
+            });
+        }
+
+        return res.status(200).json({
+            message: 'Review deleted successfully',
+            error: false,
+            success: true,
+            data: {
+                reviewId: review._id,
+                productRating
+            }
+        });
+
+    } catch (error) {
+        console.error('Delete Review Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Failed to delete review',
+            error: true,
+            success: false
+        });
+    }
+}
@@ -0,0 +1,476 @@
+import mongoose from "mongoose";
+import RoleModel from "../models/role.model.js";
+import UserModel from "../models/user.model.js";
+import { ALL_PERMISSIONS, SUPER_ADMIN_ROLE } from "../config/permissions.js";
+import { bumpTokenVersion, bumpTokenVersionForRole } from "../helpers/tokenVersion.helper.js";
+import { recordAudit, toAuditSnapshot } from "../helpers/audit.helper.js";
+import { canManageRole, manageableUserFilter } from "../helpers/role.helper.js";
+
+/**
+ * Helper function to validate a permissions array
+ * @returns {string[]} unknown permissions
+ */
+function findUnknownPermissions(permissions) {
+    return permissions.filter(permission => !ALL_PERMISSIONS.includes(permission));
+}
+
+/**
+ * Helper function to find permissions the requester would hand out without holding them
+ * @returns {string[]} permissions missing from the requester's own token
+ */
+function findUngrantedPermissions(req, permissions) {
+    if (req.userRole === SUPER_ADMIN_ROLE) return [];
+
+    const granted = req.userPermissions || [];
+    return permissions.filter(permission => !granted.includes(permission));
+}
+
+/**
+ * @desc    List all available permissions
+ * @route   GET /api/admin/permissions
+ * @access  Private/Admin
+ */
+export async function getPermissionsController(req, res) {
+    return res.status(200).json({
+        message: 'Permissions retrieved successfully',
+        error: false,
+        success: true,
+        data: ALL_PERMISSIONS
+    });
+}
+
+/**
+ * @desc    List all roles with their permissions
+ * @route   GET /api/admin/roles
+ * @access  Private/Admin
+ */
+export async function getRolesController(req, res) {
+    try {
+        const roles = await RoleModel.find()
+            .sort({ isSystem: -1, name: 1 })
+            .select('-__v')
+            .lean();
+
+        return res.status(200).json({
+            message: 'Roles retrieved successfully',
+            error: false,
+            success: true,
+            data: roles
+        });
+
+    } catch (error) {
+        console.error('Get Roles Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Failed to retrieve roles',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * @desc    Create a custom role
+ * @route   POST /api/admin/roles
+ * @access  Private/Admin
+ */
+export async function createRoleController(req, res) {
+    try {
+        const { name, description = '', permissions = [], requireTwoFactor = false } = req.body;
+
+        if (!name?.trim()) {
+            return res.status(400).json({
+                message: 'Role name is required',
+                error: true,
+                success: false
+            });
+        }
+
+        if (!Array.isArray(permissions)) {
+            return res.status(400).json({
+                message: 'Permissions must be an array',
+                error: true,
+                success: false
+            });
+        }
+
+        const unknownPermissions = findUnknownPermissions(permissions);
+        if (unknownPermissions.length > 0) {
+            return res.status(400).json({
+                message: 'Unknown permissions',
+                error: true,
+                success: false,
+                unknownPermissions
+            });
+        }
+
+        const missingPermissions = findUngrantedPermissions(req, permissions);
+        if (missingPermissions.length > 0) {
+            return res.status(403).json({
+                message: 'You cannot grant permissions you do not hold',
+                error: true,
+                success: false,
+                missingPermissions
+            });
+        }
+
+        const role = await RoleModel.create({
+            name: name.trim(),
+            description,
+            permissions: [...new Set(permissions)],
+            requireTwoFactor: requireTwoFactor === true,
+            isSystem: false
+        });
+
+        await recordAudit(req, {
+            action: 'role.create',
+            targetType: 'Role',
+            targetId: role._id,
+            after: role
+        });
+
+        return res.status(201).json({
+            message: 'Role created successfully',
+            error: false,
+            success: true,
+            data: role
+        });
+
+    } catch (error) {
+        console.error('Create Role Error:', error);
+
+        if (error.code === 11000) {
+            return res.status(409).json({
+                message: 'Role with this name already exists',
+                error: true,
+                success: false
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                message: 'Validation failed',
+                error: true,
+                success: false,
+                details: errors
+            });
+        }
+
+        return res.status(500).json({
+            message: error.message || 'Failed to create role',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * @desc    Update description and permissions of a role
+ * @route   PUT /api/admin/roles/:roleName
+ * @access  Private/Admin
+ */
+export async function updateRoleController(req, res) {
+    try {
+        const { roleName } = req.params;
+        const { description, permissions, requireTwoFactor } = req.body;
+
+        if (roleName === SUPER_ADMIN_ROLE && permissions !== undefined) {
+            return res.status(400).json({
+                message: `Permissions of the ${SUPER_ADMIN_ROLE} role cannot be changed`,
+                error: true,
+                success: false
+            });
+        }
+
+        // Editing its own role would let a role manager widen its own access
+        if (roleName === req.userRole && roleName !== SUPER_ADMIN_ROLE) {
+            return res.status(403).json({
+                message: 'You cannot change your own role',
+                error: true,
+                success: false
+            });
+        }
+
+        const role = await RoleModel.findOne({ name: roleName });
+        if (!role) {
+            return res.status(404).json({
+                message: 'Role not found',
+                error: true,
+                success: false
+            });
+        }
+
+        const before = toAuditSnapshot(role);
+
+        let permissionsChanged = false;
+        if (permissions !== undefined) {
+            if (!Array.isArray(permissions)) {
+                return res.status(400).json({
+                    message: 'Permissions must be an array',
+                    error: true,
+                    success: false
+                });
+            }
+
+            const unknownPermissions = findUnknownPermissions(permissions);
+            if (unknownPermissions.length > 0) {
+                return res.status(400).json({
+                    message: 'Unknown permissions',
+                    error: true,
+                    success: false,
+                    unknownPermissions
+                });
+            }
+
+            const missingPermissions = findUngrantedPermissions(req, permissions);
+            if (missingPermissions.length > 0) {
+                return res.status(403).json({
+                    message: 'You cannot grant permissions you do not hold',
+                    error: true,
+                    success: false,
+                    missingPermissions
+                });
+            }
+
+            const nextPermissions = [...new Set(permissions)];
+            permissionsChanged = nextPermissions.length !== role.permissions.length
+                || nextPermissions.some(permission => !role.permissions.includes(permission));
+            role.permissions = nextPermissions;
+        }
+
+        if (description !== undefined) {
+            role.description = description;
+        }
+
+        let twoFactorChanged = false;
+        if (requireTwoFactor !== undefined) {
+            if (typeof requireTwoFactor !== 'boolean') {
+                return res.status(400).json({
+                    message: 'requireTwoFactor must be a boolean',
+                    error: true,
+                    success: false
+                });
+            }
+
+            twoFactorChanged = role.requireTwoFactor !== requireTwoFactor;
+            role.requireTwoFactor = requireTwoFactor;
+        }
+
+        await role.save();
+
+        // Tokens carry the permissions and the 2FA requirement: make members pick up the change now
+        const tokensRevoked = permissionsChanged || twoFactorChanged;
+        if (tokensRevoked) {
+            await bumpTokenVersionForRole(role.name);
+        }
+
+        await recordAudit(req, {
+            action: 'role.update',
+            targetType: 'Role',
+            targetId: role._id,
+            before,
+            after: role
+        });
+
+        return res.status(200).json({
+            message: tokensRevoked
+                ? 'Role updated successfully. Access tokens of its members were revoked, the change applies immediately.'
+                : 'Role updated successfully',
+            error: false,
+            success: true,
+            data: role
+        });
+
+    } catch (error) {
+        console.error('Update Role Error:', error);
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => err.message);
+            return res.status(400).json({
+                message: 'Validation failed',
+                error: true,
+                success: false,
+                details: errors
+            });
+        }
+
+        return res.status(500).json({
+            message: error.message || 'Failed to update role',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * @desc    Delete a custom role that is not assigned to anyone
+ * @route   DELETE /api/admin/roles/:roleName
+ * @access  Private/Admin
+ */
+export async function deleteRoleController(req, res) {
+    try {
+        const { roleName } = req.params;
+
+        const role = await RoleModel.findOne({ name: roleName });
+        if (!role) {
+            return res.status(404).json({
+                message: 'Role not found',
+                error: true,
+                success: false
+            });
+        }
+
+        if (role.isSystem) {
+            return res.status(400).json({
+                message: 'Built-in roles cannot be deleted',
+                error: true,
+                success: false
+            });
+        }
+
+        const assignedCount = await UserModel.countDocuments({ role: roleName });
+        if (assignedCount > 0) {
+            return res.status(400).json({
+                message: 'Cannot delete a role that is assigned to users',
+                error: true,
+                success: false,
+                assignedCount
+            });
+        }
+
+        await RoleModel.deleteOne({ _id: role._id });
+
+        await recordAudit(req, {
+            action: 'role.delete',
+            targetType: 'Role',
+            targetId: role._id,
+            before: role
+        });
+
+        return res.status(200).json({
+            message: 'Role deleted successfully',
+            error: false,
+            success: true
+        });
+
+    } catch (error) {
+        console.error('Delete Role Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Failed to delete role',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * @desc    Assign a role to a user
+ * @route   PATCH /api/admin/users/:userId/role
+ * @access  Private/Admin
+ */
+export async function assignUserRoleController(req, res) {
+    try {
+        const { userId } = req.params;
+        const { role } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({
+                message: 'Invalid user ID format',
+                error: true,
+                success: false
+            });
+        }
+
+        if (!role?.trim()) {
+            return res.status(400).json({
+                message: 'Role is required',
+                error: true,
+                success: false
+            });
+        }
+
+        if (userId === String(req.userId)) {
+            return res.status(400).json({
+                message: 'You cannot change your own role',
+                error: true,
+                success: false
+            });
+        }
+
+        if (!canManageRole(req.userRole, role.trim())) {
+            return res.status(403).json({
+                message: `Only an Admin can assign the ${SUPER_ADMIN_ROLE} role`,
+                error: true,
+                success: false
+            });
+        }
+
+        const roleExists = await RoleModel.exists({ name: role.trim() });
+        if (!roleExists) {
+            return res.status(404).json({
+                message: 'Role not found',
+                error: true,
+                success: false
+            });
+        }
+
+        const previous = await UserModel.findById(userId).select('role').lean();
+        if (!previous) {
+            return res.status(404).json({
+                message: 'User not found',
+                error: true,
+                success: false
+            });
+        }
+
+        if (!canManageRole(req.userRole, previous.role)) {
+            return res.status(403).json({
+                message: `Only an Admin can change the role of an ${SUPER_ADMIN_ROLE} account`,
+                error: true,
+                success: false
+            });
+        }
+
+        const user = await UserModel.findOneAndUpdate(
+            { _id: userId, ...manageableUserFilter(req.userRole) },
+            { role: role.trim() },
+            { new: true }
+        ).select('name email role status');
+
+        if (!user) {
+            return res.status(404).json({
+                message: 'User not found',
+                error: true,
+                success: false
+            });
+        }
+
+        // Old access tokens carry the previous permissions
+        await bumpTokenVersion(user._id);
+
+        await recordAudit(req, {
+            action: 'user.role.update',
+            targetType: 'User',
+            targetId: user._id,
+            changes: { role: { from: previous.role, to: user.role } }
+        });
+
+        return res.status(200).json({
+            message: 'User role updated successfully',
+            error: false,
+            success: true,
+            data: user
+        });
+
+    } catch (error) {
+        console.error('Assign User Role Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Failed to assign role',
+            error: true,
+            success: false
+        });
+    }
+}
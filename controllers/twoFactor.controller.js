@@ -0,0 +1,498 @@
+import bcrypt from "bcryptjs";
+import UserModel from "../models/user.model.js";
+import SessionModel from "../models/session.model.js";
+import generateAccessToken from "../utils/generatedAccessToken.js";
+import { buildOtpauthUri, generateTotpSecret, verifyTotp } from "../utils/totp.js";
+import {
+    TWO_FACTOR_SECRET_FIELDS,
+    decryptSecret,
+    encryptSecret,
+    generateBackupCodes,
+    readTwoFactorChallenge,
+    verifyTwoFactorCode
+} from "../helpers/twoFactor.helper.js";
+import { AUTH_COOKIE_OPTIONS, createUserSession, setAuthCookies } from "../helpers/session.helper.js";
+import {
+    checkBruteForce,
+    clearFailedAttempts,
+    getBruteForceTargets,
+    registerFailedAttempt,
+    sendTooManyAttempts
+} from "../helpers/bruteForce.helper.js";
+import { resolveRolePolicy } from "../helpers/role.helper.js";
+import { cancelAccountDeletion } from "../helpers/accountDeletion.helper.js";
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'E-Commerce App';
+
+/**
+ * @desc    Complete a login with a TOTP code or a backup code
+ * @route   POST /api/users/login/2fa
+ * @access  Public (needs the twoFactorToken returned by login)
+ */
+export async function loginTwoFactorController(req, res) {
+    try {
+        const { twoFactorToken, code, backupCode } = req.body;
+
+        if (!twoFactorToken || (!code && !backupCode)) {
+            return res.status(400).json({
+                message: 'Two-factor token and a code or backup code are required',
+                error: true,
+                success: false
+            });
+        }
+
+        const challenge = readTwoFactorChallenge(twoFactorToken);
+        if (!challenge) {
+            return res.status(401).json({
+                message: 'Two-factor session has expired. Please log in again.',
+                error: true,
+                success: false
+            });
+        }
+
+        const bruteForceTargets = getBruteForceTargets('2fa', req, challenge.id);
+        const lock = await checkBruteForce(bruteForceTargets);
+        if (lock.blocked) {
+            return sendTooManyAttempts(res, lock);
+        }
+
+        const user = await UserModel.findById(challenge.id).select(TWO_FACTOR_SECRET_FIELDS);
+
+        // Password changed or account revoked since the first step
+        if (!user || (challenge.tv || 0) !== (user.token_version || 0)) {
+            return res.status(401).json({
+                message: 'Two-factor session has expired. Please log in again.',
+                error: true,
+                success: false
+            });
+        }
+
+        if (user.status !== 'Active' && user.status !== 'PendingDeletion') {
+            return res.status(403).json({
+                message: 'User account is not active',
+                error: true,
+                success: false
+            });
+        }
+
+        const method = await verifyTwoFactorCode(user, { code, backupCode });
+        if (!method) {
+            await registerFailedAttempt(bruteForceTargets);
+            return res.status(401).json({
+                message: 'Invalid two-factor code',
+                error: true,
+                success: false
+            });
+        }
+
+        await clearFailedAttempts(bruteForceTargets);
+
+        const deletionCancelled = user.status === 'PendingDeletion'
+            && await cancelAccountDeletion(user._id);
+
+        const { accessToken, refreshToken } = await createUserSession(user, req, { twoFactorVerified: true });
+
+        await UserModel.findByIdAndUpdate(
+            user._id,
+            { last_login_date: Date.now() },
+        );
+
+        setAuthCookies(res, { accessToken, refreshToken });
+
+        return res.status(200).json({
+            message: deletionCancelled
+                ? 'Login successful. Your account deletion has been cancelled.'
+                : 'Login successful',
+            error: false,
+            success: true,
+            data: {
+                accessToken,
+                refreshToken,
+                ...(method === 'backup_code' && {
+                    backupCodesRemaining: user.two_factor.backup_codes.length - 1
+                })
+            }
+        });
+
+    } catch (error) {
+        console.error('Two-Factor Login Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Internal server error',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * @desc    Get two-factor status of the authenticated user
+ * @route   GET /api/users/2fa
+ * @access  Private
+ */
+export async function getTwoFactorStatusController(req, res) {
+    try {
+        const user = await UserModel.findById(req.userId).select(`role ${TWO_FACTOR_SECRET_FIELDS}`);
+        if (!user) {
+            return res.status(404).json({
+                message: 'User not found',
+                error: true,
+                success: false
+            });
+        }
+
+        const { requireTwoFactor } = await resolveRolePolicy(user.role);
+
+        return res.status(200).json({
+            message: 'Two-factor status retrieved successfully',
+            error: false,
+            success: true,
+            data: {
+                enabled: user.two_factor.enabled,
+                enabledAt: user.two_factor.enabled_at,
+                backupCodesRemaining: user.two_factor.backup_codes.length,
+                requiredByRole: requireTwoFactor,
+                currentSessionVerified: req.twoFactorVerified
+            }
+        });
+
+    } catch (error) {
+        console.error('Get Two-Factor Status Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Internal server error',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * @desc    Start 2FA enrollment: returns a secret and otpauth URI for an authenticator app
+ * @route   POST /api/users/2fa/setup
+ * @access  Private
+ */
+export async function setupTwoFactorController(req, res) {
+    try {
+        const user = await UserModel.findById(req.userId);
+        if (!user) {
+            return res.status(404).json({
+                message: 'User not found',
+                error: true,
+                success: false
+            });
+        }
+
+        if (user.two_factor.enabled) {
+            return res.status(409).json({
+                message: 'Two-factor authentication is already enabled',
+                error: true,
+                success: false
+            });
+        }
+
+        const secret = generateTotpSecret();
+
+        await UserModel.updateOne(
+            { _id: user._id },
+            { $set: { 'two_factor.pending_secret': encryptSecret(secret) } }
+        );
+
+        return res.status(200).json({
+            message: 'Scan the QR code with your authenticator app, then confirm with a code',
+            error: false,
+            success: true,
+            data: {
+                secret,
+                otpauthUri: buildOtpauthUri({
+                    secret,
+                    accountName: user.email,
+                    issuer: TWO_FACTOR_ISSUER
+                })
+            }
+        });
+
+    } catch (error) {
+        console.error('Setup Two-Factor Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Internal server error',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * @desc    Confirm enrollment with a first code, enables 2FA and returns backup codes
+ * @route   POST /api/users/2fa/confirm
+ * @access  Private
+ */
+export async function confirmTwoFactorController(req, res) {
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            return res.status(400).json({
+                message: 'Code is required',
+                error: true,
+                success: false
+            });
+        }
+
+        const user = await UserModel.findById(req.userId).select(TWO_FACTOR_SECRET_FIELDS);
+        if (!user) {
+            return res.status(404).json({
+                message: 'User not found',
+                error: true,
+                success: false
+            });
+        }
+
+        if (user.two_factor.enabled) {
+            return res.status(409).json({
+                message: 'Two-factor authentication is already enabled',
+                error: true,
+                success: false
+            });
+        }
+
+        if (!user.two_factor.pending_secret) {
+            return res.status(400).json({
+                message: 'Start two-factor setup first',
+                error: true,
+                success: false
+            });
+        }
+
+        const step = verifyTotp(decryptSecret(user.two_factor.pending_secret), code);
+        if (step === null) {
+            return res.status(400).json({
+                message: 'Invalid code',
+                error: true,
+                success: false
+            });
+        }
+
+        const { codes, hashes } = generateBackupCodes();
+
+        user.two_factor.enabled = true;
+        user.two_factor.secret = user.two_factor.pending_secret;
+        user.two_factor.pending_secret = null;
+        user.two_factor.backup_codes = hashes;
+        user.two_factor.last_used_step = step;
+        user.two_factor.enabled_at = new Date();
+        await user.save();
+
+        // The user just proved the second factor on this device
+        let accessToken;
+        if (req.sessionId) {
+            await SessionModel.updateOne(
+                { _id: req.sessionId, userId: user._id },
+                { $set: { twoFactorVerified: true } }
+            );
+            accessToken = await generateAccessToken(user, req.sessionId, { twoFactorVerified: true });
+            res.cookie('accessToken', accessToken, AUTH_COOKIE_OPTIONS);
+        }
+
+        return res.status(200).json({
+            message: 'Two-factor authentication enabled. Store the backup codes somewhere safe, they are shown only once.',
+            error: false,
+            success: true,
+            data: {
+                backupCodes: codes,
+                accessToken
+            }
+        });
+
+    } catch (error) {
+        console.error('Confirm Two-Factor Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Internal server error',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * @desc    Disable 2FA (password plus a code or backup code)
+ * @route   POST /api/users/2fa/disable
+ * @access  Private
+ */
+export async function disableTwoFactorController(req, res) {
+    try {
+        const { password, code, backupCode } = req.body;
+
+        if (!password || (!code && !backupCode)) {
+            return res.status(400).json({
+                message: 'Password and a code or backup code are required',
+                error: true,
+                success: false
+            });
+        }
+
+        const bruteForceTargets = getBruteForceTargets('2fa-manage', req, req.userId);
+        const lock = await checkBruteForce(bruteForceTargets);
+        if (lock.blocked) {
+            return sendTooManyAttempts(res, lock);
+        }
+
+        const user = await UserModel.findById(req.userId).select(TWO_FACTOR_SECRET_FIELDS);
+        if (!user) {
+            return res.status(404).json({
+                message: 'User not found',
+                error: true,
+                success: false
+            });
+        }
+
+        if (!user.two_factor.enabled) {
+            return res.status(400).json({
+                message: 'Two-factor authentication is not enabled',
+                error: true,
+                success: false
+            });
+        }
+
+        const { requireTwoFactor } = await resolveRolePolicy(user.role);
+        if (requireTwoFactor) {
+            return res.status(403).json({
+                message: 'Your role requires two-factor authentication',
+                error: true,
+                success: false
+            });
+        }
+
+        const isPasswordValid = await bcrypt.compare(password, user.password);
+        if (!isPasswordValid) {
+            await registerFailedAttempt(bruteForceTargets);
+            return res.status(401).json({
+                message: 'Password is incorrect',
+                error: true,
+                success: false
+            });
+        }
+
+        const method = await verifyTwoFactorCode(user, { code, backupCode });
+        if (!method) {
+            await registerFailedAttempt(bruteForceTargets);
+            return res.status(401).json({
+                message: 'Invalid two-factor code',
+                error: true,
+                success: false
+            });
+        }
+
+        await clearFailedAttempts(bruteForceTargets);
+
+        await UserModel.updateOne(
+            { _id: user._id },
+            {
+                $set: {
+                    'two_factor.enabled': false,
+                    'two_factor.secret': null,
+                    'two_factor.pending_secret': null,
+                    'two_factor.backup_codes': [],
+                    'two_factor.last_used_step': null,
+                    'two_factor.enabled_at': null
+                }
+            }
+        );
+
+        return res.status(200).json({
+            message: 'Two-factor authentication disabled',
+            error: false,
+            success: true
+        });
+
+    } catch (error) {
+        console.error('Disable Two-Factor Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Internal server error',
+            error: true,
+            success: false
+        });
+    }
+}
+
+/**
+ * @desc    Replace all backup codes (needs a current TOTP code)
+ * @route   POST /api/users/2fa/backup-codes
+ * @access  Private
+ */
+export async function regenerateBackupCodesController(req, res) {
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            return res.status(400).json({
+                message: 'Code is required',
+                error: true,
+                success: false
+            });
+        }
+
+        const bruteForceTargets = getBruteForceTargets('2fa-manage', req, req.userId);
+        const lock = await checkBruteForce(bruteForceTargets);
+        if (lock.blocked) {
+            return sendTooManyAttempts(res, lock);
+        }
+
+        const user = await UserModel.findById(req.userId).select(TWO_FACTOR_SECRET_FIELDS);
+        if (!user) {
+            return res.status(404).json({
+                message: 'User not found',
+                error: true,
+                success: false
+            });
+        }
+
+        if (!user.two_factor.enabled) {
+            return res.status(400).json({
+                message: 'Two-factor authentication is not enabled',
+                error: true,
+                success: false
+            });
+        }
+
+        const method = await verifyTwoFactorCode(user, { code });
+        if (!method) {
+            await registerFailedAttempt(bruteForceTargets);
+            return res.status(401).json({
+                message: 'Invalid two-factor code',
+                error: true,
+                success: false
+            });
+        }
+
+        await clearFailedAttempts(bruteForceTargets);
+
+        const { codes, hashes } = generateBackupCodes();
+
+        await UserModel.updateOne(
+            { _id: user._id },
+            { $set: { 'two_factor.backup_codes': hashes } }
+        );
+
+        return res.status(200).json({
+            message: 'Backup codes regenerated. Previous codes no longer work.',
+            error: false,
+            success: true,
+            data: {
+                backupCodes: codes
+            }
+        });
+
+    } catch (error) {
+        console.error('Regenerate Backup Codes Error:', error);
+
+        return res.status(500).json({
+            message: error.message || 'Internal server error',
+            error: true,
+            success: false
+        });
+    }
+}
@@ -1,12 +1,35 @@
+import mongoose from "mongoose";
 import UserModel from "../models/user.model.js";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 import sendVerificationEmail from "../config/sendVerificationEmail.js";
 import VerificationEmailTemplate from "../utils/verifyEmailTemplate.js";
+import {
+    AUTH_COOKIE_OPTIONS,
+    clearAuthCookies,
+    createUserSession,
+    hashToken,
+    revokeUserSessions,
+    rotateUserSession,
+    setAuthCookies
+} from "../helpers/session.helper.js";
+import SessionModel from "../models/session.model.js";
 import generateAccessToken from "../utils/generatedAccessToken.js";
-import generateRefreshToken from "../utils/generatedRefreshToken.js";
+import { invalidateUserAuthState } from "../helpers/tokenVersion.helper.js";
 import { uploadAvatar, deleteImage } from "../utils/cloudinary.js";
 import ForgotPasswordTemplate from "../utils/forgotPasswordTemplate.js";
+import ChangeEmailTemplate from "../utils/changeEmailTemplate.js";
+import EmailChangedTemplate from "../utils/emailChangedTemplate.js";
+import {
+    checkBruteForce,
+    clearFailedAttempts,
+    getBruteForceTargets,
+    registerFailedAttempt,
+    sendTooManyAttempts
+} from "../helpers/bruteForce.helper.js";
+import { discardOtps, getOtpResendCooldown, issueOtp, verifyOtp } from "../helpers/otp.helper.js";
+import { createTwoFactorChallenge } from "../helpers/twoFactor.helper.js";
+import { cancelAccountDeletion } from "../helpers/accountDeletion.helper.js";
 
 import { v2 as cloudinary } from "cloudinary";
 import fs from "fs";
@@ -18,6 +41,8 @@ cloudinary.config({
     secure: true
 });
 
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
 // Register User Controller
 export async function registerUserController(req, res) {
     try {
@@ -40,21 +65,19 @@ export async function registerUserController(req, res) {
             });
         }
 
-        const verifyCode = Math.floor(100000 + Math.random() * 900000).toString();
-
         const salt = await bcrypt.genSalt(10);
         const hashedPassword = await bcrypt.hash(password, salt);
 
         const newUser = new UserModel({
             name,
             email,
-            password: hashedPassword,
-            otp: verifyCode,
-            otp_expiry: Date.now() + 10 * 60 * 1000 // 10 minutes from now
+            password: hashedPassword
         });
 
         await newUser.save();
 
+        const verifyCode = await issueOtp(newUser._id, 'verify_email');
+
         try {
             await sendVerificationEmail({
                 sendTo: email,
@@ -103,8 +126,15 @@ export async function verifyEmailController(req, res) {
             });
         }
 
+        const bruteForceTargets = getBruteForceTargets('verify-email', req, email);
+        const lock = await checkBruteForce(bruteForceTargets);
+        if (lock.blocked) {
+            return sendTooManyAttempts(res, lock);
+        }
+
         const user = await UserModel.findOne({ email });
         if (!user) {
+            await registerFailedAttempt(bruteForceTargets);
             return res.status(404).json({
                 message: 'User not found',
                 error: true,
@@ -112,21 +142,21 @@ export async function verifyEmailController(req, res) {
             });
         }
 
-        const isCodeValid = user.otp === otp;
-        const isNotExpired = user.otp_expiry > Date.now();
-
-        if (!isCodeValid || !isNotExpired) {
+        const { status: otpResult } = await verifyOtp(user._id, 'verify_email', otp);
+        if (otpResult !== 'valid') {
+            await registerFailedAttempt(bruteForceTargets);
             return res.status(400).json({
-                message: 'Invalid or expired OTP',
+                message: otpResult === 'exhausted'
+                    ? 'Too many wrong codes. Please request a new OTP.'
+                    : 'Invalid or expired OTP',
                 error: true,
                 success: false
             });
         }
 
         user.verify_email = true;
-        user.otp = null;
-        user.otp_expiry = null;
         await user.save();
+        await clearFailedAttempts(bruteForceTargets);
 
         return res.status(200).json({
             message: 'Email verified successfully',
@@ -143,6 +173,258 @@ export async function verifyEmailController(req, res) {
     }
 }
 
+// Resend Verification Email Controller
+export async function resendVerificationController(req, res) {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({
+                message: 'Email is required',
+                error: true,
+                success: false
+            });
+        }
+
+        // Same answer whether or not the account exists or is already verified
+        const genericResponse = {
+            message: 'If your email is registered and not yet verified, you will receive a new code',
+            error: false,
+            success: true
+        };
+
+        const user = await UserModel.findOne({ email });
+        if (!user || user.verify_email) {
+            return res.status(200).json(genericResponse);
+        }
+
+        const retryAfterSeconds = await getOtpResendCooldown(user._id, 'verify_email');
+        if (retryAfterSeconds > 0) {
+            res.set('Retry-After', String(retryAfterSeconds));
+            return res.status(429).json({
+                message: 'Please wait before requesting another code',
+                error: true,
+                success: false,
+                retryAfterSeconds
+            });
+        }
+
+        const verifyCode = await issueOtp(user._id, 'verify_email');
+
+        try {
+            await sendVerificationEmail({
+                sendTo: user.email,
+                subject: 'Verify your email from E-Commerce App',
+                text: 'Please verify your email using the OTP sent to your email address.',
+                html: VerificationEmailTemplate(user.name, verifyCode)
+            });
+        } catch (emailError) {
+            console.error('Failed to resend verification email:', emailError);
+        }
+
+        return res.status(200).json(genericResponse);
+
+    } catch (error) {
+        return res.status(500).json({
+            message: error.message || 'Internal server error',
+            error: true,
+            success: false
+        });
+    }
+}
+
+// Request Email Change Controller (sends a code to the new address)
+export async function requestEmailChangeController(req, res) {
+    try {
+        const { newEmail, password } = req.body;
+
+        if (!newEmail || !password) {
+            return res.status(400).json({
+                message: 'New email and password are required',
+                error: true,
+                success: false
+            });
+        }
+
+        const email = String(newEmail).trim();
+        if (!EMAIL_REGEX.test(email)) {
+            return res.status(400).json({
+                message: 'Invalid email address',
+                error: true,
+                success: false
+            });
+        }
+
+        const user = await UserModel.findById(req.userId);
+        if (!user) {
+            return res.status(404).json({
+                message: 'User not found',
+                error: true,
+                success: false
+            });
+        }
+
+        if (email === user.email) {
+            return res.status(400).json({
+                message: 'New email must be different from the current one',
+                error: true,
+                success: false
+            });
+        }
+
+        const isPasswordValid = await bcrypt.compare(password, user.password);
+        if (!isPasswordValid) {
+            return res.status(401).json({
+                message: 'Password is incorrect',
+                error: true,
+                success: false
+            });
+        }
+
+        const emailExists = await UserModel.exists({ email });
+        if (emailExists) {
+            return res.status(409).json({
+                message: 'Email already exists',
+                error: true,
+                success: false
+            });
+        }
+
+        const retryAfterSeconds = await getOtpResendCooldown(user._id, 'change_email');
+        if (retryAfterSeconds > 0) {
+            res.set('Retry-After', String(retryAfterSeconds));
+            return res.status(429).json({
+                message: 'Please wait before requesting another code',
+                error: true,
+                success: false,
+                retryAfterSeconds
+            });
+        }
+
+        const verifyCode = await issueOtp(user._id, 'change_email', { target: email });
+
+        try {
+            await sendVerificationEmail({
+                sendTo: email,
+                subject: 'Confirm your new email for E-Commerce App',
+                text: 'Use the OTP code to confirm your new email address.',
+                html: ChangeEmailTemplate(user.name, verifyCode)
+            });
+        } catch (emailError) {
+            console.error('Failed to send change email code:', emailError);
+            await discardOtps(user._id, 'change_email');
+
+            return res.status(500).json({
+                message: 'Failed to send confirmation email. Please try again.',
+                error: true,
+                success: false
+            });
+        }
+
+        return res.status(200).json({
+            message: 'A confirmation code has been sent to your new email address',
+            error: false,
+            success: true
+        });
+
+    } catch (error) {
+        return res.status(500).json({
+            message: error.message || 'Internal server error',
+            error: true,
+            success: false
+        });
+    }
+}
+
+// Confirm Email Change Controller
+export async function confirmEmailChangeController(req, res) {
+    try {
+        const { otp } = req.body;
+
+        if (!otp) {
+            return res.status(400).json({
+                message: 'OTP is required',
+                error: true,
+                success: false
+            });
+        }
+
+        const bruteForceTargets = getBruteForceTargets('change-email', req, req.userId);
+        const lock = await checkBruteForce(bruteForceTargets);
+        if (lock.blocked) {
+            return sendTooManyAttempts(res, lock);
+        }
+
+        const user = await UserModel.findById(req.userId);
+        if (!user) {
+            return res.status(404).json({
+                message: 'User not found',
+                error: true,
+                success: false
+            });
+        }
+
+        const { status: otpResult, target: newEmail } = await verifyOtp(user._id, 'change_email', otp);
+        if (otpResult !== 'valid') {
+            await registerFailedAttempt(bruteForceTargets);
+            return res.status(400).json({
+                message: otpResult === 'exhausted'
+                    ? 'Too many wrong codes. Please request a new OTP.'
+                    : 'Invalid or expired OTP',
+                error: true,
+                success: false
+            });
+        }
+
+        await clearFailedAttempts(bruteForceTargets);
+
+        const oldEmail = user.email;
+        user.email = newEmail;
+        user.verify_email = true; // The code proved ownership of the new address
+
+        try {
+            await user.save();
+        } catch (saveError) {
+            // Taken by someone else since the code was sent
+            if (saveError.code === 11000) {
+                return res.status(409).json({
+                    message: 'Email already exists',
+                    error: true,
+                    success: false
+                });
+            }
+            throw saveError;
+        }
+
+        try {
+            await sendVerificationEmail({
+                sendTo: oldEmail,
+                subject: 'Your email was changed - E-Commerce App',
+                text: `The email of your account was changed to ${newEmail}. If this was not you, contact support.`,
+                html: EmailChangedTemplate(user.name, newEmail)
+            });
+        } catch (emailError) {
+            console.error('Failed to send email change notification:', emailError);
+        }
+
+        return res.status(200).json({
+            message: 'Email changed successfully',
+            error: false,
+            success: true,
+            data: {
+                email: user.email
+            }
+        });
+
+    } catch (error) {
+        return res.status(500).json({
+            message: error.message || 'Internal server error',
+            error: true,
+            success: false
+        });
+    }
+}
+
 // Login User Controller
 export async function loginUserController(req, res) {
     try {
@@ -156,8 +438,15 @@ export async function loginUserController(req, res) {
             });
         }
 
+        const bruteForceTargets = getBruteForceTargets('login', req, email);
+        const lock = await checkBruteForce(bruteForceTargets);
+        if (lock.blocked) {
+            return sendTooManyAttempts(res, lock);
+        }
+
         const user = await UserModel.findOne({ email });
         if (!user) {
+            await registerFailedAttempt(bruteForceTargets);
             return res.status(404).json({
                 message: 'User not found',
                 error: true,
@@ -165,7 +454,8 @@ export async function loginUserController(req, res) {
             });
         }
 
-        if (user.status !== 'Active') {
+        // Accounts pending deletion can still log in: that cancels the deletion
+        if (user.status !== 'Active' && user.status !== 'PendingDeletion') {
             return res.status(403).json({
                 message: 'User account is not active',
                 error: true,
@@ -183,6 +473,7 @@ export async function loginUserController(req, res) {
 
         const isPasswordValid = await bcrypt.compare(password, user.password);
         if (!isPasswordValid) {
+            await registerFailedAttempt(bruteForceTargets);
             return res.status(401).json({
                 message: 'Invalid password',
                 error: true,
@@ -190,25 +481,38 @@ export async function loginUserController(req, res) {
             });
         }
 
-        const accessToken = await generateAccessToken(user);
-        const refreshToken = await generateRefreshToken(user);
+        await clearFailedAttempts(bruteForceTargets);
+
+        // Second step required: no tokens until POST /login/2fa succeeds
+        if (user.two_factor?.enabled) {
+            return res.status(200).json({
+                message: 'Two-factor authentication required',
+                error: false,
+                success: true,
+                data: {
+                    twoFactorRequired: true,
+                    twoFactorToken: createTwoFactorChallenge(user)
+                }
+            });
+        }
+
+        const deletionCancelled = user.status === 'PendingDeletion'
+            && await cancelAccountDeletion(user._id);
+
+        // Each login starts its own device session
+        const { accessToken, refreshToken } = await createUserSession(user, req);
 
         await UserModel.findByIdAndUpdate(
             user._id,
             { last_login_date: Date.now() },
         );
 
-        const cookiesOptions = {
-            httpOnly: true,
-            secure: true,
-            sameSite: 'None',
-        };
-
-        res.cookie('accessToken', accessToken, cookiesOptions);
-        res.cookie('refreshToken', refreshToken, cookiesOptions);
+        setAuthCookies(res, { accessToken, refreshToken });
 
         return res.status(200).json({
-            message: 'Login successful',
+            message: deletionCancelled
+                ? 'Login successful. Your account deletion has been cancelled.'
+                : 'Login successful',
             error: false,
             success: true,
             data: {
@@ -238,20 +542,13 @@ export async function logoutUserController(req, res) {
             });
         }
 
-        const cookiesOption = {
-            httpOnly: true,
-            secure: true,
-            sameSite: 'None'
-        };
-
         // Clear cookies trước
-        res.clearCookie('accessToken', cookiesOption);
-        res.clearCookie('refreshToken', cookiesOption);
-        
-        await UserModel.findByIdAndUpdate(
-            userId,
-            { refresh_token: "" }
-        );
+        clearAuthCookies(res);
+
+        // Only end the session of this device
+        if (req.sessionId) {
+            await revokeUserSessions(userId, 'logout', { _id: req.sessionId });
+        }
 
         return res.status(200).json({
             message: 'Logout successful',
@@ -336,7 +633,7 @@ export async function getUserProfileController(req, res) {
     try {
         const userId = req.userId; // From auth middleware
 
-        const user = await UserModel.findById(userId).select('-password -otp -otp_expiry -refresh_token');
+        const user = await UserModel.findById(userId).select('-password');
         
         if (!user) {
             return res.status(404).json({
@@ -368,6 +665,15 @@ export async function updateUserProfileController(req, res) {
         const userId = req.userId; // From auth middleware
         const { name, email, mobile, password } = req.body;
 
+        // Password changes must prove the current password and revoke other sessions
+        if (password !== undefined) {
+            return res.status(400).json({
+                message: 'Password cannot be changed here. Use the change password flow instead.',
+                error: true,
+                success: false
+            });
+        }
+
         const user = await UserModel.findById(userId);
         if (!user) {
             return res.status(404).json({
@@ -377,77 +683,28 @@ export async function updateUserProfileController(req, res) {
             });
         }
 
-        // Check if email is being changed and if new email already exists
+        // Email changes must verify the new address first (see /email/change)
         if (email && email !== user.email) {
-            const emailExists = await UserModel.findOne({ email });
-            if (emailExists) {
-                return res.status(409).json({
-                    message: 'Email already exists',
-                    error: true,
-                    success: false
-                });
-            }
-        }
-
-        let verifyCode = "";
-        const emailChanged = email && email !== user.email;
-        
-        if (emailChanged) {
-            verifyCode = Math.floor(100000 + Math.random() * 900000).toString();
-        }
-
-        let hashedPassword = user.password; // Keep existing password by default
-        if (password) {
-            const salt = await bcrypt.genSalt(10);
-            hashedPassword = await bcrypt.hash(password, salt);
+            return res.status(400).json({
+                message: 'Email cannot be changed here. Use the change email flow instead.',
+                error: true,
+                success: false
+            });
         }
 
         const updateData = {
             name: name || user.name,
-            email: email || user.email,
-            mobile: mobile !== undefined ? mobile : user.mobile,
-            password: hashedPassword
+            mobile: mobile !== undefined ? mobile : user.mobile
         };
 
-        // Only update email verification fields if email changed
-        if (emailChanged) {
-            updateData.verify_email = false;
-            updateData.otp = verifyCode;
-            updateData.otp_expiry = Date.now() + 10 * 60 * 1000;
-        }
-
         const updatedUser = await UserModel.findByIdAndUpdate(
             userId,
             updateData,
             { new: true }
-        ).select('-password -otp -otp_expiry -refresh_token');
-
-        // Send verification email if email changed
-        if (emailChanged) {
-            try {
-                await sendVerificationEmail({
-                    sendTo: updatedUser.email,
-                    subject: 'Verify your updated email from E-Commerce App',
-                    text: 'Please verify your email using the OTP sent to your email address.',
-                    html: VerificationEmailTemplate(updatedUser.name, verifyCode)
-                });
-            } catch (emailError) {
-                console.error('Failed to send verification email:', emailError);
-                // Return success but with warning about email
-                return res.status(200).json({
-                    message: 'Profile updated but verification email failed to send',
-                    error: false,
-                    success: true,
-                    data: updatedUser,
-                    warning: 'Please request a new verification code'
-                });
-            }
-        }
+        ).select('-password');
 
         return res.status(200).json({
-            message: emailChanged 
-                ? 'Profile updated successfully. Please verify your new email.' 
-                : 'Profile updated successfully',
+            message: 'Profile updated successfully',
             error: false,
             success: true,
             data: updatedUser
@@ -492,11 +749,7 @@ export async function forgotPasswordController(req, res) {
             });
         }
 
-        const resetCode = Math.floor(100000 + Math.random() * 900000).toString();
-
-        user.otp = resetCode;
-        user.otp_expiry = Date.now() + 10 * 60 * 1000;
-        await user.save();
+        const resetCode = await issueOtp(user._id, 'password_reset');
 
         try {
             await sendVerificationEmail({
@@ -515,9 +768,7 @@ export async function forgotPasswordController(req, res) {
         } catch (emailError) {
             console.error('Failed to send reset email:', emailError);
             
-            user.otp = null;
-            user.otp_expiry = null;
-            await user.save();
+            await discardOtps(user._id, 'password_reset');
 
             return res.status(500).json({
                 message: 'Failed to send password reset email. Please try again.',
@@ -549,9 +800,16 @@ export async function verifyResetCodeController(req, res) {
             });
         }
 
+        const bruteForceTargets = getBruteForceTargets('reset-code', req, email);
+        const lock = await checkBruteForce(bruteForceTargets);
+        if (lock.blocked) {
+            return sendTooManyAttempts(res, lock);
+        }
+
         // Find user
         const user = await UserModel.findOne({ email });
         if (!user) {
+            await registerFailedAttempt(bruteForceTargets);
             return res.status(404).json({
                 message: 'User not found',
                 error: true,
@@ -560,20 +818,24 @@ export async function verifyResetCodeController(req, res) {
         }
 
         // Verify OTP
-        const isCodeValid = user.otp === otp;
-        const isNotExpired = user.otp_expiry > Date.now();
-
-        if (!isCodeValid || !isNotExpired) {
+        const { status: otpResult } = await verifyOtp(user._id, 'password_reset', otp);
+        if (otpResult !== 'valid') {
+            await registerFailedAttempt(bruteForceTargets);
             return res.status(400).json({
-                message: 'Invalid or expired OTP',
+                message: otpResult === 'exhausted'
+                    ? 'Too many wrong codes. Please request a new OTP.'
+                    : 'Invalid or expired OTP',
                 error: true,
                 success: false
             });
         }
 
-        // Generate temporary token for password reset
+        await clearFailedAttempts(bruteForceTargets);
+
+        // Generate temporary token for password reset.
+        // Bound to the token version, so it stops working once the password is reset.
         const resetToken = jwt.sign(
-            { email: user.email, id: user._id, purpose: 'password-reset' },
+            { email: user.email, id: user._id, purpose: 'password-reset', tv: user.token_version || 0 },
             process.env.JWT_SECRET,
             { expiresIn: '15m' } // 15 minutes to complete password reset
         );
@@ -617,6 +879,13 @@ export async function resetPasswordController(req, res) {
             });
         }
 
+        // Reset tokens are not tied to an account until verified, so only the IP is counted
+        const bruteForceTargets = getBruteForceTargets('reset-password', req);
+        const lock = await checkBruteForce(bruteForceTargets);
+        if (lock.blocked) {
+            return sendTooManyAttempts(res, lock);
+        }
+
         // Verify reset token
         let decoded;
         try {
@@ -627,6 +896,7 @@ export async function resetPasswordController(req, res) {
                 throw new Error('Invalid token purpose');
             }
         } catch (jwtError) {
+            await registerFailedAttempt(bruteForceTargets);
             return res.status(401).json({
                 message: 'Invalid or expired reset token',
                 error: true,
@@ -644,16 +914,30 @@ export async function resetPasswordController(req, res) {
             });
         }
 
+        // Reset tokens are single use
+        if ((decoded.tv || 0) !== (user.token_version || 0)) {
+            await registerFailedAttempt(bruteForceTargets);
+            return res.status(401).json({
+                message: 'Invalid or expired reset token',
+                error: true,
+                success: false
+            });
+        }
+
         // Hash new password
         const salt = await bcrypt.genSalt(10);
         const hashedPassword = await bcrypt.hash(newPassword, salt);
 
-        // Update password and clear OTP
+        // Update password
         user.password = hashedPassword;
-        user.otp = null;
-        user.otp_expiry = null;
-        user.refresh_token = ""; // Clear refresh token for security
+        user.token_version += 1; // Revoke every issued access token
         await user.save();
+        invalidateUserAuthState(user._id);
+
+        await clearFailedAttempts(bruteForceTargets);
+
+        // Sign out every device for security
+        await revokeUserSessions(user._id, 'password_reset');
 
         return res.status(200).json({
             message: 'Password reset successfully. Please login with your new password.',
@@ -695,18 +979,30 @@ export async function refreshTokenController(req, res) {
             });
         }
 
-        // Find user and check if refresh token matches
-        const user = await UserModel.findById(decoded.id);
-        if (!user) {
-            return res.status(404).json({
-                message: 'User not found',
+        // Find the device session this token belongs to
+        const session = decoded.sid
+            ? await SessionModel.findOne({ _id: decoded.sid, userId: decoded.id })
+            : null;
+
+        if (!session || session.revokedAt || session.expiresAt < Date.now()) {
+            clearAuthCookies(res);
+            return res.status(401).json({
+                message: 'Session has expired or was revoked. Please log in again.',
                 error: true,
                 success: false
             });
         }
 
-        // Verify the refresh token matches the one stored in database
-        if (user.refresh_token !== refreshToken) {
+        const presentedHash = hashToken(refreshToken);
+
+        // A rotated-out token was replayed: likely stolen, end the whole session
+        if (session.tokenHash !== presentedHash) {
+            if (session.previousTokenHashes.includes(presentedHash)) {
+                await revokeUserSessions(decoded.id, 'refresh_token_reuse', { _id: session._id });
+                console.warn(`Refresh token reuse detected for user ${decoded.id}, session ${session._id} revoked`);
+            }
+
+            clearAuthCookies(res);
             return res.status(401).json({
                 message: 'Invalid refresh token',
                 error: true,
@@ -714,6 +1010,15 @@ export async function refreshTokenController(req, res) {
             });
         }
 
+        const user = await UserModel.findById(decoded.id);
+        if (!user) {
+            return res.status(404).json({
+                message: 'User not found',
+                error: true,
+                success: false
+            });
+        }
+
         // Check if user account is active
         if (user.status !== 'Active') {
             return res.status(403).json({
@@ -723,29 +1028,28 @@ export async function refreshTokenController(req, res) {
             });
         }
 
-        // Generate new access token
-        const newAccessToken = await generateAccessToken(user);
-
-        // Optionally generate new refresh token for rotation
-        const newRefreshToken = await generateRefreshToken(user);
+        // Rotate: issue a new token pair and retire the presented refresh token
+        const tokens = await rotateUserSession(user, session._id.toString(), presentedHash, req);
 
-        // Set cookies
-        const cookiesOptions = {
-            httpOnly: true,
-            secure: true,
-            sameSite: 'None',
-        };
+        if (!tokens) {
+            // Lost a race against another refresh with the same token
+            clearAuthCookies(res);
+            return res.status(401).json({
+                message: 'Invalid refresh token',
+                error: true,
+                success: false
+            });
+        }
 
-        res.cookie('accessToken', newAccessToken, cookiesOptions);
-        res.cookie('refreshToken', newRefreshToken, cookiesOptions);
+        setAuthCookies(res, tokens);
 
         return res.status(200).json({
             message: 'Token refreshed successfully',
             error: false,
             success: true,
             data: {
-                accessToken: newAccessToken,
-                refreshToken: newRefreshToken
+                accessToken: tokens.accessToken,
+                refreshToken: tokens.refreshToken
             }
         });
 
@@ -787,10 +1091,101 @@ export async function changePasswordController(req, res) {
             });
         }
         user.password = await bcrypt.hash(newPassword, 10);
+        user.token_version += 1; // Revoke every issued access token
         await user.save();
+        invalidateUserAuthState(user._id);
+
+        // Keep the current device signed in, sign out the others
+        await revokeUserSessions(user._id, 'password_change', { _id: { $ne: req.sessionId } });
+
+        // Current device gets a fresh access token carrying the new token version
+        const accessToken = await generateAccessToken(user, req.sessionId, {
+            twoFactorVerified: req.twoFactorVerified
+        });
+        res.cookie('accessToken', accessToken, AUTH_COOKIE_OPTIONS);
+
         return res.status(200).json({
             message: 'Password changed successfully',
             error: false,
+            success: true,
+            data: {
+                accessToken
+            }
+        });
+    } catch (error) {
+        return res.status(500).json({
+            message: error.message || 'Internal server error',
+            error: true,
+            success: false
+        });
+    }
+}
+// Get Active Sessions Controller
+export async function getSessionsController(req, res) {
+    try {
+        const sessions = await SessionModel.find({
+            userId: req.userId,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        })
+            .sort({ lastUsedAt: -1 })
+            .select('device ip userAgent lastUsedAt createdAt')
+            .lean();
+
+        return res.status(200).json({
+            message: 'Active sessions retrieved successfully',
+            error: false,
+            success: true,
+            data: sessions.map(session => ({
+                id: session._id,
+                device: session.device,
+                ip: session.ip,
+                userAgent: session.userAgent,
+                lastUsedAt: session.lastUsedAt,
+                createdAt: session.createdAt,
+                current: String(session._id) === String(req.sessionId)
+            }))
+        });
+    } catch (error) {
+        return res.status(500).json({
+            message: error.message || 'Internal server error',
+            error: true,
+            success: false
+        });
+    }
+}
+
+// Revoke Session Controller (sign out one device)
+export async function revokeSessionController(req, res) {
+    try {
+        const { sessionId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+            return res.status(400).json({
+                message: 'Invalid session ID format',
+                error: true,
+                success: false
+            });
+        }
+
+        const revokedCount = await revokeUserSessions(req.userId, 'remote_signout', { _id: sessionId });
+
+        if (revokedCount === 0) {
+            return res.status(404).json({
+                message: 'Session not found or already signed out',
+                error: true,
+                success: false
+            });
+        }
+
+        const isCurrentSession = sessionId === String(req.sessionId);
+        if (isCurrentSession) {
+            clearAuthCookies(res);
+        }
+
+        return res.status(200).json({
+            message: isCurrentSession ? 'Signed out of this device' : 'Device signed out successfully',
+            error: false,
             success: true
         });
     } catch (error) {
@@ -800,4 +1195,30 @@ export async function changePasswordController(req, res) {
             success: false
         });
     }
-}
\ No newline at end of file
+}
+
+// Revoke Other Sessions Controller (sign out all other devices)
+export async function revokeOtherSessionsController(req, res) {
+    try {
+        const revokedCount = await revokeUserSessions(
+            req.userId,
+            'remote_signout',
+            { _id: { $ne: req.sessionId } }
+        );
+
+        return res.status(200).json({
+            message: 'Signed out of all other devices',
+            error: false,
+            success: true,
+            data: {
+                revokedCount
+            }
+        });
+    } catch (error) {
+        return res.status(500).json({
+            message: error.message || 'Internal server error',
+            error: true,
+            success: false
+        });
+    }
+}
@@ -0,0 +1,176 @@
+import crypto from 'crypto';
+import UserModel from '../models/user.model.js';
+import OrderModel from '../models/order.model.js';
+import AddressModel from '../models/address.model.js';
+import CartProductModel from '../models/cartproduct.model.js';
+import MyListModel from '../models/mylist.model.js';
+import SessionModel from '../models/session.model.js';
+import OtpModel from '../models/otp.model.js';
+import { deleteImage } from '../utils/cloudinary.js';
+import { bumpTokenVersion } from './tokenVersion.helper.js';
+import { revokeUserSessions } from './session.helper.js';
+import { deleteReviews } from './review.helper.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a user has to change their mind (logging in again cancels the deletion)
+export const ACCOUNT_DELETION_GRACE_MS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS || 30) * DAY_MS;
+
+const PURGE_INTERVAL_MS = Number(process.env.ACCOUNT_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 50;
+
+/**
+ * Put an account into its grace period and sign it out everywhere
+ * @returns {Promise<Date>} when the account will be purged
+ */
+export async function scheduleAccountDeletion(userId) {
+  const scheduledFor = new Date(Date.now() + ACCOUNT_DELETION_GRACE_MS);
+
+  await UserModel.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        status: 'PendingDeletion',
+        'deletion.requested_at': new Date(),
+        'deletion.scheduled_for': scheduledFor
+      }
+    }
+  );
+
+  await bumpTokenVersion(userId);
+  await revokeUserSessions(userId, 'account_deletion');
+
+  return scheduledFor;
+}
+
+/**
+ * Bring an account back from its grace period
+ * (its tokens were already revoked when the deletion was scheduled)
+ * @returns {Promise<boolean>} false if it was not pending deletion
+ */
+export async function cancelAccountDeletion(userId) {
+  const result = await UserModel.updateOne(
+    { _id: userId, status: 'PendingDeletion' },
+    {
+      $set: {
+        status: 'Active',
+        'deletion.requested_at': null,
+        'deletion.scheduled_for': null
+      }
+    }
+  );
+
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Erase personal data of an account whose grace period is over.
+ * Orders are kept for accounting but no longer point to any personal data.
+ */
+export async function purgeAccount(user) {
+  const userId = user._id;
+
+  // Orders lose their address and customer references
+  await OrderModel.updateMany(
+    { userId },
+    {
+      $set: {
+        delivery_address: null,
+        delivery_address_snapshot: null,
+        'statusHistory.$[customer].changedBy': null
+      }
+    },
+    { arrayFilters: [{ 'customer.actorType': 'customer' }] }
+  );
+  await OrderModel.updateMany(
+    { userId, 'cancellation.actorType': 'customer' },
+    { $set: { 'cancellation.cancelledBy': null } }
+  );
+
+  await AddressModel.deleteMany({ userId });
+  await CartProductModel.deleteMany({ userId });
+  await MyListModel.deleteMany({ userId });
+  await OtpModel.deleteMany({ userId });
+  await deleteReviews({ userId });
+
+  await revokeUserSessions(userId, 'account_deleted');
+  await SessionModel.deleteMany({ userId });
+
+  if (user.avatar_public_id) {
+    await deleteImage(user.avatar_public_id);
+  }
+
+  // Keep the document (orders reference it) but strip everything personal
+  await UserModel.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        name: 'Deleted user',
+        email: `deleted-${userId}@deleted.invalid`,
+        password: crypto.randomBytes(32).toString('hex'),
+        avatar: '',
+        avatar_public_id: '',
+        mobile: '',
+        verify_email: false,
+        last_login_date: null,
+        status: 'Deleted',
+        address_details: [],
+        shopping_cart: [],
+        two_factor: { enabled: false },
+        oauth_accounts: [],
+        'deletion.completed_at': new Date()
+      }
+    }
+  );
+
+  await bumpTokenVersion(userId);
+}
+
+/**
+ * Purge every account whose grace period has ended.
+ * One failing account does not stop the others: it is logged, skipped for this run
+ * and retried on the next one.
+ * @returns {Promise<{purged: number, failed: number}>}
+ */
+export async function purgeDueAccounts() {
+  let purged = 0;
+  const failedIds = [];
+
+  for (;;) {
+    const users = await UserModel.find({
+      _id: { $nin: failedIds },
+      status: 'PendingDeletion',
+      'deletion.scheduled_for': { $lte: new Date() }
+    })
+      .limit(PURGE_BATCH_SIZE)
+      .select('_id avatar_public_id')
+      .lean();
+
+    if (users.length === 0) return { purged, failed: failedIds.length };
+
+    for (const user of users) {
+      try {
+        await purgeAccount(user);
+        purged += 1;
+      } catch (error) {
+        console.error(`Account purge failed for user ${user._id}:`, error);
+        failedIds.push(user._id);
+      }
+    }
+  }
+}
+
+/**
+ * Run the purge on startup and then periodically
+ */
+export function startAccountPurgeJob() {
+  const run = () => purgeDueAccounts()
+    .then(({ purged, failed }) => {
+      if (purged > 0) console.log(`Account purge: ${purged} account(s) deleted`);
+      if (failed > 0) console.error(`Account purge: ${failed} account(s) failed, retrying on the next run`);
+    })
+    .catch(error => console.error('Account purge failed:', error));
+
+  run();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+}
@@ -0,0 +1,79 @@
+import AuditLogModel from '../models/auditLog.model.js';
+import { getRequestMeta } from './session.helper.js';
+
+// Bookkeeping fields that never belong in a diff
+const IGNORED_DIFF_FIELDS = new Set(['_id', '__v', 'createdAt', 'updatedAt']);
+
+/**
+ * Plain copy of a document (or lean object) suitable for diffing
+ */
+export function toAuditSnapshot(doc) {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true, flattenMaps: true }) : doc;
+  return JSON.parse(JSON.stringify(plain));
+}
+
+/**
+ * Field-level diff between two snapshots. A missing side counts as null,
+ * so a deletion lists every field with `to: null`.
+ * @returns {object|null} { field: { from, to } } or null when nothing changed
+ */
+export function diffDocuments(before, after) {
+  const from = toAuditSnapshot(before) || {};
+  const to = toAuditSnapshot(after) || {};
+  const changes = {};
+
+  for (const field of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    if (IGNORED_DIFF_FIELDS.has(field)) continue;
+
+    const previous = from[field] ?? null;
+    const next = to[field] ?? null;
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes[field] = { from: previous, to: next };
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Write an audit entry for an action done by the authenticated user.
+ * Never throws: a failed audit write is logged, the action itself already happened.
+ * @param {object} req - Request (actor comes from auth middleware)
+ * @param {object} entry
+ * @param {string} entry.action - e.g. 'user.role.update'
+ * @param {string} entry.targetType - e.g. 'User'
+ * @param {*} entry.targetId
+ * @param {object} [entry.changes] - { field: { from, to } }
+ * @param {object} [entry.before] - Document before the change (diffed with `after` when no `changes`)
+ * @param {object} [entry.after] - Document after the change
+ * @param {object} [entry.meta] - Extra context (reason, counts...)
+ */
+export async function recordAudit(req, {
+  action,
+  targetType,
+  targetId = null,
+  changes = null,
+  before = null,
+  after = null,
+  meta = null
+}) {
+  try {
+    const { ip, userAgent } = getRequestMeta(req);
+
+    await AuditLogModel.create({
+      actorId: req.userId || null,
+      actorEmail: req.userEmail || '',
+      actorRole: req.userRole || '',
+      action,
+      targetType,
+      targetId: targetId != null ? String(targetId) : null,
+      changes: changes || diffDocuments(before, after),
+      meta,
+      ip,
+      userAgent
+    });
+  } catch (error) {
+    console.error('Audit Log Error:', error);
+  }
+}
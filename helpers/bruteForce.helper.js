@@ -0,0 +1,134 @@
+import { getStore } from '../config/stores/index.js';
+
+// Failed attempts are counted within this window
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+
+// Progressive backoff: past a target's backoffAfter failures each new failure doubles the wait
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 60 * 1000;
+
+// Temporary lockout once a counter reaches its limit
+const LOCKOUT_MS = 15 * 60 * 1000;
+const MAX_ACCOUNT_FAILURES = 10;
+const MAX_IP_FAILURES = 50;
+
+/**
+ * Counters guarding an action: one per account (if known) and one per client IP
+ * @param {string} action - e.g. 'login', 'verify-email'
+ * @param {string} [account] - Email or user id the attempt targets
+ */
+export function getBruteForceTargets(action, req, account) {
+  const targets = [{
+    key: `bf:${action}:ip:${req.ip || req.socket?.remoteAddress || 'unknown'}`,
+    // Shared networks (offices, mobile carriers) get more room before slowing down
+    backoffAfter: 20,
+    maxFailures: MAX_IP_FAILURES,
+    scope: 'ip'
+  }];
+
+  if (account) {
+    targets.push({
+      key: `bf:${action}:account:${String(account).trim().toLowerCase()}`,
+      backoffAfter: 3,
+      maxFailures: MAX_ACCOUNT_FAILURES,
+      scope: 'account'
+    });
+  }
+
+  return targets;
+}
+
+/**
+ * Count an attempt against every target, then decide from the counts whether it may go on.
+ * The counter is bumped with a single atomic increment before the attempt is verified:
+ * checking first and counting after the failure would let a burst of parallel guesses
+ * all pass the check before any of them is counted. A successful attempt gives its
+ * count back in clearFailedAttempts(), so the counters only keep failures.
+ * @returns {Promise<{blocked: boolean, retryAfterSeconds?: number, lockedOut?: boolean}>}
+ */
+export async function checkBruteForce(targets) {
+  const store = getStore();
+  let result = { blocked: false };
+
+  for (const target of targets) {
+    // Kept on the target so registerFailedAttempt() does not count the attempt twice
+    target.attempts = await store.increment(target.key, FAILURE_WINDOW_MS);
+
+    let lock = await store.get(`${target.key}:lock`);
+
+    if (target.attempts > target.maxFailures && !(lock?.lockedOut && lock.until > Date.now())) {
+      lock = { until: Date.now() + LOCKOUT_MS, lockedOut: true };
+      await store.set(`${target.key}:lock`, lock, LOCKOUT_MS);
+    }
+
+    if (!lock || lock.until <= Date.now()) continue;
+
+    const retryAfterSeconds = Math.ceil((lock.until - Date.now()) / 1000);
+    if (!result.blocked || retryAfterSeconds > result.retryAfterSeconds) {
+      result = { blocked: true, retryAfterSeconds, lockedOut: lock.lockedOut };
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Lock the targets whose count crossed a threshold after a failed attempt
+ * (the attempt itself was counted by checkBruteForce)
+ */
+export async function registerFailedAttempt(targets) {
+  const store = getStore();
+
+  for (const target of targets) {
+    const failures = target.attempts ?? await store.increment(target.key, FAILURE_WINDOW_MS);
+
+    let delayMs = 0;
+    let lockedOut = false;
+
+    if (failures >= target.maxFailures) {
+      delayMs = LOCKOUT_MS;
+      lockedOut = true;
+    } else if (failures >= target.backoffAfter) {
+      delayMs = Math.min(BACKOFF_BASE_MS * 2 ** (failures - target.backoffAfter), BACKOFF_MAX_MS);
+    }
+
+    if (delayMs > 0) {
+      await store.set(`${target.key}:lock`, { until: Date.now() + delayMs, lockedOut }, delayMs);
+    }
+  }
+}
+
+/**
+ * After a successful attempt: reset the account counters and give back the attempt
+ * counted on the IP counters. IP counters are not reset, so one valid account
+ * cannot hide failed guesses on others.
+ */
+export async function clearFailedAttempts(targets) {
+  const store = getStore();
+
+  for (const target of targets) {
+    if (target.scope === 'account') {
+      await store.delete(target.key);
+      await store.delete(`${target.key}:lock`);
+    } else if (target.attempts !== undefined) {
+      await store.decrement(target.key);
+      target.attempts = undefined;
+    }
+  }
+}
+
+/**
+ * Send a 429 for a blocked attempt
+ */
+export function sendTooManyAttempts(res, { retryAfterSeconds, lockedOut }) {
+  res.set('Retry-After', String(retryAfterSeconds));
+
+  return res.status(429).json({
+    message: lockedOut
+      ? 'Too many failed attempts. Account temporarily locked, please try again later.'
+      : 'Too many failed attempts. Please wait before trying again.',
+    error: true,
+    success: false,
+    retryAfterSeconds
+  });
+}
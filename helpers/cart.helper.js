@@ -0,0 +1,18 @@
+import CartProductModel from '../models/cartproduct.model.js';
+
+/**
+ * Bring the cart indexes in line with the schema.
+ * Carts created before variants carry a unique { userId, productId } index that
+ * refuses a second variant of the same product: it is dropped here and the
+ * { userId, productId, variantId } index is built instead.
+ * @returns {Promise<string[]>} names of the dropped indexes
+ */
+export async function syncCartIndexes() {
+  const droppedIndexes = await CartProductModel.syncIndexes();
+
+  if (droppedIndexes.length > 0) {
+    console.log(`Dropped outdated cart indexes: ${droppedIndexes.join(', ')}`);
+  }
+
+  return droppedIndexes;
+}
@@ -0,0 +1,182 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import UserModel from '../models/user.model.js';
+import { getStore } from '../config/stores/index.js';
+import { OAUTH_REQUEST_TIMEOUT_MS } from '../config/oauthProviders.js';
+
+// Time allowed to come back from the provider
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+export const OAUTH_STATE_COOKIE = 'oauthState';
+
+// Compares email addresses regardless of case
+const EMAIL_COLLATION = { locale: 'en', strength: 2 };
+
+// Accounts that can still log in, and so may get a provider linked
+const LINKABLE_STATUSES = ['Active', 'PendingDeletion'];
+
+// Lax: the cookie must come back on the top-level redirect from the provider
+export const OAUTH_STATE_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: true,
+  sameSite: 'Lax',
+  path: '/api/auth/oauth',
+  maxAge: STATE_TTL_MS
+};
+
+const base64Url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Build the provider authorization URL for the code flow with PKCE (S256).
+ * State and code verifier are kept server side until the callback; the state is
+ * also returned so it can be bound to the browser that started the login.
+ * @returns {Promise<{authorizationUrl: string, state: string}>}
+ */
+export async function createAuthorizationUrl(provider) {
+  const state = base64Url(crypto.randomBytes(32));
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  await getStore().set(`oauth:state:${state}`, { provider: provider.name, codeVerifier }, STATE_TTL_MS);
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scope,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return {
+    authorizationUrl: `${provider.authorizationUrl}?${params.toString()}`,
+    state
+  };
+}
+
+/**
+ * Constant time comparison of the callback state with the one of the browser cookie
+ */
+function isSameState(state, browserState) {
+  if (typeof state !== 'string' || typeof browserState !== 'string') return false;
+
+  const a = Buffer.from(state);
+  const b = Buffer.from(browserState);
+
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Read and delete the state of an authorization request (single use).
+ * Nothing is consumed unless the state matches the one stored in the browser cookie,
+ * so a forged callback cannot burn the state of someone else's login.
+ * @param {string} browserState - State from the OAUTH_STATE_COOKIE cookie
+ * @returns {Promise<{provider: string, codeVerifier: string}|null>}
+ */
+export async function consumeAuthorizationState(state, providerName, browserState) {
+  if (!isSameState(state, browserState)) return null;
+
+  const store = getStore();
+  const key = `oauth:state:${state}`;
+  const data = await store.get(key);
+  if (!data) return null;
+
+  await store.delete(key);
+
+  return data.provider === providerName ? data : null;
+}
+
+/**
+ * Exchange an authorization code for the provider access token
+ */
+export async function exchangeAuthorizationCode(provider, code, codeVerifier) {
+  const response = await fetch(provider.tokenUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret,
+      code_verifier: codeVerifier
+    }),
+    signal: AbortSignal.timeout(OAUTH_REQUEST_TIMEOUT_MS)
+  });
+
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok || !body.access_token) {
+    throw new Error(`Token exchange failed: ${body.error_description || body.error || response.status}`);
+  }
+
+  return body.access_token;
+}
+
+/**
+ * Find the user behind a provider profile: linked account first, then verified email,
+ * otherwise create a new user.
+ * @returns {Promise<{user?: object, created?: boolean, linked?: boolean, error?: string}>}
+ *   error is 'EMAIL_NOT_VERIFIED' (provider), 'LOCAL_EMAIL_NOT_VERIFIED' or 'ACCOUNT_NOT_ACTIVE' (existing account)
+ */
+export async function resolveOAuthUser(providerName, profile) {
+  const linkedUser = await UserModel.findOne({
+    oauth_accounts: {
+      $elemMatch: { provider: providerName, provider_user_id: profile.providerUserId }
+    }
+  });
+
+  if (linkedUser) return { user: linkedUser };
+
+  // Only a verified address proves ownership of an existing account
+  if (!profile.email || !profile.emailVerified) {
+    return { error: 'EMAIL_NOT_VERIFIED' };
+  }
+
+  const email = profile.email.trim().toLowerCase();
+
+  const oauthAccount = {
+    provider: providerName,
+    provider_user_id: profile.providerUserId,
+    email,
+    linked_at: new Date()
+  };
+
+  // Case-insensitive: local sign-ups keep the address as it was typed
+  const existingUser = await UserModel.findOne({ email }).collation(EMAIL_COLLATION);
+
+  if (existingUser) {
+    // Whoever registered this address never proved they own it: do not hand them the account
+    if (!existingUser.verify_email) {
+      return { error: 'LOCAL_EMAIL_NOT_VERIFIED' };
+    }
+
+    // A suspended or deleted account must not gain a new way in
+    if (!LINKABLE_STATUSES.includes(existingUser.status)) {
+      return { error: 'ACCOUNT_NOT_ACTIVE' };
+    }
+
+    existingUser.oauth_accounts.push(oauthAccount);
+    await existingUser.save();
+
+    return { user: existingUser, linked: true };
+  }
+
+  // Random password: the account can use "forgot password" to set a real one
+  const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+  const user = await UserModel.create({
+    name: profile.name || email,
+    email,
+    password,
+    avatar: profile.avatar || '',
+    verify_email: true,
+    oauth_accounts: [oauthAccount]
+  });
+
+  return { user, created: true };
+}
@@ -0,0 +1,283 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import ProductModel from '../models/product.model.js';
+import { getPaymentProvider } from '../config/paymentService.js';
+
+/**
+ * Generate a human readable, unique order reference (e.g. ORD-LZ3K9Q1A-4F2B9C)
+ */
+export function generateOrderId() {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = crypto.randomBytes(3).toString('hex').toUpperCase();
+
+  return `ORD-${timestamp}-${random}`;
+}
+
+/**
+ * Round a monetary amount to 2 decimals
+ */
+export function roundAmount(amount) {
+  return Math.round((Number(amount) || 0) * 100) / 100;
+}
+
+/**
+ * Address fields copied onto an order at checkout
+ */
+export const DELIVERY_ADDRESS_FIELDS = ['address_line', 'city', 'state', 'pincode', 'country', 'mobile'];
+
+/**
+ * Copy of an address for the order it is delivered to
+ */
+export function snapshotDeliveryAddress(address) {
+  return Object.fromEntries(DELIVERY_ADDRESS_FIELDS.map(field => [field, address[field] || '']));
+}
+
+/**
+ * Fulfilment statuses of an order
+ */
+export const ORDER_STATUSES = [
+  'pending', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'
+];
+
+/**
+ * Allowed status transitions (state machine)
+ */
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['processing', 'cancelled', 'refunded'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: []
+};
+
+/**
+ * Check if an order can move from one status to another
+ */
+export function canTransitionOrderStatus(fromStatus, toStatus) {
+  return (ORDER_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+/**
+ * Build a query that matches an order by Mongo _id or by its orderId reference
+ */
+export function buildOrderLookup(orderId) {
+  return mongoose.Types.ObjectId.isValid(orderId)
+    ? { _id: orderId }
+    : { orderId };
+}
+
+/**
+ * Build order filter từ query parameters (status, date range)
+ */
+export function buildOrderFilter(baseFilter, queryParams) {
+  const { status, from, to } = queryParams;
+
+  const filter = { ...baseFilter };
+  const errors = [];
+
+  // Status (comma separated)
+  if (status) {
+    const statusArray = status.split(',').map(s => s.trim()).filter(Boolean);
+    const invalidStatuses = statusArray.filter(s => !ORDER_STATUSES.includes(s));
+
+    if (invalidStatuses.length > 0) {
+      errors.push(`Invalid status: ${invalidStatuses.join(', ')}`);
+    } else if (statusArray.length > 0) {
+      filter.status = { $in: statusArray };
+    }
+  }
+
+  // Date range
+  if (from || to) {
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+
+    if (fromDate && isNaN(fromDate.getTime())) {
+      errors.push('Invalid from date');
+    }
+    if (toDate && isNaN(toDate.getTime())) {
+      errors.push('Invalid to date');
+    }
+
+    if (errors.length === 0) {
+      filter.createdAt = {};
+      if (fromDate) filter.createdAt.$gte = fromDate;
+      if (toDate) filter.createdAt.$lte = toDate;
+    }
+  }
+
+  return { filter, errors };
+}
+
+/**
+ * Build sort object cho orders
+ */
+export function buildOrderSort(sortParam = '-createdAt') {
+  if (typeof sortParam !== 'string') {
+    return { createdAt: -1 };
+  }
+
+  const sortObj = {};
+  const allowedFields = ['createdAt', 'updatedAt', 'totalAmount', 'totalQuantity', 'status'];
+
+  sortParam.split(',').forEach(field => {
+    const trimmedField = field.trim();
+    const fieldName = trimmedField.replace(/^-/, '');
+
+    if (!allowedFields.includes(fieldName)) return;
+
+    sortObj[fieldName] = trimmedField.startsWith('-') ? -1 : 1;
+  });
+
+  if (Object.keys(sortObj).length === 0) {
+    sortObj.createdAt = -1;
+  }
+
+  return sortObj;
+}
+
+/**
+ * Statuses from which a customer may still cancel (nothing shipped yet)
+ */
+export const CANCELLABLE_ORDER_STATUSES = ['pending', 'paid', 'processing'];
+
+/**
+ * Conditional stock decrement for a cart line: the chosen variant's stock
+ * (and the product total with it), or the product stock if it has no variants
+ * @returns {{ filter: object, update: object }}
+ */
+export function buildStockReservation({ productId, variantId, quantity }) {
+  if (variantId) {
+    return {
+      filter: {
+        _id: productId,
+        variants: { $elemMatch: { _id: variantId, isActive: true, countInStock: { $gte: quantity } } }
+      },
+      update: { $inc: { 'variants.$.countInStock': -quantity, countInStock: -quantity } }
+    };
+  }
+
+  return {
+    filter: { _id: productId, 'variants.0': { $exists: false }, countInStock: { $gte: quantity } },
+    update: { $inc: { countInStock: -quantity } }
+  };
+}
+
+/**
+ * Put reserved quantities of an order back into stock
+ */
+export async function restoreOrderStock(order, session) {
+  const operations = order.items.map(item => ({
+    updateOne: item.variantId
+      ? {
+        filter: { _id: item.productId, 'variants._id': item.variantId },
+        update: { $inc: { 'variants.$.countInStock': item.quantity, countInStock: item.quantity } }
+      }
+      : {
+        filter: { _id: item.productId },
+        update: { $inc: { countInStock: item.quantity } }
+      }
+  }));
+
+  if (operations.length === 0) return;
+
+  await ProductModel.bulkWrite(operations, { session });
+}
+
+/**
+ * Write the unsaved changes of an order (e.g. from transitionTo) only while its status
+ * is still the one they were made from. Read-modify-write flows use it so that a change
+ * committed in between, such as a cancellation that gave the stock back, is not overwritten.
+ * @returns {Promise<object|null>} the updated order, null when its status moved on
+ */
+export async function saveOrderFromStatus(order, fromStatus, { session = null } = {}) {
+  // order.constructor is the Order model (importing it here would be circular)
+  return order.constructor.findOneAndUpdate(
+    { _id: order._id, status: fromStatus },
+    order.$getChanges(),
+    { new: true, session }
+  );
+}
+
+/**
+ * Whether a cancelled or refunded order still waits for its provider refund call
+ */
+export function isRefundDue(order) {
+  return order.payment_status === 'refund_pending' && !order.refundId && Boolean(order.paymentId);
+}
+
+/**
+ * Refund the captured payment of an order through its payment provider.
+ * Call it after the transaction that marked the order 'refund_pending' is committed:
+ * a slow or failing provider must not hold (or roll back) the cancellation.
+ * Safe to call again: it does nothing once a refund was recorded, and the result is
+ * only written while the order is still waiting for it.
+ * @returns {Promise<{refund: object|null, order: object}>} refund is null when nothing was due;
+ *   order is the latest version of the order
+ */
+export async function refundOrderPayment(order, { reason = '', changedBy = null, actorType = 'system' } = {}) {
+  if (!isRefundDue(order)) {
+    return { refund: null, order };
+  }
+
+  const provider = getPaymentProvider();
+  const refund = await provider.refundPayment(order.paymentId, {
+    amount: order.totalAmount,
+    reason,
+    idempotencyKey: `refund:${order._id}`
+  });
+
+  const update = { $set: { refundId: refund.id } };
+
+  if (refund.status !== 'succeeded') {
+    update.$set.payment_status = refund.status === 'pending' ? 'refund_pending' : 'refund_failed';
+  } else {
+    update.$set.payment_status = 'refunded';
+
+    if (canTransitionOrderStatus(order.status, 'refunded')) {
+      update.$set.status = 'refunded';
+      update.$push = {
+        statusHistory: { status: 'refunded', changedAt: new Date(), changedBy, actorType, note: 'Payment refunded' }
+      };
+    }
+  }
+
+  // order.constructor is the Order model (importing it here would be circular)
+  const updatedOrder = await order.constructor.findOneAndUpdate(
+    { _id: order._id, status: order.status, payment_status: 'refund_pending', refundId: '' },
+    update,
+    { new: true }
+  );
+
+  return { refund, order: updatedOrder || order };
+}
+
+/**
+ * Cancel an order: restore stock, record cancellation and move status to cancelled.
+ * Paid orders are marked 'refund_pending': call refundOrderPayment() once the
+ * transaction is committed.
+ * Must run inside the caller's transaction so stock and status change together.
+ */
+export async function cancelOrder(order, { reason, changedBy = null, actorType = 'system', session }) {
+  const wasPaid = order.payment_status === 'paid';
+
+  await restoreOrderStock(order, session);
+
+  order.cancellation = {
+    reason,
+    cancelledAt: new Date(),
+    cancelledBy: changedBy,
+    actorType
+  };
+  order.transitionTo('cancelled', { changedBy, actorType, note: reason });
+
+  if (wasPaid && order.paymentId) {
+    order.payment_status = 'refund_pending';
+  }
+
+  await order.save({ session });
+
+  return order;
+}
@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import OtpModel from '../models/otp.model.js';
+
+export const OTP_TTL_MS = 10 * 60 * 1000;
+
+// Wrong codes accepted before an OTP is thrown away
+export const OTP_MAX_ATTEMPTS = 5;
+
+// Minimum delay between two codes of the same purpose
+export const OTP_RESEND_COOLDOWN_MS = 60 * 1000;
+
+/**
+ * HMAC of a code, bound to its user and purpose so a hash cannot be reused elsewhere
+ */
+function hashOtp(code, userId, purpose) {
+  const secret = process.env.OTP_SECRET || process.env.JWT_SECRET;
+
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${userId}:${purpose}:${code}`)
+    .digest('hex');
+}
+
+/**
+ * Issue a new 6-digit code, replacing any pending code of the same purpose
+ * @param {object} [options]
+ * @param {string} [options.target] - Address the code is sent to (change_email)
+ * @returns {Promise<string>} the plain code (to be emailed, never stored)
+ */
+export async function issueOtp(userId, purpose, { target = null } = {}) {
+  const code = crypto.randomInt(100000, 1000000).toString();
+
+  await OtpModel.deleteMany({ userId, purpose });
+  await OtpModel.create({
+    userId,
+    purpose,
+    codeHash: hashOtp(code, userId, purpose),
+    target,
+    expiresAt: new Date(Date.now() + OTP_TTL_MS)
+  });
+
+  return code;
+}
+
+/**
+ * Seconds to wait before another code of this purpose can be sent
+ * @returns {Promise<number>} 0 if a new code can be issued now
+ */
+export async function getOtpResendCooldown(userId, purpose) {
+  const latest = await OtpModel.findOne({ userId, purpose })
+    .sort({ createdAt: -1 })
+    .select('createdAt')
+    .lean();
+
+  if (!latest) return 0;
+
+  const remainingMs = latest.createdAt.getTime() + OTP_RESEND_COOLDOWN_MS - Date.now();
+  return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+}
+
+/**
+ * Check a code and consume it on success (single use).
+ * Wrong codes are counted, the OTP is deleted after OTP_MAX_ATTEMPTS.
+ * @returns {Promise<{status: 'valid'|'invalid'|'exhausted', target?: string}>}
+ */
+export async function verifyOtp(userId, purpose, code) {
+  const otp = await OtpModel.findOne({
+    userId,
+    purpose,
+    consumedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ createdAt: -1 });
+
+  if (!otp) return { status: 'invalid' };
+
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const actual = Buffer.from(hashOtp(String(code).trim(), userId, purpose), 'hex');
+
+  if (crypto.timingSafeEqual(expected, actual)) {
+    // Conditional update so two concurrent requests cannot both consume it
+    const consumed = await OtpModel.findOneAndUpdate(
+      { _id: otp._id, consumedAt: null },
+      { $set: { consumedAt: new Date() } }
+    );
+    return consumed ? { status: 'valid', target: otp.target } : { status: 'invalid' };
+  }
+
+  const updated = await OtpModel.findOneAndUpdate(
+    { _id: otp._id },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!updated || updated.attempts >= OTP_MAX_ATTEMPTS) {
+    await OtpModel.deleteOne({ _id: otp._id });
+    return { status: 'exhausted' };
+  }
+
+  return { status: 'invalid' };
+}
+
+/**
+ * Remove pending codes of a purpose (e.g. email could not be sent)
+ */
+export async function discardOtps(userId, purpose) {
+  await OtpModel.deleteMany({ userId, purpose });
+}
@@ -0,0 +1,192 @@
+import mongoose from 'mongoose';
+import ReviewModel from '../models/review.model.js';
+import ProductModel from '../models/product.model.js';
+import MyListModel from '../models/mylist.model.js';
+import OrderModel from '../models/order.model.js';
+import { deleteImage } from '../utils/cloudinary.js';
+
+const REVIEW_SORT_FIELDS = ['createdAt', 'rating'];
+
+/**
+ * Words that send a review to the moderation queue (REVIEW_BANNED_WORDS, comma separated)
+ */
+function getBannedWords() {
+  return (process.env.REVIEW_BANNED_WORDS || '')
+    .split(',')
+    .map(word => word.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// URLs, "www." hosts and bare domains such as example.com
+const LINK_PATTERN = /(https?:\/\/|www\.|\b[a-z0-9-]+\.(com|net|org|io|co|info|biz|ru|xyz|shop|top)\b)/i;
+
+/**
+ * Auto-moderation rules tripped by a review's title and text
+ * @returns {string[]} e.g. ['banned_word', 'link']
+ */
+export function runAutoModeration({ title = '', text = '' }) {
+  const content = `${title}\n${text}`;
+  const words = content.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+  const flags = [];
+
+  if (getBannedWords().some(banned => words.includes(banned))) {
+    flags.push('banned_word');
+  }
+
+  if (LINK_PATTERN.test(content)) {
+    flags.push('link');
+  }
+
+  return flags;
+}
+
+/**
+ * Status of a new or edited review: held as pending when a rule trips,
+ * and back to pending after an edit of a review staff rejected or flagged
+ */
+export function resolveReviewStatus(autoFlags, currentStatus = null) {
+  if (autoFlags.length > 0) return 'pending';
+  if (currentStatus === 'rejected' || currentStatus === 'flagged') return 'pending';
+  return 'approved';
+}
+
+/**
+ * Whether the user has a delivered order containing the product
+ */
+export async function hasVerifiedPurchase(userId, productId) {
+  const order = await OrderModel.exists({
+    userId,
+    status: 'delivered',
+    'items.productId': productId
+  });
+
+  return Boolean(order);
+}
+
+/**
+ * Mark the customer's existing reviews of a delivered order's products as verified
+ */
+export async function markVerifiedPurchases(order) {
+  if (!order.userId) return;
+
+  await ReviewModel.updateMany(
+    {
+      userId: order.userId,
+      productId: { $in: order.items.map(item => item.productId) },
+      verifiedPurchase: false
+    },
+    { $set: { verifiedPurchase: true } }
+  );
+}
+
+/**
+ * Take the badge back once a delivered order is cancelled or refunded,
+ * except for products the customer still has in another delivered order
+ */
+export async function unmarkVerifiedPurchases(order) {
+  const wasDelivered = order.statusHistory?.some(entry => entry.status === 'delivered');
+  if (!order.userId || !wasDelivered) return;
+
+  const productIds = order.items.map(item => item.productId);
+  const stillDelivered = await OrderModel.distinct('items.productId', {
+    _id: { $ne: order._id },
+    userId: order.userId,
+    status: 'delivered',
+    'items.productId': { $in: productIds }
+  });
+
+  const kept = new Set(stillDelivered.map(String));
+  const revoked = productIds.filter(productId => !kept.has(String(productId)));
+  if (revoked.length === 0) return;
+
+  await ReviewModel.updateMany(
+    {
+      userId: order.userId,
+      productId: { $in: revoked },
+      verifiedPurchase: true
+    },
+    { $set: { verifiedPurchase: false } }
+  );
+}
+
+/**
+ * Build review list sort (e.g. "-createdAt", "rating")
+ */
+export function buildReviewSort(sortParam = '-createdAt') {
+  const direction = String(sortParam).startsWith('-') ? -1 : 1;
+  const field = String(sortParam).replace(/^-/, '');
+
+  return REVIEW_SORT_FIELDS.includes(field)
+    ? { [field]: direction, _id: direction }
+    : { createdAt: -1, _id: -1 };
+}
+
+/**
+ * Average rating, review count and star distribution of a product (approved reviews only)
+ * @returns {Promise<{averageRating: number, numReviews: number, distribution: object}>}
+ */
+export async function getRatingSummary(productId, { session = null } = {}) {
+  const groups = await ReviewModel.aggregate([
+    { $match: { productId: new mongoose.Types.ObjectId(String(productId)), status: 'approved' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]).session(session);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let numReviews = 0;
+  let total = 0;
+
+  for (const { _id: stars, count } of groups) {
+    distribution[stars] = count;
+    numReviews += count;
+    total += stars * count;
+  }
+
+  return {
+    averageRating: numReviews > 0 ? Math.round((total / numReviews) * 10) / 10 : 0,
+    numReviews,
+    distribution
+  };
+}
+
+/**
+ * Recompute Product.rating and Product.numReviews from the reviews,
+ * and refresh the rating copied into wishlists
+ * @param {object} [options]
+ * @param {object} [options.session] - Run inside the caller's transaction
+ */
+export async function recalculateProductRating(productId, { session = null } = {}) {
+  const { averageRating, numReviews } = await getRatingSummary(productId, { session });
+
+  await ProductModel.updateOne(
+    { _id: productId },
+    { $set: { rating: averageRating, numReviews } },
+    { session }
+  );
+  await MyListModel.updateMany(
+    { productId },
+    { $set: { rating: averageRating } },
+    { session }
+  );
+
+  return { averageRating, numReviews };
+}
+
+/**
+ * Delete reviews and their photos (used when products or accounts go away).
+ * Ratings of the affected products are recalculated.
+ */
+export async function deleteReviews(filter) {
+  const reviews = await ReviewModel.find(filter).select('productId images').lean();
+  if (reviews.length === 0) return 0;
+
+  await ReviewModel.deleteMany({ _id: { $in: reviews.map(review => review._id) } });
+
+  await Promise.all(
+    reviews.flatMap(review => review.images || []).map(img => deleteImage(img.public_id))
+  );
+
+  const productIds = [...new Set(reviews.map(review => String(review.productId)))];
+  await Promise.all(productIds.map(productId => recalculateProductRating(productId)));
+
+  return reviews.length;
+}
@@ -0,0 +1,62 @@
+import RoleModel from '../models/role.model.js';
+import { ALL_PERMISSIONS, DEFAULT_ROLES, SUPER_ADMIN_ROLE } from '../config/permissions.js';
+
+/**
+ * Insert built-in roles that do not exist yet (existing roles keep their edits)
+ */
+export async function seedDefaultRoles() {
+  const operations = DEFAULT_ROLES.map(role => ({
+    updateOne: {
+      filter: { name: role.name },
+      update: {
+        $setOnInsert: {
+          description: role.description,
+          permissions: role.permissions
+        },
+        $set: { isSystem: true }
+      },
+      upsert: true
+    }
+  }));
+
+  await RoleModel.bulkWrite(operations);
+}
+
+/**
+ * Resolve the permissions and 2FA requirement of a role from the Role collection,
+ * falling back to the built-in defaults
+ * @returns {Promise<{permissions: string[], requireTwoFactor: boolean}>}
+ */
+export async function resolveRolePolicy(roleName) {
+  const role = await RoleModel.findOne({ name: roleName }).select('permissions requireTwoFactor').lean();
+  const requireTwoFactor = Boolean(role?.requireTwoFactor);
+
+  if (roleName === SUPER_ADMIN_ROLE) {
+    return { permissions: ALL_PERMISSIONS, requireTwoFactor };
+  }
+
+  if (role) {
+    return { permissions: role.permissions, requireTwoFactor };
+  }
+
+  return {
+    permissions: DEFAULT_ROLES.find(r => r.name === roleName)?.permissions || [],
+    requireTwoFactor
+  };
+}
+
+/**
+ * Whether a user may act on accounts holding a role, or hand that role out:
+ * only an Admin may touch Admin accounts or make someone Admin
+ */
+export function canManageRole(requesterRole, targetRole) {
+  return requesterRole === SUPER_ADMIN_ROLE || targetRole !== SUPER_ADMIN_ROLE;
+}
+
+/**
+ * Extra user filter for writes made by a non-Admin, so a user promoted to Admin
+ * between the check and the write is not changed
+ */
+export function manageableUserFilter(requesterRole) {
+  return requesterRole === SUPER_ADMIN_ROLE ? {} : { role: { $ne: SUPER_ADMIN_ROLE } };
+}
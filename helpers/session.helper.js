@@ -0,0 +1,202 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import SessionModel from '../models/session.model.js';
+import generateAccessToken from '../utils/generatedAccessToken.js';
+import generateRefreshToken, { REFRESH_TOKEN_TTL_MS } from '../utils/generatedRefreshToken.js';
+
+// Keep enough rotated hashes to detect replay of any token still within its lifetime
+const MAX_PREVIOUS_TOKEN_HASHES = 50;
+
+// Per-process cache of session liveness so auth does not hit the DB on every request
+// (same lifetime as the auth state cache of tokenVersion.helper)
+const sessionStateCache = new Map();
+
+const SESSION_CACHE_TTL_MS = parseInt(process.env.AUTH_STATE_CACHE_TTL_MS) || 30 * 1000;
+const MAX_SESSION_CACHE_ENTRIES = 10000;
+
+export const AUTH_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: true,
+  sameSite: 'None',
+};
+
+/**
+ * Hash a refresh token before storing or comparing it
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Short readable device label from a user agent string (e.g. "Chrome on Windows")
+ */
+export function describeDevice(userAgent = '') {
+  const browsers = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/], ['iOS', /iPhone|iPad|iPod/], ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/], ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, regex]) => regex.test(userAgent))?.[0];
+  const system = systems.find(([, regex]) => regex.test(userAgent))?.[0];
+
+  if (!browser && !system) return 'Unknown device';
+  if (!browser) return system;
+  if (!system) return browser;
+
+  return `${browser} on ${system}`;
+}
+
+/**
+ * Extract client information of a request
+ */
+export function getRequestMeta(req) {
+  const userAgent = req.get?.('user-agent') || '';
+
+  return {
+    ip: req.ip || req.socket?.remoteAddress || '',
+    userAgent,
+    device: req.get?.('x-device-name') || describeDevice(userAgent)
+  };
+}
+
+/**
+ * Start a new device session and issue its first token pair
+ * @param {object} [options]
+ * @param {boolean} [options.twoFactorVerified] - Login completed a second factor
+ * @returns {Promise<{accessToken: string, refreshToken: string, session: object}>}
+ */
+export async function createUserSession(user, req, { twoFactorVerified = false } = {}) {
+  const session = new SessionModel({
+    userId: user._id,
+    twoFactorVerified,
+    ...getRequestMeta(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+
+  const refreshToken = generateRefreshToken(user, session._id.toString());
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+
+  const accessToken = await generateAccessToken(user, session._id.toString(), { twoFactorVerified });
+
+  return { accessToken, refreshToken, session };
+}
+
+/**
+ * Rotate the refresh token of a session.
+ * Only succeeds if the presented token is still the current one,
+ * so two concurrent refreshes with the same token cannot both win.
+ * @returns {Promise<{accessToken: string, refreshToken: string}|null>}
+ */
+export async function rotateUserSession(user, sessionId, presentedTokenHash, req) {
+  const refreshToken = generateRefreshToken(user, sessionId);
+  const { ip, userAgent } = getRequestMeta(req);
+
+  const session = await SessionModel.findOneAndUpdate(
+    { _id: sessionId, userId: user._id, tokenHash: presentedTokenHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hashToken(refreshToken),
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+        ip,
+        userAgent
+      },
+      $push: {
+        previousTokenHashes: { $each: [presentedTokenHash], $slice: -MAX_PREVIOUS_TOKEN_HASHES }
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) return null;
+
+  const accessToken = await generateAccessToken(user, sessionId, {
+    twoFactorVerified: session.twoFactorVerified
+  });
+
+  return { accessToken, refreshToken };
+}
+
+/**
+ * Whether a session of a user is neither revoked nor expired (cached for a short time)
+ * @returns {Promise<boolean>}
+ */
+export async function isSessionActive(sessionId, userId) {
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) return false;
+
+  const key = String(sessionId);
+  const cached = sessionStateCache.get(key);
+
+  if (cached && cached.cachedUntil > Date.now()) {
+    return cached.active && cached.expiresAt > Date.now();
+  }
+
+  const session = await SessionModel.findOne({ _id: sessionId, userId })
+    .select('revokedAt expiresAt')
+    .lean();
+
+  const state = {
+    userId: String(userId),
+    active: Boolean(session) && !session.revokedAt,
+    expiresAt: session ? new Date(session.expiresAt).getTime() : 0,
+    cachedUntil: Date.now() + SESSION_CACHE_TTL_MS
+  };
+
+  // Simple bound: drop the oldest entry when full
+  if (sessionStateCache.size >= MAX_SESSION_CACHE_ENTRIES) {
+    sessionStateCache.delete(sessionStateCache.keys().next().value);
+  }
+  sessionStateCache.set(key, state);
+
+  return state.active && state.expiresAt > Date.now();
+}
+
+/**
+ * Forget the cached session states of a user
+ */
+export function invalidateUserSessionStates(userId) {
+  const key = String(userId);
+
+  for (const [sessionId, state] of sessionStateCache) {
+    if (state.userId === key) {
+      sessionStateCache.delete(sessionId);
+    }
+  }
+}
+
+/**
+ * Revoke sessions of a user
+ * @param {object} filter - Extra filter (e.g. { _id: sessionId } or { _id: { $ne: currentId } })
+ * @returns {Promise<number>} number of sessions revoked
+ */
+export async function revokeUserSessions(userId, reason, filter = {}) {
+  const result = await SessionModel.updateMany(
+    { ...filter, userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  invalidateUserSessionStates(userId);
+
+  return result.modifiedCount;
+}
+
+/**
+ * Set access and refresh token cookies
+ */
+export function setAuthCookies(res, { accessToken, refreshToken }) {
+  res.cookie('accessToken', accessToken, AUTH_COOKIE_OPTIONS);
+  res.cookie('refreshToken', refreshToken, AUTH_COOKIE_OPTIONS);
+}
+
+/**
+ * Clear access and refresh token cookies
+ */
+export function clearAuthCookies(res) {
+  res.clearCookie('accessToken', AUTH_COOKIE_OPTIONS);
+  res.clearCookie('refreshToken', AUTH_COOKIE_OPTIONS);
+}
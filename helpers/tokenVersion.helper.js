@@ -0,0 +1,70 @@
+import UserModel from '../models/user.model.js';
+
+// Per-process cache of { tokenVersion, status } so auth does not hit the DB on every request
+const authStateCache = new Map();
+
+const CACHE_TTL_MS = parseInt(process.env.AUTH_STATE_CACHE_TTL_MS) || 30 * 1000;
+const MAX_CACHE_ENTRIES = 10000;
+
+/**
+ * Get token version and status of a user (cached for a short time)
+ * @returns {Promise<{tokenVersion: number, status: string}|null>} null if user does not exist
+ */
+export async function getUserAuthState(userId) {
+  const key = String(userId);
+  const cached = authStateCache.get(key);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.state;
+  }
+
+  const user = await UserModel.findById(userId).select('token_version status').lean();
+  const state = user
+    ? { tokenVersion: user.token_version || 0, status: user.status }
+    : null;
+
+  // Simple bound: drop the oldest entry when full
+  if (authStateCache.size >= MAX_CACHE_ENTRIES) {
+    authStateCache.delete(authStateCache.keys().next().value);
+  }
+  authStateCache.set(key, { state, expiresAt: Date.now() + CACHE_TTL_MS });
+
+  return state;
+}
+
+/**
+ * Forget the cached auth state of a user
+ */
+export function invalidateUserAuthState(userId) {
+  authStateCache.delete(String(userId));
+}
+
+/**
+ * Revoke every access token already issued to a user
+ * @returns {Promise<number|null>} new token version, null if user does not exist
+ */
+export async function bumpTokenVersion(userId) {
+  const user = await UserModel.findByIdAndUpdate(
+    userId,
+    { $inc: { token_version: 1 } },
+    { new: true }
+  ).select('token_version').lean();
+
+  invalidateUserAuthState(userId);
+
+  return user ? user.token_version : null;
+}
+
+/**
+ * Revoke every access token issued to members of a role
+ * @returns {Promise<number>} number of users affected
+ */
+export async function bumpTokenVersionForRole(roleName) {
+  const users = await UserModel.find({ role: roleName }).select('_id').lean();
+  if (users.length === 0) return 0;
+
+  await UserModel.updateMany({ role: roleName }, { $inc: { token_version: 1 } });
+  users.forEach(user => invalidateUserAuthState(user._id));
+
+  return users.length;
+}
@@ -0,0 +1,123 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import UserModel from '../models/user.model.js';
+import { verifyTotp } from '../utils/totp.js';
+
+const BACKUP_CODE_COUNT = 10;
+
+// Time allowed between password check and second factor
+const CHALLENGE_TTL = '5m';
+
+// Fields hidden by default on the user (select: false)
+export const TWO_FACTOR_SECRET_FIELDS =
+  '+two_factor.secret +two_factor.pending_secret +two_factor.backup_codes +two_factor.last_used_step';
+
+const getEncryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+  .digest();
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM, "iv:tag:ciphertext" in base64)
+ */
+export function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt a stored TOTP secret
+ */
+export function decryptSecret(payload) {
+  const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+const hashBackupCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+/**
+ * Generate one-time backup codes
+ * @returns {{codes: string[], hashes: string[]}} plain codes are shown once, only hashes are stored
+ */
+export function generateBackupCodes() {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashBackupCode) };
+}
+
+/**
+ * Check a TOTP code or a backup code for a user with 2FA enabled, and consume it.
+ * The user must be loaded with TWO_FACTOR_SECRET_FIELDS.
+ * @returns {Promise<'totp'|'backup_code'|null>} method used, null if rejected
+ */
+export async function verifyTwoFactorCode(user, { code, backupCode }) {
+  if (!user.two_factor?.enabled || !user.two_factor.secret) return null;
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(user.two_factor.secret), code);
+    if (step === null) return null;
+
+    // A code can only be used once, even inside its 30s window
+    const result = await UserModel.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'two_factor.last_used_step': null },
+          { 'two_factor.last_used_step': { $lt: step } }
+        ]
+      },
+      { $set: { 'two_factor.last_used_step': step } }
+    );
+
+    return result.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  if (backupCode) {
+    const hash = hashBackupCode(backupCode);
+
+    const result = await UserModel.updateOne(
+      { _id: user._id, 'two_factor.backup_codes': hash },
+      { $pull: { 'two_factor.backup_codes': hash } }
+    );
+
+    return result.modifiedCount === 1 ? 'backup_code' : null;
+  }
+
+  return null;
+}
+
+/**
+ * Short-lived token proving the password step of a login succeeded
+ */
+export function createTwoFactorChallenge(user) {
+  return jwt.sign(
+    { id: user._id, purpose: '2fa-login', tv: user.token_version || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL }
+  );
+}
+
+/**
+ * Read a login challenge token
+ * @returns {object|null} payload, null if invalid or expired
+ */
+export function readTwoFactorChallenge(token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa-login' ? decoded : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,134 @@
+import mongoose from 'mongoose';
+
+/**
+ * Validate and normalise variant fields from a request body
+ * @param {object} body
+ * @param {object} [options]
+ * @param {boolean} [options.partial] - Update: only validate the fields that are present
+ * @returns {{ value: object, errors: string[] }}
+ */
+export function parseVariantInput(body, { partial = false } = {}) {
+  const { sku, price, oldPrice, countInStock, isActive } = body;
+  let { attributes } = body;
+  const value = {};
+  const errors = [];
+
+  if (sku !== undefined || !partial) {
+    if (typeof sku !== 'string' || !sku.trim()) {
+      errors.push('SKU is required');
+    } else {
+      value.sku = sku.trim().toUpperCase();
+    }
+  }
+
+  if (attributes !== undefined || !partial) {
+    // Multipart requests send attributes as a JSON string
+    if (typeof attributes === 'string') {
+      try {
+        attributes = JSON.parse(attributes);
+      } catch {
+        attributes = null;
+      }
+    }
+
+    const entries = attributes && typeof attributes === 'object' && !Array.isArray(attributes)
+      ? Object.entries(attributes)
+      : null;
+
+    if (!entries || entries.length === 0) {
+      errors.push('Attributes must be an object such as { "ram": "8GB", "size": "M" }');
+    } else if (entries.some(([key, val]) => !key.trim() || typeof val !== 'string' || !val.trim())) {
+      errors.push('Attribute names and values must be non-empty strings');
+    } else {
+      value.attributes = Object.fromEntries(entries.map(([key, val]) => [key.trim(), val.trim()]));
+    }
+  }
+
+  if (price !== undefined || !partial) {
+    const priceNum = parseFloat(price);
+    if (isNaN(priceNum) || priceNum < 0) {
+      errors.push('Price must be a positive number');
+    } else {
+      value.price = priceNum;
+    }
+  }
+
+  if (oldPrice !== undefined) {
+    const oldPriceNum = parseFloat(oldPrice);
+    if (isNaN(oldPriceNum) || oldPriceNum < 0) {
+      errors.push('Old price must be a positive number');
+    } else {
+      value.oldPrice = oldPriceNum;
+    }
+  }
+
+  if (countInStock !== undefined || !partial) {
+    const stockNum = Number(countInStock);
+    if (!Number.isInteger(stockNum) || stockNum < 0) {
+      errors.push('Stock count must be a non-negative integer');
+    } else {
+      value.countInStock = stockNum;
+    }
+  }
+
+  if (isActive !== undefined) {
+    value.isActive = isActive === true || isActive === 'true';
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Resolve the variant a customer picked for a product.
+ * Products with variants require one; products without variants refuse one.
+ * @returns {{ variant: object|null, error: string|null }}
+ */
+export function resolvePurchasableVariant(product, variantId) {
+  const hasVariants = product.variants?.length > 0;
+
+  if (!variantId) {
+    return hasVariants
+      ? { variant: null, error: 'Please choose a variant of this product' }
+      : { variant: null, error: null };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(variantId)) {
+    return { variant: null, error: 'Invalid variant ID format' };
+  }
+
+  const variant = product.variants?.find(v => String(v._id) === String(variantId));
+  if (!variant || !variant.isActive) {
+    return { variant: null, error: 'Selected variant is not available' };
+  }
+
+  return { variant, error: null };
+}
+
+/**
+ * Stock a cart line can draw from: the variant's own stock, or the product's
+ */
+export function getAvailableStock(product, variant) {
+  return variant ? variant.countInStock : product.countInStock;
+}
+
+/**
+ * Unit price of a cart line: the variant's own price, or the product's
+ */
+export function getUnitPrice(product, variant) {
+  return variant ? variant.price : product.price;
+}
+
+/**
+ * Images uploaded for the variants of a product (stored apart from product.images)
+ */
+export function getVariantImages(product) {
+  return (product.variants || []).flatMap(variant => variant.images || []);
+}
+
+/**
+ * Plain { name: value } copy of variant attributes (Map on documents, object when lean)
+ */
+export function variantAttributesToObject(attributes) {
+  if (!attributes) return {};
+  return attributes instanceof Map ? Object.fromEntries(attributes) : { ...attributes };
+}
@@ -1,46 +1,20 @@
-import express from 'express';
-import dotenv from 'dotenv';
-import cors from 'cors';
-
-dotenv.config();
-
-import cookieParser from 'cookie-parser';
-import morgan from 'morgan';
-import helmet from 'helmet';
+// Loaded first so every module sees the environment when it is evaluated
+import 'dotenv/config';
 import connectDB from './config/connectDB.js';
-import userRouter from './routes/user.route.js';
-import categoryRouter from './routes/category.route.js';
-import productRouter from './routes/product.route.js';
-import cartRouter from './routes/cart.route.js';
-import myListRouter from './routes/mylist.route.js';
-
-const app = express();
-
-// Cấu hình CORS
-app.use(cors({
-    credentials: true
-}));
+import { assertPaymentConfig } from './config/paymentService.js';
+import { seedDefaultRoles } from './helpers/role.helper.js';
+import { startAccountPurgeJob } from './helpers/accountDeletion.helper.js';
+import { syncCartIndexes } from './helpers/cart.helper.js';
+import app from './app.js';
 
-app.use(express.json());
-app.use(cookieParser());
-app.use(morgan('dev'));
-app.use(helmet({
-    crossOriginResourcePolicy: false
-}));
-
-app.get('/', (req, res) => {
-    res.json({ 
-        message: 'Server is running on port ' + process.env.PORT 
-    });
-});
+// Fail fast rather than take payments with a default setup
+assertPaymentConfig();
 
-app.use('/api/users', userRouter);
-app.use('/api/categories', categoryRouter);
-app.use('/api/products', productRouter);
-app.use('/api/cart', cartRouter);
-app.use('/api/mylist', myListRouter);
+connectDB().then(async () => {
+    await seedDefaultRoles();
+    await syncCartIndexes();
+    startAccountPurgeJob();
 
-connectDB().then(() => {
     app.listen(process.env.PORT, () => {
         console.log(`Server is running on port ${process.env.PORT}`);
     });
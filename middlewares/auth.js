@@ -1,4 +1,6 @@
 import jwt from 'jsonwebtoken';
+import { getUserAuthState } from '../helpers/tokenVersion.helper.js';
+import { isSessionActive } from '../helpers/session.helper.js';
 
 const auth = async (req, res, next) => {
     try {
@@ -24,11 +26,51 @@ const auth = async (req, res, next) => {
             });
         }
 
+        // Token must still match the user's current token version
+        const authState = await getUserAuthState(decoded.id);
+
+        if (!authState) {
+            return res.status(401).json({
+                message: 'User no longer exists',
+                error: true,
+                success: false
+            });
+        }
+
+        if (authState.status !== 'Active') {
+            return res.status(403).json({
+                message: 'User account is not active',
+                error: true,
+                success: false
+            });
+        }
+
+        if ((decoded.tv || 0) !== authState.tokenVersion) {
+            return res.status(401).json({
+                message: 'Access token has been revoked',
+                error: true,
+                success: false
+            });
+        }
+
+        // Logging out or revoking a device must cut its access token too, not only its refresh token
+        if (!await isSessionActive(decoded.sid, decoded.id)) {
+            return res.status(401).json({
+                message: 'Session has expired or was revoked. Please log in again.',
+                error: true,
+                success: false
+            });
+        }
+
         // Gán thông tin user vào request
         req.userId = decoded.id;
         req.userEmail = decoded.email;
         req.userRole = decoded.role;
         req.userName = decoded.name;
+        req.userPermissions = decoded.permissions || [];
+        req.sessionId = decoded.sid || null;
+        req.twoFactorVerified = decoded.mfa === true;
+        req.twoFactorRequired = decoded.mfaRequired === true;
 
         next();
     } catch (error) {
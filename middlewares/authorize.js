@@ -0,0 +1,61 @@
+import { SUPER_ADMIN_ROLE } from '../config/permissions.js';
+
+// Must run after auth middleware (needs req.userRole and req.userPermissions)
+
+/**
+ * Reject staff whose role requires 2FA but who signed in without it
+ * @returns {boolean} true if a response was sent
+ */
+const rejectMissingTwoFactor = (req, res) => {
+    if (!req.twoFactorRequired || req.twoFactorVerified) return false;
+
+    res.status(403).json({
+        message: 'Your role requires two-factor authentication. Enable it and sign in again.',
+        error: true,
+        success: false,
+        twoFactorRequired: true
+    });
+    return true;
+};
+
+/**
+ * Allow only users with one of the given roles
+ * @example router.delete('/:id', auth, requireRole('Admin'), handler)
+ */
+export const requireRole = (...roles) => (req, res, next) => {
+    if (rejectMissingTwoFactor(req, res)) return;
+
+    if (!req.userRole || !roles.includes(req.userRole)) {
+        return res.status(403).json({
+            message: 'You do not have permission to perform this action',
+            error: true,
+            success: false
+        });
+    }
+
+    next();
+};
+
+/**
+ * Allow only users whose access token carries all of the given permissions
+ * @example router.post('/create', auth, requirePermission('product:write'), handler)
+ */
+export const requirePermission = (...permissions) => (req, res, next) => {
+    if (rejectMissingTwoFactor(req, res)) return;
+
+    const granted = req.userPermissions || [];
+    const missing = req.userRole === SUPER_ADMIN_ROLE
+        ? []
+        : permissions.filter(permission => !granted.includes(permission));
+
+    if (missing.length > 0) {
+        return res.status(403).json({
+            message: 'You do not have permission to perform this action',
+            error: true,
+            success: false,
+            missingPermissions: missing
+        });
+    }
+
+    next();
+};
@@ -0,0 +1,130 @@
+import jwt from 'jsonwebtoken';
+import { RATE_LIMIT_POLICIES } from '../config/rateLimits.js';
+import { SUPER_ADMIN_ROLE } from '../config/permissions.js';
+import { getStore } from '../config/stores/index.js';
+import { getUserAuthState } from '../helpers/tokenVersion.helper.js';
+import { isSessionActive } from '../helpers/session.helper.js';
+
+/**
+ * Decode the access token if there is one, without rejecting the request
+ * @returns {object|null} token payload
+ */
+function readAccessToken(req) {
+    const token = req.cookies?.accessToken || req.headers.authorization?.replace('Bearer ', '');
+    if (!token) return null;
+
+    try {
+        return jwt.verify(token, process.env.SECRET_KEY_ACCESS_TOKEN);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Whether the request comes from an Admin whose token has not been revoked.
+ * Limiters usually run before auth, so the token role alone is not trusted: the user
+ * state and session are checked the same (cached) way auth does.
+ */
+async function isActiveAdmin(req, token) {
+    if (req.userId) return req.userRole === SUPER_ADMIN_ROLE;
+    if (token?.role !== SUPER_ADMIN_ROLE) return false;
+
+    const authState = await getUserAuthState(token.id);
+
+    return authState?.status === 'Active'
+        && (token.tv || 0) === authState.tokenVersion
+        && await isSessionActive(token.sid, token.id);
+}
+
+/**
+ * Milliseconds until the sliding window count drops back under the limit,
+ * assuming the client stops sending requests
+ */
+function msUntilAllowed({ previousCount, currentCount, elapsedMs, windowMs, limit }) {
+    // Previous window fades out during the current one
+    if (currentCount < limit && previousCount > 0) {
+        const fadeAt = windowMs * (1 - (limit - currentCount) / previousCount);
+        return Math.max(0, fadeAt - elapsedMs);
+    }
+
+    // Otherwise wait for the current window to become the fading previous one
+    return (windowMs - elapsedMs) + windowMs * (1 - limit / currentCount);
+}
+
+/**
+ * Throttle requests with a sliding window counter per client
+ * (user id when signed in, otherwise IP). Admins are never throttled.
+ * @param {string} policyName - Key of RATE_LIMIT_POLICIES
+ * @param {object} [options]
+ * @param {string} [options.group] - Counter name, limiters sharing a group share a budget (default: policy name)
+ * @param {Function} [options.skip] - (req) => boolean, bypass the limiter
+ * @example router.post('/login', rateLimit('strict'), handler)
+ */
+const rateLimit = (policyName, { group = policyName, skip } = {}) => {
+    const policy = RATE_LIMIT_POLICIES[policyName];
+    if (!policy) {
+        throw new Error(`Unknown rate limit policy: ${policyName}`);
+    }
+
+    const { windowMs, limit } = policy;
+
+    return async (req, res, next) => {
+        if (skip?.(req)) return next();
+
+        const token = readAccessToken(req);
+
+        // Unable to confirm the exemption: throttle like anyone else
+        if (await isActiveAdmin(req, token).catch(() => false)) return next();
+
+        const clientId = req.userId || token?.id || req.ip || req.socket?.remoteAddress || 'unknown';
+
+        try {
+            const store = getStore();
+            const now = Date.now();
+            const windowIndex = Math.floor(now / windowMs);
+            const elapsedMs = now - windowIndex * windowMs;
+            const keyPrefix = `rl:${group}:${clientId}`;
+
+            // Previous window is kept alive for one more window so it can be weighted in
+            const currentCount = await store.increment(`${keyPrefix}:${windowIndex}`, windowMs * 2);
+            const previousCount = (await store.get(`${keyPrefix}:${windowIndex - 1}`)) || 0;
+
+            // Weight the previous window by how much of it still overlaps the sliding window
+            const previousWeight = 1 - elapsedMs / windowMs;
+            const count = Math.floor(previousCount * previousWeight) + currentCount;
+
+            const remaining = Math.max(0, limit - count);
+            const resetSeconds = Math.ceil((windowMs - elapsedMs) / 1000);
+
+            res.set({
+                'RateLimit-Policy': `${limit};w=${Math.ceil(windowMs / 1000)}`,
+                'RateLimit-Limit': String(limit),
+                'RateLimit-Remaining': String(remaining),
+                'RateLimit-Reset': String(resetSeconds)
+            });
+
+            if (count > limit) {
+                const retryAfterSeconds = Math.max(1, Math.ceil(msUntilAllowed({
+                    previousCount, currentCount, elapsedMs, windowMs, limit
+                }) / 1000));
+
+                res.set('Retry-After', String(retryAfterSeconds));
+
+                return res.status(429).json({
+                    message: 'Too many requests, please try again later',
+                    error: true,
+                    success: false,
+                    retryAfterSeconds
+                });
+            }
+
+            next();
+        } catch (error) {
+            // Never take the API down because the limiter store is unavailable
+            console.error('Rate Limit Error:', error);
+            next();
+        }
+    };
+};
+
+export default rateLimit;
@@ -4,37 +4,56 @@ const addressSchema = new mongoose.Schema({
     address_line: {
         type: String,
         default: '',
+        trim: true,
+        maxlength: [200, 'Address line cannot exceed 200 characters'],
     },
     city: {
         type: String,
         default: '',
+        trim: true,
+        maxlength: [100, 'City cannot exceed 100 characters'],
     },
     state: {
         type: String,
         default: '',
+        trim: true,
+        maxlength: [100, 'State cannot exceed 100 characters'],
     },
     pincode: {
-        type: String
+        type: String,
+        trim: true,
+        match: [/^[A-Za-z0-9][A-Za-z0-9 -]{2,9}$/, 'Invalid pincode'],
     },
     country: {
         type: String,
+        trim: true,
+        required: [true, 'Country is required'],
+        match: [/^[A-Za-z][A-Za-z .'-]{1,55}$/, 'Invalid country'],
     },
     mobile: {
         type: String,
         default: '',
+        trim: true,
+        match: [/^\+?[0-9]{7,15}$/, 'Invalid mobile number'],
     },
     status: {
         type: Boolean,
         default: true,
     },
+    is_default: {
+        type: Boolean,
+        default: false,
+    },
     userId: {
         type: mongoose.Schema.Types.ObjectId,
-        default: '',
+        required: [true, 'User ID is required'],
         ref: 'User',
     }
 }, { timestamps: true }
 );
 
+addressSchema.index({ userId: 1, status: 1 });
+
 const AddressModel = mongoose.model('Address', addressSchema);
 
 export default AddressModel;
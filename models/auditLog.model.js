@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+// Record of an administrative action: who did what to which resource
+const auditLogSchema = new mongoose.Schema({
+    actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+    actorEmail: {
+        type: String,
+        default: '',
+    },
+    actorRole: {
+        type: String,
+        default: '',
+    },
+    // Dotted verb, e.g. 'user.status.update'
+    action: {
+        type: String,
+        required: [true, 'Action is required'],
+    },
+    targetType: {
+        type: String,
+        required: [true, 'Target type is required'],
+    },
+    targetId: {
+        type: String,
+        default: null,
+    },
+    // { field: { from, to } }
+    changes: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+    },
+    meta: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+    },
+    ip: {
+        type: String,
+        default: '',
+    },
+    userAgent: {
+        type: String,
+        default: '',
+    },
+}, { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const AuditLogModel = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLogModel;
@@ -26,8 +26,9 @@ const cartProductSchema = new mongoose.Schema({
         required: [true, 'Price at add is required'],
         min: [0, 'Price cannot be negative']
     },
-    variant: {
-        type: mongoose.Schema.Types.Mixed,
+    // Chosen entry of the product's variants (null for products without variants)
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId,
         default: null
     },
     status: {
@@ -41,7 +42,8 @@ const cartProductSchema = new mongoose.Schema({
 }, { timestamps: true }
 );
 
-cartProductSchema.index({ userId: 1, productId: 1 }, { unique: true });
+// One line per product variant
+cartProductSchema.index({ userId: 1, productId: 1, variantId: 1 }, { unique: true });
 cartProductSchema.index({ userId: 1 });
 cartProductSchema.index({ status: 1 });
 
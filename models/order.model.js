@@ -1,4 +1,111 @@
 import mongoose from "mongoose";
+import {
+    ORDER_STATUSES,
+    canTransitionOrderStatus,
+    roundAmount
+} from "../helpers/order.helper.js";
+
+const orderItemSchema = new mongoose.Schema({
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'Product ID is required'],
+    },
+    name: {
+        type: String,
+        required: [true, 'Product name is required'],
+    },
+    image: {
+        type: String,
+        default: '',
+    },
+    brand: {
+        type: String,
+        default: '',
+    },
+    quantity: {
+        type: Number,
+        required: [true, 'Quantity is required'],
+        min: [1, 'Quantity cannot be less than 1'],
+        validate: {
+            validator: Number.isInteger,
+            message: 'Quantity must be an integer'
+        }
+    },
+    price: {
+        type: Number,
+        required: [true, 'Unit price is required'],
+        min: [0, 'Price cannot be negative'],
+    },
+    oldPrice: {
+        type: Number,
+        default: 0,
+        min: [0, 'Old price cannot be negative'],
+    },
+    discount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Discount cannot be negative'],
+        max: [100, 'Discount cannot exceed 100%'],
+    },
+    variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    sku: {
+        type: String,
+        default: '',
+    },
+    // Attributes of the purchased variant at order time, e.g. { ram: '8GB' }
+    variant: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    lineTotal: {
+        type: Number,
+        default: 0,
+        min: [0, 'Line total cannot be negative'],
+    },
+});
+
+const statusHistorySchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: ORDER_STATUSES,
+        required: true,
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+    actorType: {
+        type: String,
+        enum: ['customer', 'admin', 'system'],
+        default: 'system',
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Note cannot exceed 500 characters'],
+        default: '',
+    },
+}, { _id: false });
+
+// Copy of the delivery address at checkout: later edits or deletes of the
+// address book entry must not change past orders
+const deliveryAddressSnapshotSchema = new mongoose.Schema({
+    address_line: { type: String, default: '' },
+    city: { type: String, default: '' },
+    state: { type: String, default: '' },
+    pincode: { type: String, default: '' },
+    country: { type: String, default: '' },
+    mobile: { type: String, default: '' },
+}, { _id: false });
 
 const orderSchema = new mongoose.Schema({
     userId: {
@@ -10,13 +117,40 @@ const orderSchema = new mongoose.Schema({
         required: [true, 'Order ID is required'],
         unique: true,
     },
-    productId: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'Product',
+    items: {
+        type: [orderItemSchema],
+        validate: {
+            validator: (items) => items.length > 0,
+            message: 'Order must contain at least one item'
+        }
     },
-    productdetails: {
-        name: String,
-        image: Array,
+    status: {
+        type: String,
+        enum: {
+            values: ORDER_STATUSES,
+            message: '{VALUE} is not a valid order status'
+        },
+        default: 'pending',
+    },
+    statusHistory: {
+        type: [statusHistorySchema],
+        default: [],
+    },
+    cancellation: {
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Cancellation reason cannot exceed 500 characters'],
+        },
+        cancelledAt: Date,
+        cancelledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        actorType: {
+            type: String,
+            enum: ['customer', 'admin', 'system'],
+        },
     },
     paymentId: {
         type: String,
@@ -26,14 +160,34 @@ const orderSchema = new mongoose.Schema({
         type: String,
         default: '',
     },
+    payment_provider: {
+        type: String,
+        default: '',
+    },
+    refundId: {
+        type: String,
+        default: ''
+    },
     delivery_address: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Address',
     },
+    delivery_address_snapshot: {
+        type: deliveryAddressSnapshotSchema,
+        default: null,
+    },
+    totalQuantity: {
+        type: Number,
+        default: 0,
+    },
     subTotalAmount: {
         type: Number,
         default: 0,
     },
+    discountAmount: {
+        type: Number,
+        default: 0,
+    },
     totalAmount: {
         type: Number,
         default: 0,
@@ -41,6 +195,66 @@ const orderSchema = new mongoose.Schema({
 }, { timestamps: true }
 );
 
+// Order totals are always derived from the line items
+orderSchema.pre('validate', function () {
+    let totalQuantity = 0;
+    let subTotal = 0;
+    let discountAmount = 0;
+
+    this.items.forEach(item => {
+        item.lineTotal = roundAmount(item.price * item.quantity);
+
+        totalQuantity += item.quantity;
+        subTotal += item.lineTotal;
+
+        if (item.oldPrice > item.price) {
+            discountAmount += (item.oldPrice - item.price) * item.quantity;
+        }
+    });
+
+    this.totalQuantity = totalQuantity;
+    this.subTotalAmount = roundAmount(subTotal);
+    this.discountAmount = roundAmount(discountAmount);
+    this.totalAmount = this.subTotalAmount;
+});
+
+// Record the initial status when the order is created
+orderSchema.pre('validate', function () {
+    if (this.isNew && this.statusHistory.length === 0) {
+        this.statusHistory.push({
+            status: this.status,
+            changedBy: this.userId,
+            actorType: 'customer',
+            note: 'Order placed'
+        });
+    }
+});
+
+/**
+ * Move the order to a new status and record it in the status history.
+ * Throws if the transition is not allowed by the state machine.
+ */
+orderSchema.methods.transitionTo = function (nextStatus, { changedBy = null, actorType = 'system', note = '' } = {}) {
+    if (!canTransitionOrderStatus(this.status, nextStatus)) {
+        throw new Error(`Cannot change order status from ${this.status} to ${nextStatus}`);
+    }
+
+    this.status = nextStatus;
+    this.statusHistory.push({ status: nextStatus, changedBy, actorType, note });
+
+    // Keep payment status in sync with payment related fulfilment states
+    if (nextStatus === 'paid' || nextStatus === 'refunded') {
+        this.payment_status = nextStatus;
+    }
+
+    return this;
+};
+
+orderSchema.index({ userId: 1, createdAt: -1 });
+orderSchema.index({ status: 1 });
+orderSchema.index({ paymentId: 1 });
+orderSchema.index({ 'items.productId': 1 });
+
 const OrderModel = mongoose.model('Order', orderSchema);
 
-export default OrderModel;
\ No newline at end of file
+export default OrderModel;
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+export const OTP_PURPOSES = ['verify_email', 'password_reset', 'change_email'];
+
+// One-time codes, stored as HMAC hashes bound to their user and purpose
+const otpSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required'],
+    },
+    purpose: {
+        type: String,
+        enum: {
+            values: OTP_PURPOSES,
+            message: '{VALUE} is not a valid OTP purpose'
+        },
+        required: [true, 'Purpose is required'],
+    },
+    codeHash: {
+        type: String,
+        required: [true, 'Code hash is required'],
+    },
+    // Address the code was sent to when it differs from the account email (change_email)
+    target: {
+        type: String,
+        default: null,
+    },
+    // Wrong guesses against this code
+    attempts: {
+        type: Number,
+        default: 0,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    consumedAt: {
+        type: Date,
+        default: null,
+    },
+}, { timestamps: true }
+);
+
+otpSchema.index({ userId: 1, purpose: 1 });
+// Expired codes are removed by MongoDB
+otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OtpModel = mongoose.model('Otp', otpSchema);
+
+export default OtpModel;
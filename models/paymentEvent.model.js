@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+const paymentEventSchema = new mongoose.Schema({
+    eventId: {
+        type: String,
+        required: [true, 'Event ID is required'],
+        unique: true,
+    },
+    provider: {
+        type: String,
+        required: [true, 'Provider is required'],
+    },
+    type: {
+        type: String,
+        required: [true, 'Event type is required'],
+    },
+    paymentId: {
+        type: String,
+        default: '',
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        default: null,
+    },
+    result: {
+        type: String,
+        enum: ['processed', 'ignored'],
+        default: 'processed',
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+    },
+}, { timestamps: true }
+);
+
+paymentEventSchema.index({ paymentId: 1 });
+
+const PaymentEventModel = mongoose.model('PaymentEvent', paymentEventSchema);
+
+export default PaymentEventModel;
@@ -1,5 +1,57 @@
 import mongoose from "mongoose";
 
+// A purchasable combination of options (e.g. RAM 8GB / size M) with its own SKU, price and stock
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [64, 'SKU cannot exceed 64 characters'],
+  },
+  // Option name -> value, e.g. { ram: '8GB', size: 'M' }
+  attributes: {
+    type: Map,
+    of: String,
+    default: {},
+  },
+  price: {
+    type: Number,
+    required: [true, 'Variant price is required'],
+    min: [0, 'Price cannot be negative'],
+  },
+  oldPrice: {
+    type: Number,
+    min: [0, 'Old price cannot be negative'],
+    default: 0,
+  },
+  countInStock: {
+    type: Number,
+    min: [0, 'Stock count cannot be negative'],
+    default: 0,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Stock count must be an integer'
+    }
+  },
+  images: [
+    {
+      url: {
+        type: String,
+        required: true
+      },
+      public_id: {
+        type: String,
+        required: true
+      }
+    }
+  ],
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+});
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -94,6 +146,7 @@ const productSchema = new mongoose.Schema({
     min: [0, 'Stock count cannot be negative'],
     default: 0,
   },
+  // Average of review stars, computed from reviews
   rating: {
     type: Number,
     default: 0,
@@ -101,6 +154,12 @@ const productSchema = new mongoose.Schema({
     max: [5, 'Rating cannot be greater than 5'],
     index: true,
   },
+  // Computed from reviews, see recalculateProductRating
+  numReviews: {
+    type: Number,
+    default: 0,
+    min: [0, 'Review count cannot be negative'],
+  },
   isFeatured: {
     type: Boolean,
     default: false,
@@ -143,6 +202,26 @@ const productSchema = new mongoose.Schema({
       message: 'Weight values cannot be empty'
     }
   },
+  variants: {
+    type: [variantSchema],
+    default: [],
+    validate: [
+      {
+        validator: function(variants) {
+          const skus = variants.map(variant => variant.sku);
+          return new Set(skus).size === skus.length;
+        },
+        message: 'Variant SKUs must be unique'
+      },
+      {
+        validator: function(variants) {
+          const combinations = variants.map(variant => variantAttributesKey(variant.attributes));
+          return new Set(combinations).size === combinations.length;
+        },
+        message: 'Two variants cannot have the same attributes'
+      }
+    ]
+  },
   location: [
     {
       value: {
@@ -162,6 +241,67 @@ const productSchema = new mongoose.Schema({
   timestamps: true,
 });
 
+/**
+ * Order-independent key of a variant's attributes (for duplicate detection)
+ */
+function variantAttributesKey(attributes) {
+  const entries = attributes instanceof Map ? [...attributes.entries()] : Object.entries(attributes || {});
+  return JSON.stringify(entries.sort(([a], [b]) => a.localeCompare(b)));
+}
+
+// With variants, product stock and price summarise the sellable variants:
+// total stock and the lowest ("from") price
+const ACTIVE_VARIANTS = { $filter: { input: '$variants', cond: '$$this.isActive' } };
+
+const VARIANT_TOTALS_PIPELINE = [
+  {
+    $set: {
+      countInStock: { $sum: { $map: { input: ACTIVE_VARIANTS, in: '$$this.countInStock' } } },
+      // No active variant: keep the last known price
+      price: { $ifNull: [{ $min: { $map: { input: ACTIVE_VARIANTS, in: '$$this.price' } } }, '$price'] }
+    }
+  }
+];
+
+productSchema.pre('validate', function () {
+  if (this.variants.length === 0) return;
+
+  // Existing products are summarised in the database after save (see below):
+  // totals computed from this copy would undo stock reserved since it was loaded
+  if (!this.isNew) {
+    this.unmarkModified('countInStock');
+    this.unmarkModified('price');
+    return;
+  }
+
+  const activeVariants = this.variants.filter(variant => variant.isActive);
+  if (activeVariants.length === 0) {
+    this.countInStock = 0;
+    return;
+  }
+
+  this.countInStock = activeVariants.reduce((sum, variant) => sum + variant.countInStock, 0);
+  this.price = Math.min(...activeVariants.map(variant => variant.price));
+});
+
+// Recompute the totals from the variants as they are now, in a single atomic update
+productSchema.post('save', async function () {
+  if (this.variants.length === 0) return;
+
+  const totals = await this.constructor.findOneAndUpdate(
+    { _id: this._id, 'variants.0': { $exists: true } },
+    VARIANT_TOTALS_PIPELINE,
+    { new: true, projection: { countInStock: 1, price: 1 }, updatePipeline: true, session: this.$session() }
+  ).lean();
+
+  if (totals) {
+    this.countInStock = totals.countInStock;
+    this.price = totals.price;
+    this.unmarkModified('countInStock');
+    this.unmarkModified('price');
+  }
+});
+
 // Indexes for optimal query performance
 productSchema.index({ name: 'text', description: 'text' }); // Full-text search
 productSchema.index({ price: 1, rating: -1 }); // Compound index for sorting
@@ -170,6 +310,10 @@ productSchema.index({ isFeatured: 1, dateCreated: -1 }); // Featured products
 productSchema.index({ brand: 1, price: 1 }); // Brand filtering
 productSchema.index({ countInStock: 1 }); // Stock availability queries
 productSchema.index({ createdAt: -1 }); // Recent products
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+); // SKUs are unique across the catalog
 
 const ProductModel = mongoose.model('Product', productSchema);
 
@@ -0,0 +1,98 @@
+import mongoose from "mongoose";
+
+// Only approved reviews are public and count towards the product rating
+export const REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'flagged'];
+
+const reviewSchema = new mongoose.Schema({
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'Product ID is required'],
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required'],
+    },
+    rating: {
+        type: Number,
+        required: [true, 'Rating is required'],
+        min: [1, 'Rating cannot be less than 1'],
+        max: [5, 'Rating cannot be greater than 5'],
+        validate: {
+            validator: Number.isInteger,
+            message: 'Rating must be a whole number of stars'
+        }
+    },
+    title: {
+        type: String,
+        required: [true, 'Review title is required'],
+        trim: true,
+        maxlength: [150, 'Title cannot exceed 150 characters'],
+    },
+    text: {
+        type: String,
+        required: [true, 'Review text is required'],
+        trim: true,
+        maxlength: [5000, 'Review text cannot exceed 5000 characters'],
+    },
+    images: [
+        {
+            url: {
+                type: String,
+                required: true
+            },
+            public_id: {
+                type: String,
+                required: true
+            }
+        }
+    ],
+    // Reviewer has a delivered order containing the product
+    verifiedPurchase: {
+        type: Boolean,
+        default: false,
+    },
+    status: {
+        type: String,
+        enum: {
+            values: REVIEW_STATUSES,
+            message: '{VALUE} is not a valid review status'
+        },
+        default: 'pending',
+    },
+    moderation: {
+        // Rules tripped by auto-moderation, e.g. 'banned_word', 'link'
+        autoFlags: {
+            type: [String],
+            default: [],
+        },
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Moderation reason cannot exceed 500 characters'],
+            default: '',
+        },
+        moderatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        moderatedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+}, { timestamps: true }
+);
+
+// One review per user and product
+reviewSchema.index({ productId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ productId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ productId: 1, status: 1, rating: -1 });
+reviewSchema.index({ status: 1, createdAt: 1 }); // Moderation queue
+reviewSchema.index({ userId: 1 });
+
+const ReviewModel = mongoose.model('Review', reviewSchema);
+
+export default ReviewModel;
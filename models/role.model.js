@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+import { ALL_PERMISSIONS } from "../config/permissions.js";
+
+const roleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Role name is required'],
+        unique: true,
+        trim: true,
+        match: [/^[A-Za-z][A-Za-z0-9_-]{1,49}$/, 'Role name must be 2-50 letters, digits, dashes or underscores'],
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: '',
+        maxlength: [300, 'Description cannot exceed 300 characters'],
+    },
+    permissions: {
+        type: [String],
+        default: [],
+        validate: {
+            validator: (permissions) => permissions.every(p => ALL_PERMISSIONS.includes(p)),
+            message: 'Unknown permission in role'
+        }
+    },
+    // Members must sign in with two-factor authentication to use their permissions
+    requireTwoFactor: {
+        type: Boolean,
+        default: false,
+    },
+    isSystem: {
+        type: Boolean,
+        default: false,
+    },
+}, { timestamps: true }
+);
+
+const RoleModel = mongoose.model('Role', roleSchema);
+
+export default RoleModel;
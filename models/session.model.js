@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required'],
+    },
+    // SHA-256 of the current refresh token, the token itself is never stored
+    tokenHash: {
+        type: String,
+        required: [true, 'Token hash is required'],
+    },
+    // Hashes of refresh tokens already rotated out (used for reuse detection)
+    previousTokenHashes: {
+        type: [String],
+        default: [],
+    },
+    // Session was opened with a second factor
+    twoFactorVerified: {
+        type: Boolean,
+        default: false,
+    },
+    device: {
+        type: String,
+        default: 'Unknown device',
+    },
+    ip: {
+        type: String,
+        default: '',
+    },
+    userAgent: {
+        type: String,
+        default: '',
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+    revokedReason: {
+        type: String,
+        default: '',
+    },
+}, { timestamps: true }
+);
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SessionModel = mongoose.model('Session', sessionSchema);
+
+export default SessionModel;
@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+// Backing collection of the Mongo throttle store (attempt counters, locks, rate limits)
+const throttleEntrySchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: [true, 'Key is required'],
+        unique: true,
+    },
+    value: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+}, { timestamps: false }
+);
+
+throttleEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ThrottleEntryModel = mongoose.model('ThrottleEntry', throttleEntrySchema);
+
+export default ThrottleEntryModel;
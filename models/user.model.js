@@ -1,5 +1,25 @@
 import mongoose from "mongoose";
 
+// External identity (Google, GitHub...) linked to the account
+const oauthAccountSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        required: true,
+    },
+    provider_user_id: {
+        type: String,
+        required: true,
+    },
+    email: {
+        type: String,
+        default: '',
+    },
+    linked_at: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -36,9 +56,24 @@ const userSchema = new mongoose.Schema({
     },
     status:{
         type: String,
-        enum: ['Active', 'Inactive', 'Suspended'],
+        enum: ['Active', 'Inactive', 'Suspended', 'PendingDeletion', 'Deleted'],
         default: 'Active',
     },
+    // Self-service account deletion (see helpers/accountDeletion.helper.js)
+    deletion: {
+        requested_at: {
+            type: Date,
+            default: null,
+        },
+        scheduled_for: {
+            type: Date,
+            default: null,
+        },
+        completed_at: {
+            type: Date,
+            default: null,
+        },
+    },
     address_details: [
         {
             type: mongoose.Schema.Types.ObjectId,
@@ -57,27 +92,66 @@ const userSchema = new mongoose.Schema({
             ref: 'Order'
         }
     ],
-    otp: {
-        type: String,
-        default: null,
+    two_factor: {
+        enabled: {
+            type: Boolean,
+            default: false,
+        },
+        // TOTP secret, AES-GCM encrypted (see helpers/twoFactor.helper.js)
+        secret: {
+            type: String,
+            default: null,
+            select: false,
+        },
+        // Secret waiting for the first code during enrollment
+        pending_secret: {
+            type: String,
+            default: null,
+            select: false,
+        },
+        // SHA-256 hashes of unused backup codes
+        backup_codes: {
+            type: [String],
+            default: [],
+            select: false,
+        },
+        // Last accepted TOTP time step, older codes are replays
+        last_used_step: {
+            type: Number,
+            default: null,
+            select: false,
+        },
+        enabled_at: {
+            type: Date,
+            default: null,
+        },
     },
-    otp_expiry: {
-        type: Date,
-        default: null,
+    oauth_accounts: {
+        type: [oauthAccountSchema],
+        default: [],
+    },
+    // Bumped to revoke every access token issued before
+    token_version: {
+        type: Number,
+        default: 0,
     },
     role: {
+        // Name of a Role document (see config/permissions.js for built-in roles)
         type: String,
-        enum: ['User', 'Admin'],
         default: 'User',
-    },
-    refresh_token: {
-        type: String,
-        default: '',
+        trim: true,
     }
 },
     { timestamps: true }
 );
 
+userSchema.index({ status: 1, 'deletion.scheduled_for': 1 });
+// One external identity can only be linked to one account
+userSchema.index(
+    { 'oauth_accounts.provider': 1, 'oauth_accounts.provider_user_id': 1 },
+    { unique: true, partialFilterExpression: { 'oauth_accounts.provider': { $exists: true } } }
+);
+
 const UserModel = mongoose.model('User', userSchema);
 
 export default UserModel;
\ No newline at end of file
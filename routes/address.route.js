@@ -0,0 +1,22 @@
+import { Router } from "express";
+import auth from "../middlewares/auth.js";
+import {
+    createAddressController,
+    deleteAddressController,
+    getAddressesController,
+    setDefaultAddressController,
+    updateAddressController
+} from "../controllers/address.controller.js";
+
+const addressRouter = Router();
+
+// CRUD Operations
+addressRouter.post("/", auth, createAddressController);
+addressRouter.get("/", auth, getAddressesController);
+addressRouter.put("/:addressId", auth, updateAddressController);
+addressRouter.delete("/:addressId", auth, deleteAddressController);
+
+// Set default address
+addressRouter.patch("/:addressId/default", auth, setDefaultAddressController);
+
+export default addressRouter;
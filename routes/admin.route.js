@@ -0,0 +1,57 @@
+import { Router } from "express";
+import auth from "../middlewares/auth.js";
+import { requirePermission } from "../middlewares/authorize.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import {
+    assignUserRoleController,
+    createRoleController,
+    deleteRoleController,
+    getPermissionsController,
+    getRolesController,
+    updateRoleController
+} from "../controllers/role.controller.js";
+import {
+    forcePasswordResetController,
+    getUserController,
+    getUserOrdersController,
+    listUsersController,
+    updateUserStatusController
+} from "../controllers/adminUser.controller.js";
+import { listAuditLogsController } from "../controllers/auditLog.controller.js";
+import {
+    listReviewsForModerationController,
+    moderateReviewController
+} from "../controllers/adminReview.controller.js";
+
+const adminRouter = Router();
+
+// Every admin route requires a logged in user
+adminRouter.use(auth);
+
+// Roles & permissions
+adminRouter.get("/permissions", requirePermission(PERMISSIONS.ROLE_MANAGE), getPermissionsController);
+adminRouter.get("/roles", requirePermission(PERMISSIONS.ROLE_MANAGE), getRolesController);
+adminRouter.post("/roles", requirePermission(PERMISSIONS.ROLE_MANAGE), createRoleController);
+adminRouter.put("/roles/:roleName", requirePermission(PERMISSIONS.ROLE_MANAGE), updateRoleController);
+adminRouter.delete("/roles/:roleName", requirePermission(PERMISSIONS.ROLE_MANAGE), deleteRoleController);
+
+// Users
+adminRouter.get("/users", requirePermission(PERMISSIONS.USER_READ), listUsersController);
+adminRouter.get("/users/:userId", requirePermission(PERMISSIONS.USER_READ), getUserController);
+adminRouter.get("/users/:userId/orders", requirePermission(PERMISSIONS.USER_READ, PERMISSIONS.ORDER_READ), getUserOrdersController);
+adminRouter.post("/users/:userId/force-password-reset", requirePermission(PERMISSIONS.USER_MANAGE), forcePasswordResetController);
+
+// User role assignment
+adminRouter.patch("/users/:userId/role", requirePermission(PERMISSIONS.ROLE_MANAGE), assignUserRoleController);
+
+// User account status (suspend / reactivate)
+adminRouter.patch("/users/:userId/status", requirePermission(PERMISSIONS.USER_MANAGE), updateUserStatusController);
+
+// Review moderation queue
+adminRouter.get("/reviews", requirePermission(PERMISSIONS.REVIEW_MODERATE), listReviewsForModerationController);
+adminRouter.patch("/reviews/:reviewId/moderation", requirePermission(PERMISSIONS.REVIEW_MODERATE), moderateReviewController);
+
+// Audit log
+adminRouter.get("/audit-logs", requirePermission(PERMISSIONS.AUDIT_READ), listAuditLogsController);
+
+export default adminRouter;
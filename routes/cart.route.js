@@ -1,5 +1,6 @@
 import { Router } from "express";
 import auth from "../middlewares/auth.js";
+import rateLimit from "../middlewares/rateLimit.js";
 import { 
   clearCart,
   createCartItem,
@@ -14,21 +15,22 @@ import {
 } from "../controllers/cart.controller.js";
 
 const cartRouter = Router();
+const cartWriteLimit = rateLimit('moderate');
 
 // CRUD Operations
-cartRouter.post("/create", auth, createCartItem);
+cartRouter.post("/create", cartWriteLimit, auth, createCartItem);
 cartRouter.get("/", auth, getCartItems);
-cartRouter.put('/update-quantity/:id', auth, updateCartItemQuantity);
-cartRouter.delete('/clear', auth, clearCart);
-cartRouter.delete('/batch', auth, deleteCartItemsBatch);
-cartRouter.delete('/:id', auth, deleteCartItem);
+cartRouter.put('/update-quantity/:id', cartWriteLimit, auth, updateCartItemQuantity);
+cartRouter.delete('/clear', cartWriteLimit, auth, clearCart);
+cartRouter.delete('/batch', cartWriteLimit, auth, deleteCartItemsBatch);
+cartRouter.delete('/:id', cartWriteLimit, auth, deleteCartItem);
 
 // Quantity operations
-cartRouter.patch('/:id/increment', auth, incrementCartQuantity);
-cartRouter.patch('/:id/decrement', auth, decrementCartQuantity);
+cartRouter.patch('/:id/increment', cartWriteLimit, auth, incrementCartQuantity);
+cartRouter.patch('/:id/decrement', cartWriteLimit, auth, decrementCartQuantity);
 
 // Save for later operations
-cartRouter.patch('/:id/save-for-later', auth, saveForLater);
-cartRouter.patch('/:id/move-to-cart', auth, moveToCart);
+cartRouter.patch('/:id/save-for-later', cartWriteLimit, auth, saveForLater);
+cartRouter.patch('/:id/move-to-cart', cartWriteLimit, auth, moveToCart);
 
 export default cartRouter;
\ No newline at end of file
@@ -12,17 +12,19 @@ import {
 } from "../controllers/category.controller.js";
 import upload from "../middlewares/multer.js";
 import auth from "../middlewares/auth.js";
+import { requirePermission } from "../middlewares/authorize.js";
+import { PERMISSIONS } from "../config/permissions.js";
 
 const categoryRouter = Router();
 
 // Create category with images
-categoryRouter.post("/create", auth, upload.array("images"), createCategory);
+categoryRouter.post("/create", auth, requirePermission(PERMISSIONS.CATEGORY_WRITE), upload.array("images"), createCategory);
 
 // Upload additional images to existing category
-categoryRouter.post("/upload-images", auth, upload.array("images"), uploadImages);
+categoryRouter.post("/upload-images", auth, requirePermission(PERMISSIONS.CATEGORY_WRITE), upload.array("images"), uploadImages);
 
 // Delete category image
-categoryRouter.delete("/delete-image", auth, deleteCategoryImage);
+categoryRouter.delete("/delete-image", auth, requirePermission(PERMISSIONS.CATEGORY_WRITE), deleteCategoryImage);
 
 // Get all categories with filters and pagination
 categoryRouter.get("/", getCategories);
@@ -37,9 +39,9 @@ categoryRouter.get("/:categoryId", getCategoryById);
 categoryRouter.get("/slug/:slug", getCategoryBySlug);
 
 // Update category
-categoryRouter.put("/:categoryId", auth, updateCategory);
+categoryRouter.put("/:categoryId", auth, requirePermission(PERMISSIONS.CATEGORY_WRITE), updateCategory);
 
 // Delete category
-categoryRouter.delete("/:categoryId", auth, deleteCategory);
+categoryRouter.delete("/:categoryId", auth, requirePermission(PERMISSIONS.CATEGORY_DELETE), deleteCategory);
 
 export default categoryRouter;
\ No newline at end of file
@@ -9,7 +9,7 @@ import {
   getWishlistStats,
   removeFromMyList,
   syncWishlistProducts
-} from "../controllers/myList.controller.js";
+} from "../controllers/mylist.controller.js";
 
 const myListRouter = Router();
 
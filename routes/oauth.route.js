@@ -0,0 +1,15 @@
+import { Router } from "express";
+import {
+    getOAuthProvidersController,
+    oauthCallbackController,
+    startOAuthController
+} from "../controllers/oauth.controller.js";
+import rateLimit from "../middlewares/rateLimit.js";
+
+const oauthRouter = Router();
+
+oauthRouter.get("/providers", getOAuthProvidersController);
+oauthRouter.get("/:provider", rateLimit('strict', { group: 'oauth-start' }), startOAuthController);
+oauthRouter.get("/:provider/callback", oauthCallbackController);
+
+export default oauthRouter;
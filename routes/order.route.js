@@ -0,0 +1,35 @@
+import { Router } from "express";
+import auth from "../middlewares/auth.js";
+import { requirePermission } from "../middlewares/authorize.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import {
+    cancelOrderController,
+    checkoutController,
+    getMyOrdersController,
+    getOrderByIdController,
+    getOrderTimelineController,
+    updateOrderStatusController
+} from "../controllers/order.controller.js";
+
+const orderRouter = Router();
+
+// Place order from active cart items
+orderRouter.post("/checkout", auth, checkoutController);
+
+// IMPORTANT: Specific routes MUST come before dynamic routes
+// Get orders of current user
+orderRouter.get("/me", auth, getMyOrdersController);
+
+// Get single order of current user
+orderRouter.get("/:orderId", auth, getOrderByIdController);
+
+// Order status timeline (customer)
+orderRouter.get("/:orderId/timeline", auth, getOrderTimelineController);
+
+// Cancel order (customer)
+orderRouter.post("/:orderId/cancel", auth, cancelOrderController);
+
+// Advance order status (admin)
+orderRouter.patch("/:orderId/status", auth, requirePermission(PERMISSIONS.ORDER_MANAGE), updateOrderStatusController);
+
+export default orderRouter;
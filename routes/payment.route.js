@@ -0,0 +1,16 @@
+import { Router } from "express";
+import auth from "../middlewares/auth.js";
+import {
+    confirmPaymentController,
+    paymentWebhookController
+} from "../controllers/payment.controller.js";
+
+const paymentRouter = Router();
+
+// Payment provider webhook (verified by signature, no auth)
+paymentRouter.post("/webhook", paymentWebhookController);
+
+// Confirm payment of an order
+paymentRouter.post("/:orderId/confirm", auth, confirmPaymentController);
+
+export default paymentRouter;
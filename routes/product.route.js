@@ -2,8 +2,10 @@ import { Router } from "express";
 import { 
   bulkDeleteProducts,
   createProduct, 
+  createProductVariant, 
   deleteProduct, 
   deleteProductImage, 
+  deleteProductVariant, 
   getAllProducts, 
   getFeaturedProducts, 
   getProductById, 
@@ -15,64 +17,80 @@ import {
   getProductsBySubCatId, 
   getProductsByThirdSubCat, 
   getProductsByThirdSubCatId, 
+  getProductVariants, 
   updateProduct, 
+  updateProductVariant, 
   uploadImages 
 } from "../controllers/product.controller.js";
 import auth from "../middlewares/auth.js";
+import { requirePermission } from "../middlewares/authorize.js";
+import { PERMISSIONS } from "../config/permissions.js";
 import upload from "../middlewares/multer.js";
+import rateLimit from "../middlewares/rateLimit.js";
+import reviewRouter from "./review.route.js";
 
 const productRouter = Router();
+const listingLimit = rateLimit('generous');
 
 // Create product with images
-productRouter.post("/create", auth, upload.array("images"), createProduct);
+productRouter.post("/create", auth, requirePermission(PERMISSIONS.PRODUCT_WRITE), upload.array("images"), createProduct);
 
 // Upload additional images to existing product
-productRouter.post("/upload-images", auth, upload.array("images"), uploadImages);
+productRouter.post("/upload-images", auth, requirePermission(PERMISSIONS.PRODUCT_WRITE), upload.array("images"), uploadImages);
 
 // Get all products with filters and pagination
-productRouter.get("/", getAllProducts);
+productRouter.get("/", listingLimit, getAllProducts);
 
 // Get product counts and statistics
 productRouter.get("/stats/count", auth, getProductCounts);
 
 // IMPORTANT: Specific routes MUST come before dynamic routes
 // Get featured products
-productRouter.get("/featured", getFeaturedProducts);
+productRouter.get("/featured", listingLimit, getFeaturedProducts);
 
 // Get products by catName
-productRouter.get("/catName/:catName", getProductsByCatName);
+productRouter.get("/catName/:catName", listingLimit, getProductsByCatName);
 
 // Get products by subCatName
-productRouter.get("/subCat/:subCat", getProductsBySubCat);
+productRouter.get("/subCat/:subCat", listingLimit, getProductsBySubCat);
 
 // Get products by thirdSubCatName
-productRouter.get("/thirdSubCat/:thirdSubCat", getProductsByThirdSubCat);
+productRouter.get("/thirdSubCat/:thirdSubCat", listingLimit, getProductsByThirdSubCat);
 
 // Get products by category
-productRouter.get("/category/:categoryId", getProductsByCategory);
+productRouter.get("/category/:categoryId", listingLimit, getProductsByCategory);
 
 // Get products by catId
-productRouter.get("/catId/:catId", getProductsByCatId);
+productRouter.get("/catId/:catId", listingLimit, getProductsByCatId);
 
 // Get products by subCatId
-productRouter.get("/subCatId/:subCatId", getProductsBySubCatId);
+productRouter.get("/subCatId/:subCatId", listingLimit, getProductsBySubCatId);
 
 // Get products by thirdSubCatId
-productRouter.get("/thirdSubCatId/:thirdSubCatId", getProductsByThirdSubCatId);
+productRouter.get("/thirdSubCatId/:thirdSubCatId", listingLimit, getProductsByThirdSubCatId);
 
 // Bulk delete products
-productRouter.delete("/bulk", auth, bulkDeleteProducts);
+productRouter.delete("/bulk", auth, requirePermission(PERMISSIONS.PRODUCT_DELETE), bulkDeleteProducts);
 
 // Delete specific image from product
-productRouter.delete("/:id/images/:publicId", auth, deleteProductImage);
+productRouter.delete("/:id/images/:publicId", auth, requirePermission(PERMISSIONS.PRODUCT_WRITE), deleteProductImage);
+
+// Product variants (SKUs with their own price, stock and images)
+productRouter.get("/:id/variants", listingLimit, getProductVariants);
+productRouter.post("/:id/variants", auth, requirePermission(PERMISSIONS.PRODUCT_WRITE), upload.array("images"), createProductVariant);
+productRouter.put("/:id/variants/:variantId", auth, requirePermission(PERMISSIONS.PRODUCT_WRITE), upload.array("images"), updateProductVariant);
+productRouter.delete("/:id/variants/:variantId", auth, requirePermission(PERMISSIONS.PRODUCT_WRITE), deleteProductVariant);
+
+// Product reviews
+productRouter.use("/:id/reviews", reviewRouter);
 
 // Get single product by ID
 productRouter.get("/:id", auth, getProductById);
 
 // Update product by ID
-productRouter.put("/:id", auth, updateProduct);
+productRouter.put("/:id", auth, requirePermission(PERMISSIONS.PRODUCT_WRITE), updateProduct);
 
 // Delete product by ID
-productRouter.delete("/:id", auth, deleteProduct);
+productRouter.delete("/:id", auth, requirePermission(PERMISSIONS.PRODUCT_DELETE), deleteProduct);
 
 export default productRouter;
\ No newline at end of file
@@ -0,0 +1,21 @@
+import { Router } from "express";
+import auth from "../middlewares/auth.js";
+import upload from "../middlewares/multer.js";
+import rateLimit from "../middlewares/rateLimit.js";
+import {
+    createReviewController,
+    deleteReviewController,
+    listProductReviewsController,
+    updateReviewController
+} from "../controllers/review.controller.js";
+
+// Mounted under /api/products/:id/reviews
+const reviewRouter = Router({ mergeParams: true });
+const reviewWriteLimit = rateLimit('moderate');
+
+reviewRouter.get("/", rateLimit('generous'), listProductReviewsController);
+reviewRouter.post("/", reviewWriteLimit, auth, upload.array("images"), createReviewController);
+reviewRouter.put("/:reviewId", reviewWriteLimit, auth, upload.array("images"), updateReviewController);
+reviewRouter.delete("/:reviewId", reviewWriteLimit, auth, deleteReviewController);
+
+export default reviewRouter;
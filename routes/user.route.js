@@ -11,10 +11,26 @@ import {
     verifyResetCodeController,
     resetPasswordController,
     refreshTokenController,
-    changePasswordController
+    changePasswordController,
+    getSessionsController,
+    revokeSessionController,
+    revokeOtherSessionsController,
+    resendVerificationController,
+    requestEmailChangeController,
+    confirmEmailChangeController
 } from "../controllers/user.controller.js";
+import {
+    confirmTwoFactorController,
+    disableTwoFactorController,
+    getTwoFactorStatusController,
+    loginTwoFactorController,
+    regenerateBackupCodesController,
+    setupTwoFactorController
+} from "../controllers/twoFactor.controller.js";
+import { deleteAccountController, exportAccountDataController } from "../controllers/account.controller.js";
 import { deleteImageController } from "../controllers/image.controller.js";
 import auth from "../middlewares/auth.js";
+import rateLimit from "../middlewares/rateLimit.js";
 import upload, { handleMulterError } from "../middlewares/multer.js";
 
 const userRouter = Router();
@@ -22,20 +38,42 @@ const userRouter = Router();
 // Authentication routes
 userRouter.post("/register", registerUserController);
 userRouter.post("/verify-email", verifyEmailController);
-userRouter.post("/login", loginUserController);
+userRouter.post("/resend-verification", rateLimit('strict', { group: 'resend-verification' }), resendVerificationController);
+userRouter.post("/login", rateLimit('strict', { group: 'login' }), loginUserController);
+userRouter.post("/login/2fa", rateLimit('strict', { group: 'login-2fa' }), loginTwoFactorController);
 userRouter.post("/logout", auth, logoutUserController);
 userRouter.post("/refresh-token", refreshTokenController);
 
 // Password reset routes
-userRouter.post("/forgot-password", forgotPasswordController);
+userRouter.post("/forgot-password", rateLimit('strict', { group: 'forgot-password' }), forgotPasswordController);
 userRouter.post("/verify-reset-code", verifyResetCodeController);
 userRouter.post("/reset-password", resetPasswordController);
 userRouter.put("/change-password", auth, changePasswordController);
 
+// Two-factor authentication routes
+userRouter.get("/2fa", auth, getTwoFactorStatusController);
+userRouter.post("/2fa/setup", auth, setupTwoFactorController);
+userRouter.post("/2fa/confirm", auth, confirmTwoFactorController);
+userRouter.post("/2fa/disable", auth, rateLimit('strict', { group: '2fa-disable' }), disableTwoFactorController);
+userRouter.post("/2fa/backup-codes", auth, rateLimit('strict', { group: '2fa-backup-codes' }), regenerateBackupCodesController);
+
+// Session (device) routes
+userRouter.get("/sessions", auth, getSessionsController);
+userRouter.delete("/sessions", auth, revokeOtherSessionsController);
+userRouter.delete("/sessions/:sessionId", auth, revokeSessionController);
+
 // Profile routes
 userRouter.post("/profile", auth, getUserProfileController);
 userRouter.put("/profile", auth, updateUserProfileController);
 
+// Personal data routes
+userRouter.get("/me/export", auth, rateLimit('strict', { group: 'account-export' }), exportAccountDataController);
+userRouter.delete("/me", auth, deleteAccountController);
+
+// Change email routes (the new address must be verified before it replaces the old one)
+userRouter.post("/email/change", auth, rateLimit('strict', { group: 'change-email' }), requestEmailChangeController);
+userRouter.post("/email/change/confirm", auth, confirmEmailChangeController);
+
 // Upload avatar - single file
 userRouter.put("/avatar", 
     auth, 
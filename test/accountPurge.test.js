@@ -0,0 +1,66 @@
+import './setup.js';
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import UserModel from '../models/user.model.js';
+import OrderModel from '../models/order.model.js';
+import AddressModel from '../models/address.model.js';
+import CartProductModel from '../models/cartproduct.model.js';
+import MyListModel from '../models/mylist.model.js';
+import SessionModel from '../models/session.model.js';
+import OtpModel from '../models/otp.model.js';
+import ReviewModel from '../models/review.model.js';
+import { purgeDueAccounts } from '../helpers/accountDeletion.helper.js';
+import { fakeQuery } from './helpers.js';
+
+describe('purgeDueAccounts', () => {
+  let pending;
+  let purgedIds;
+
+  beforeEach(() => {
+    pending = [];
+    purgedIds = [];
+
+    // Due accounts stay due until their purge finishes
+    mock.method(UserModel, 'find', (filter) => {
+      const skipped = filter._id.$nin.map(String);
+      return fakeQuery(pending.filter(user => !skipped.includes(String(user._id))));
+    });
+    mock.method(UserModel, 'updateOne', async (filter) => {
+      purgedIds.push(String(filter._id));
+      pending = pending.filter(user => String(user._id) !== String(filter._id));
+      return { modifiedCount: 1 };
+    });
+    mock.method(UserModel, 'findByIdAndUpdate', () => fakeQuery(null));
+
+    for (const Model of [AddressModel, CartProductModel, MyListModel, SessionModel, OtpModel]) {
+      mock.method(Model, 'deleteMany', async () => ({ deletedCount: 0 }));
+    }
+    mock.method(SessionModel, 'updateMany', async () => ({ modifiedCount: 0 }));
+    mock.method(ReviewModel, 'find', () => fakeQuery([]));
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('a failing account is logged and skipped, the others are purged', async () => {
+    const [first, broken, last] = [0, 1, 2].map(() => ({ _id: new mongoose.Types.ObjectId() }));
+    pending = [first, broken, last];
+
+    mock.method(OrderModel, 'updateMany', async (filter) => {
+      if (String(filter.userId) === String(broken._id)) throw new Error('write conflict');
+      return { modifiedCount: 0 };
+    });
+
+    const result = await purgeDueAccounts();
+
+    assert.deepEqual(result, { purged: 2, failed: 1 });
+    assert.deepEqual(purgedIds, [String(first._id), String(last._id)]);
+    assert.match(console.error.mock.calls[0].arguments[0], new RegExp(String(broken._id)));
+  });
+
+  test('nothing due', async () => {
+    mock.method(OrderModel, 'updateMany', async () => ({ modifiedCount: 0 }));
+    assert.deepEqual(await purgeDueAccounts(), { purged: 0, failed: 0 });
+  });
+});
@@ -0,0 +1,40 @@
+import './setup.js';
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import app from '../app.js';
+import { fakeSession, loginAs, mockAuthStore } from './helpers.js';
+
+describe('address book', () => {
+  let accessToken;
+
+  beforeEach(async () => {
+    mockAuthStore();
+    ({ accessToken } = await loginAs('User'));
+    mock.method(mongoose, 'startSession', async () => fakeSession());
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('creating an address without a body lists the missing fields', async () => {
+    const res = await request(app)
+      .post('/api/addresses')
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, 'Invalid address');
+    for (const field of ['address_line', 'city', 'pincode', 'country', 'mobile']) {
+      assert.ok(res.body.details[field], `${field} is not reported`);
+    }
+  });
+
+  test('updating an address without a body reports that nothing was given', async () => {
+    const res = await request(app)
+      .put(`/api/addresses/${new mongoose.Types.ObjectId()}`)
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, 'No address fields provided');
+  });
+});
@@ -0,0 +1,146 @@
+import './setup.js';
+import { test, describe, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import app from '../app.js';
+import ProductModel from '../models/product.model.js';
+import CategoryModel from '../models/category.model.js';
+import OrderModel from '../models/order.model.js';
+import AuditLogModel from '../models/auditLog.model.js';
+import { fakeQuery, fakeSession, loginAs, mockAuthStore } from './helpers.js';
+
+const id = () => new mongoose.Types.ObjectId().toString();
+
+// Every route guarded by requirePermission: a regular customer must get 403 on all of them
+const GUARDED_ROUTES = [
+  ['post', '/api/products/create'],
+  ['post', '/api/products/upload-images'],
+  ['delete', '/api/products/bulk'],
+  ['delete', `/api/products/${id()}/images/some-image`],
+  ['put', `/api/products/${id()}`],
+  ['delete', `/api/products/${id()}`],
+  ['post', `/api/products/${id()}/variants`],
+  ['put', `/api/products/${id()}/variants/${id()}`],
+  ['delete', `/api/products/${id()}/variants/${id()}`],
+  ['post', '/api/categories/create'],
+  ['post', '/api/categories/upload-images'],
+  ['delete', '/api/categories/delete-image'],
+  ['put', `/api/categories/${id()}`],
+  ['delete', `/api/categories/${id()}`],
+  ['patch', `/api/orders/${id()}/status`],
+  ['get', '/api/admin/permissions'],
+  ['get', '/api/admin/users'],
+  ['patch', `/api/admin/users/${id()}/status`],
+  ['patch', `/api/admin/users/${id()}/role`],
+  ['get', '/api/admin/audit-logs'],
+  ['get', '/api/admin/reviews']
+];
+
+describe('admin routes', () => {
+  before(() => mockAuthStore());
+
+  afterEach(() => {
+    // Keep the auth store mocks, drop the per-test ones
+    mock.restoreAll();
+    mockAuthStore();
+  });
+
+  describe('as a User-role account', () => {
+    let accessToken;
+
+    before(async () => {
+      ({ accessToken } = await loginAs('User'));
+    });
+
+    for (const [method, path] of GUARDED_ROUTES) {
+      test(`${method.toUpperCase()} ${path} returns 403`, async () => {
+        const res = await request(app)[method](path)
+          .set('Authorization', `Bearer ${accessToken}`)
+          .send({});
+
+        assert.equal(res.status, 403);
+        assert.equal(res.body.success, false);
+      });
+    }
+  });
+
+  test('requests without a token get 401, not 403', async () => {
+    const res = await request(app).put(`/api/products/${id()}`).send({});
+    assert.equal(res.status, 401);
+  });
+
+  describe('with the right permission', () => {
+    test('CatalogManager can update a product', async () => {
+      const { accessToken } = await loginAs('CatalogManager');
+      const product = new ProductModel({
+        name: 'Phone',
+        description: 'A phone',
+        price: 100,
+        countInStock: 5,
+        category: id()
+      });
+
+      mock.method(ProductModel, 'findById', () => fakeQuery(product));
+      mock.method(product, 'save', async () => product);
+      mock.method(product, 'populate', async () => product);
+      mock.method(AuditLogModel, 'create', async () => ({}));
+
+      const res = await request(app)
+        .put(`/api/products/${product._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ name: 'Phone 2' });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.name, 'Phone 2');
+    });
+
+    test('CatalogManager can update a category', async () => {
+      const { accessToken } = await loginAs('CatalogManager');
+      const category = new CategoryModel({ name: 'Phones' });
+
+      mock.method(CategoryModel, 'findById', () => fakeQuery(category));
+      mock.method(category, 'save', async () => category);
+      mock.method(AuditLogModel, 'create', async () => ({}));
+
+      const res = await request(app)
+        .put(`/api/categories/${category._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ description: 'Smartphones' });
+
+      assert.equal(res.status, 200);
+    });
+
+    test('OrderFulfilment can advance an order', async () => {
+      const { accessToken } = await loginAs('OrderFulfilment');
+      const order = new OrderModel({
+        userId: id(),
+        orderId: 'ORD-TEST',
+        status: 'paid',
+        items: [{ productId: id(), name: 'Phone', quantity: 1, price: 100 }]
+      });
+
+      mock.method(mongoose, 'startSession', async () => fakeSession());
+      mock.method(OrderModel, 'findOne', () => fakeQuery(order));
+      mock.method(order, 'save', async () => order);
+
+      const res = await request(app)
+        .patch(`/api/orders/${order.orderId}/status`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ status: 'processing' });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.status, 'processing');
+    });
+
+    test('Admin can list permissions', async () => {
+      const { accessToken } = await loginAs('Admin');
+
+      const res = await request(app)
+        .get('/api/admin/permissions')
+        .set('Authorization', `Bearer ${accessToken}`);
+
+      assert.equal(res.status, 200);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import './setup.js';
+import { test, describe, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../app.js';
+import UserModel from '../models/user.model.js';
+import RoleModel from '../models/role.model.js';
+import SessionModel from '../models/session.model.js';
+import AuditLogModel from '../models/auditLog.model.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { defineRole, fakeQuery, loginAs, mockAuthStore } from './helpers.js';
+
+// Staff that manages accounts and roles without being Admin
+const MANAGER_ROLE = 'AccountManager';
+
+describe('admin user management guards', () => {
+  let target;
+
+  before(() => defineRole(MANAGER_ROLE, [PERMISSIONS.USER_MANAGE, PERMISSIONS.ROLE_MANAGE]));
+
+  beforeEach(async () => {
+    mockAuthStore();
+    ({ user: target } = await loginAs('Admin'));
+
+    mock.method(RoleModel, 'exists', async () => ({ _id: 'role' }));
+    mock.method(AuditLogModel, 'create', async () => ({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const as = (accessToken, method, path, body = {}) => request(app)[method](path)
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send(body);
+
+  test('a non-Admin cannot suspend an Admin', async () => {
+    const { accessToken } = await loginAs(MANAGER_ROLE);
+    const update = mock.method(UserModel, 'findOneAndUpdate', () => fakeQuery(null));
+
+    const res = await as(accessToken, 'patch', `/api/admin/users/${target._id}/status`, { status: 'Suspended' });
+
+    assert.equal(res.status, 403);
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  test('a non-Admin cannot force a password reset on an Admin', async () => {
+    const { accessToken } = await loginAs(MANAGER_ROLE);
+
+    const res = await as(accessToken, 'post', `/api/admin/users/${target._id}/force-password-reset`);
+    assert.equal(res.status, 403);
+  });
+
+  test('a non-Admin cannot change the role of an Admin', async () => {
+    const { accessToken } = await loginAs(MANAGER_ROLE);
+    const update = mock.method(UserModel, 'findOneAndUpdate', () => fakeQuery(null));
+
+    const res = await as(accessToken, 'patch', `/api/admin/users/${target._id}/role`, { role: 'User' });
+
+    assert.equal(res.status, 403);
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  test('a non-Admin cannot hand out the Admin role', async () => {
+    const { accessToken } = await loginAs(MANAGER_ROLE);
+    target.role = 'User';
+
+    const res = await as(accessToken, 'patch', `/api/admin/users/${target._id}/role`, { role: 'Admin' });
+    assert.equal(res.status, 403);
+  });
+
+  test('a non-Admin can still manage regular users, guarded against a concurrent promotion', async () => {
+    const { accessToken } = await loginAs(MANAGER_ROLE);
+    target.role = 'User';
+    const update = mock.method(UserModel, 'findOneAndUpdate', () => fakeQuery({ ...target, status: 'Suspended' }));
+    mock.method(UserModel, 'findByIdAndUpdate', () => fakeQuery(null));
+    mock.method(SessionModel, 'updateMany', async () => ({ modifiedCount: 0 }));
+
+    const res = await as(accessToken, 'patch', `/api/admin/users/${target._id}/status`, { status: 'Suspended' });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(update.mock.calls[0].arguments[0].role, { $ne: 'Admin' });
+  });
+
+  test('an Admin can act on another Admin', async () => {
+    const { accessToken } = await loginAs('Admin');
+    const update = mock.method(UserModel, 'findOneAndUpdate', () => fakeQuery({ ...target, role: 'Support' }));
+    mock.method(UserModel, 'findByIdAndUpdate', () => fakeQuery(null));
+
+    const res = await as(accessToken, 'patch', `/api/admin/users/${target._id}/role`, { role: 'Support' });
+
+    assert.equal(res.status, 200);
+    assert.equal(update.mock.calls[0].arguments[0].role, undefined);
+  });
+
+  test('nobody can act on their own account', async () => {
+    const { user, accessToken } = await loginAs('Admin');
+
+    const checks = [
+      ['patch', `/api/admin/users/${user._id}/status`, { status: 'Suspended' }],
+      ['post', `/api/admin/users/${user._id}/force-password-reset`, {}],
+      ['patch', `/api/admin/users/${user._id}/role`, { role: 'User' }]
+    ];
+
+    for (const [method, path, body] of checks) {
+      const res = await as(accessToken, method, path, body);
+      assert.equal(res.status, 400, `${method} ${path}`);
+    }
+  });
+});
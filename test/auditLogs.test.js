@@ -0,0 +1,58 @@
+import './setup.js';
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import app from '../app.js';
+import AuditLogModel from '../models/auditLog.model.js';
+import { fakeQuery, loginAs, mockAuthStore } from './helpers.js';
+
+describe('GET /api/admin/audit-logs', () => {
+  let accessToken;
+  let find;
+
+  beforeEach(async () => {
+    mockAuthStore();
+    ({ accessToken } = await loginAs('Admin'));
+    mock.method(AuditLogModel, 'countDocuments', async () => 0);
+    find = mock.method(AuditLogModel, 'find', () => fakeQuery([]));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const list = (query) => request(app)
+    .get(`/api/admin/audit-logs?${query}`)
+    .set('Authorization', `Bearer ${accessToken}`);
+
+  for (const param of ['action', 'targetType', 'targetId', 'actorId']) {
+    test(`a repeated ${param} param is refused`, async () => {
+      const res = await list(`${param}=a&${param}=b`);
+
+      assert.equal(res.status, 400);
+      assert.match(res.body.message, new RegExp(`${param} must be a single value`));
+      assert.equal(find.mock.callCount(), 0);
+    });
+  }
+
+  test('targetId and actorId must be ObjectIds', async () => {
+    const target = await list('targetId=not-an-id');
+    const actor = await list('actorId=not-an-id');
+
+    assert.equal(target.status, 400);
+    assert.match(target.body.message, /Invalid target ID format/);
+    assert.equal(actor.status, 400);
+    assert.match(actor.body.message, /Invalid actor ID format/);
+  });
+
+  test('valid filters reach the query', async () => {
+    const targetId = new mongoose.Types.ObjectId().toString();
+
+    const res = await list(`targetType=Product&targetId=${targetId}&action=product.*`);
+
+    assert.equal(res.status, 200);
+    const [filter] = find.mock.calls[0].arguments;
+    assert.equal(filter.targetType, 'Product');
+    assert.equal(filter.targetId, targetId);
+    assert.deepEqual(filter.action, { $regex: '^product\\.' });
+  });
+});
@@ -0,0 +1,97 @@
+import './setup.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  checkBruteForce,
+  clearFailedAttempts,
+  getBruteForceTargets,
+  registerFailedAttempt
+} from '../helpers/bruteForce.helper.js';
+
+let clientCount = 0;
+
+// Each test gets its own IP and account so counters do not leak between tests
+const newClient = () => {
+  clientCount += 1;
+  return { req: { ip: `10.0.0.${clientCount}` }, account: `user${clientCount}@example.com` };
+};
+
+describe('brute force protection', () => {
+  test('a burst of parallel attempts cannot get past the account limit', async () => {
+    const { req, account } = newClient();
+
+    // Every attempt is checked before any of them fails, as with parallel requests
+    const results = await Promise.all(
+      Array.from({ length: 25 }, () => checkBruteForce(getBruteForceTargets('login', req, account)))
+    );
+
+    const allowed = results.filter(result => !result.blocked);
+    assert.equal(allowed.length, 10);
+    assert.ok(results.filter(result => result.blocked).every(result => result.lockedOut));
+  });
+
+  test('failures back off, then lock the account', async () => {
+    const { req, account } = newClient();
+
+    for (let attempt = 1; attempt <= 2; attempt += 1) {
+      const targets = getBruteForceTargets('login', req, account);
+      assert.equal((await checkBruteForce(targets)).blocked, false);
+      await registerFailedAttempt(targets);
+    }
+
+    // Third failure starts the backoff
+    const targets = getBruteForceTargets('login', req, account);
+    await checkBruteForce(targets);
+    await registerFailedAttempt(targets);
+
+    const next = await checkBruteForce(getBruteForceTargets('login', req, account));
+    assert.equal(next.blocked, true);
+    assert.equal(next.lockedOut, false);
+  });
+
+  test('a success resets the account counter', async () => {
+    const { req, account } = newClient();
+
+    const failed = getBruteForceTargets('login', req, account);
+    await checkBruteForce(failed);
+    await registerFailedAttempt(failed);
+
+    const succeeded = getBruteForceTargets('login', req, account);
+    await checkBruteForce(succeeded);
+    await clearFailedAttempts(succeeded);
+
+    const targets = getBruteForceTargets('login', req, account);
+    await checkBruteForce(targets);
+    assert.equal(targets.find(target => target.scope === 'account').attempts, 1);
+  });
+
+  test('successful logins from one IP never lock the IP out', async () => {
+    const { req } = newClient();
+
+    // Well past MAX_IP_FAILURES: a busy office or carrier NAT behind one address
+    for (let login = 1; login <= 120; login += 1) {
+      const targets = getBruteForceTargets('login', req, `colleague${login}@example.com`);
+      const result = await checkBruteForce(targets);
+      assert.equal(result.blocked, false, `login ${login} was blocked`);
+      await clearFailedAttempts(targets);
+    }
+  });
+
+  test('failures from the IP still add up between successful logins', async () => {
+    const { req } = newClient();
+
+    for (let attempt = 1; attempt <= 50; attempt += 1) {
+      const failed = getBruteForceTargets('login', req, `guess${attempt}@example.com`);
+      await checkBruteForce(failed);
+      await registerFailedAttempt(failed);
+
+      const succeeded = getBruteForceTargets('login', req, 'owner@example.com');
+      await checkBruteForce(succeeded);
+      await clearFailedAttempts(succeeded);
+    }
+
+    const next = await checkBruteForce(getBruteForceTargets('login', req, 'owner@example.com'));
+    assert.equal(next.blocked, true);
+    assert.equal(next.lockedOut, true);
+  });
+});
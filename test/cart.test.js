@@ -0,0 +1,78 @@
+import './setup.js';
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import app from '../app.js';
+import CartProductModel from '../models/cartproduct.model.js';
+import UserModel from '../models/user.model.js';
+import { fakeQuery, fakeSession, loginAs, mockAuthStore } from './helpers.js';
+
+describe('removing cart lines', () => {
+  let user;
+  let accessToken;
+  let productId;
+  let lines;
+  let pull;
+
+  beforeEach(async () => {
+    mockAuthStore();
+    ({ user, accessToken } = await loginAs('User'));
+    mock.method(mongoose, 'startSession', async () => fakeSession());
+
+    // Two variants of the same product in the cart
+    productId = new mongoose.Types.ObjectId();
+    lines = ['black', 'white'].map(() => new CartProductModel({
+      userId: user._id,
+      productId,
+      variantId: new mongoose.Types.ObjectId(),
+      quantity: 1,
+      priceAtAdd: 100
+    }));
+
+    const remove = (ids) => {
+      lines = lines.filter(line => !ids.includes(String(line._id)));
+      return fakeQuery({ deletedCount: 1 });
+    };
+    mock.method(CartProductModel, 'findOne', (filter) => fakeQuery(lines.find(line => String(line._id) === filter._id) || null));
+    mock.method(CartProductModel, 'find', (filter) => fakeQuery(lines.filter(line => filter._id.$in.includes(String(line._id)))));
+    mock.method(CartProductModel, 'deleteOne', (filter) => remove([filter._id]));
+    mock.method(CartProductModel, 'deleteMany', (filter) => remove(filter._id.$in));
+    mock.method(CartProductModel, 'distinct', () => fakeQuery([...new Set(lines.map(line => String(line.productId)))]));
+    pull = mock.method(UserModel, 'findByIdAndUpdate', async () => ({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const send = (path, body) => request(app)
+    .delete(`/api/cart/${path}`)
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send(body);
+
+  test('keeps the product in the shopping cart while another variant is left', async () => {
+    const res = await send(String(lines[0]._id));
+
+    assert.equal(res.status, 200);
+    assert.equal(pull.mock.callCount(), 0);
+  });
+
+  test('removes the product with its last cart line', async () => {
+    const [first, second] = lines.map(line => String(line._id));
+    await send(first);
+    const res = await send(second);
+
+    assert.equal(res.status, 200);
+    assert.equal(pull.mock.callCount(), 1);
+    assert.deepEqual(pull.mock.calls[0].arguments[1], { $pull: { shopping_cart: { $in: [productId] } } });
+  });
+
+  test('a batch removal only pulls products with no line left', async () => {
+    let res = await send('batch', { cartItemIds: [String(lines[0]._id)] });
+    assert.equal(res.status, 200);
+    assert.equal(pull.mock.callCount(), 0);
+
+    res = await send('batch', { cartItemIds: [String(lines[0]._id)] });
+    assert.equal(res.status, 200);
+    assert.equal(pull.mock.callCount(), 1);
+  });
+});
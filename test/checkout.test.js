@@ -0,0 +1,129 @@
+import './setup.js';
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import app from '../app.js';
+import AddressModel from '../models/address.model.js';
+import CartProductModel from '../models/cartproduct.model.js';
+import OrderModel from '../models/order.model.js';
+import ProductModel from '../models/product.model.js';
+import UserModel from '../models/user.model.js';
+import { getPaymentProvider } from '../config/paymentService.js';
+import { fakeQuery, fakeSession, loginAs, mockAuthStore } from './helpers.js';
+
+describe('checkout', () => {
+  let user;
+  let accessToken;
+
+  beforeEach(async () => {
+    mockAuthStore();
+    ({ user, accessToken } = await loginAs('User'));
+    mock.method(mongoose, 'startSession', async () => fakeSession());
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('a request without a body checks out to the default address', async () => {
+    const addressLookup = mock.method(AddressModel, 'findOne', () => fakeQuery({ _id: new mongoose.Types.ObjectId() }));
+    mock.method(CartProductModel, 'find', () => fakeQuery([]));
+
+    const res = await request(app)
+      .post('/api/orders/checkout')
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, 'Your cart is empty');
+    assert.deepEqual(addressLookup.mock.calls[0].arguments[0], { userId: String(user._id), status: true, is_default: true });
+  });
+
+  describe('payment intent', () => {
+    let calls;
+    let cartItem;
+
+    beforeEach(() => {
+      calls = [];
+
+      const session = fakeSession();
+      session.commitTransaction = mock.fn(async () => { calls.push('commit'); });
+      mock.method(mongoose, 'startSession', async () => session);
+
+      const product = new ProductModel({
+        name: 'Phone',
+        description: 'A phone',
+        price: 100,
+        countInStock: 5,
+        category: new mongoose.Types.ObjectId()
+      });
+      cartItem = new CartProductModel({ userId: user._id, productId: product._id, quantity: 1 });
+
+      mock.method(AddressModel, 'findOne', () => fakeQuery(new AddressModel({
+        userId: user._id,
+        address_line: '1 Main Street',
+        city: 'Springfield',
+        state: 'IL',
+        pincode: '62701',
+        country: 'USA',
+        mobile: '+15555550100'
+      })));
+      mock.method(CartProductModel, 'find', () => fakeQuery([cartItem]));
+      mock.method(ProductModel, 'findOneAndUpdate', async () => product);
+      mock.method(OrderModel.prototype, 'save', async function () {
+        calls.push('save');
+        return this;
+      });
+      mock.method(CartProductModel, 'deleteMany', () => fakeQuery({}));
+      mock.method(UserModel, 'findByIdAndUpdate', async () => ({}));
+    });
+
+    const checkout = () => request(app)
+      .post('/api/orders/checkout')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({});
+
+    test('is created once the order is committed and stored with a conditional update', async () => {
+      mock.method(getPaymentProvider(), 'createPaymentIntent', async ({ orderId }) => {
+        calls.push('intent');
+        return { id: `pi_${orderId}`, status: 'requires_confirmation', clientSecret: 'secret' };
+      });
+      const update = mock.method(OrderModel, 'findOneAndUpdate', async (filter, { $set }) => {
+        calls.push('update');
+        return { _id: filter._id, status: 'pending', ...$set };
+      });
+
+      const res = await checkout();
+
+      assert.equal(res.status, 201);
+      assert.deepEqual(calls, ['save', 'commit', 'intent', 'update']);
+      const [filter] = update.mock.calls[0].arguments;
+      assert.equal(filter.status, 'pending');
+      assert.equal(filter.paymentId, '');
+      assert.equal(res.body.data.paymentId, res.body.payment.paymentId);
+    });
+
+    test('a provider failure cancels the order and gives the cart back', async () => {
+      mock.method(getPaymentProvider(), 'createPaymentIntent', async () => { throw new Error('gateway timeout'); });
+      const update = mock.method(OrderModel, 'findOneAndUpdate', async () => null);
+      const restock = mock.method(ProductModel, 'bulkWrite', async () => ({}));
+      const restoreCart = mock.method(CartProductModel, 'insertMany', async () => []);
+      mock.method(console, 'error', () => {});
+
+      const res = await checkout();
+
+      assert.equal(res.status, 502);
+      assert.equal(update.mock.callCount(), 0);
+      assert.equal(restock.mock.callCount(), 1);
+      assert.deepEqual(restoreCart.mock.calls[0].arguments[0].map(line => String(line._id)), [String(cartItem._id)]);
+      assert.deepEqual(calls, ['save', 'commit', 'save', 'commit']);
+    });
+
+    test('an order cancelled before its intent is stored is reported', async () => {
+      mock.method(getPaymentProvider(), 'createPaymentIntent', async () => ({ id: 'pi_late', status: 'requires_confirmation' }));
+      mock.method(OrderModel, 'findOneAndUpdate', async () => null);
+
+      const res = await checkout();
+
+      assert.equal(res.status, 409);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import { mock } from 'node:test';
+import mongoose from 'mongoose';
+import UserModel from '../models/user.model.js';
+import RoleModel from '../models/role.model.js';
+import SessionModel from '../models/session.model.js';
+import { DEFAULT_ROLES } from '../config/permissions.js';
+import generateAccessToken from '../utils/generatedAccessToken.js';
+
+/**
+ * Stand-in for a mongoose Query: chainable, resolves to the given result
+ */
+export function fakeQuery(result) {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    catch: (reject) => Promise.resolve(result).catch(reject),
+    exec: () => Promise.resolve(result)
+  };
+
+  for (const method of ['select', 'lean', 'populate', 'session', 'sort', 'skip', 'limit', 'collation']) {
+    query[method] = () => query;
+  }
+
+  return query;
+}
+
+/**
+ * Session that only records what the code did with it
+ */
+export function fakeSession() {
+  let active = false;
+
+  return {
+    startTransaction: mock.fn(() => { active = true; }),
+    commitTransaction: mock.fn(async () => { active = false; }),
+    abortTransaction: mock.fn(async () => { active = false; }),
+    inTransaction: () => active,
+    endSession: mock.fn(),
+    withTransaction: async (fn) => fn()
+  };
+}
+
+const users = new Map();
+const sessions = new Map();
+const customRoles = [];
+
+/**
+ * Make a role other than the built-in ones available to loginAs()
+ */
+export function defineRole(name, permissions) {
+  customRoles.push({ name, description: '', permissions });
+}
+
+/**
+ * Serve users, roles and sessions created by loginAs() instead of the database
+ */
+export function mockAuthStore() {
+  mock.method(UserModel, 'findById', (id) => fakeQuery(users.get(String(id)) || null));
+  mock.method(RoleModel, 'findOne', (filter = {}) => {
+    const role = [...DEFAULT_ROLES, ...customRoles].find(r => r.name === filter.name);
+    return fakeQuery(role ? { ...role, requireTwoFactor: false } : null);
+  });
+  mock.method(SessionModel, 'findOne', (filter = {}) => {
+    const session = sessions.get(String(filter._id));
+    const matches = session && String(session.userId) === String(filter.userId ?? session.userId);
+    return fakeQuery(matches ? session : null);
+  });
+}
+
+/**
+ * Sign in a fresh user of the given role: returns the user, its session and the
+ * access token login would issue
+ */
+export async function loginAs(role, overrides = {}) {
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    name: `${role} user`,
+    email: `${role.toLowerCase()}-${users.size}@example.com`,
+    role,
+    status: 'Active',
+    token_version: 0,
+    ...overrides
+  };
+  users.set(String(user._id), user);
+
+  const session = {
+    _id: new mongoose.Types.ObjectId(),
+    userId: user._id,
+    revokedAt: null,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  };
+  sessions.set(String(session._id), session);
+
+  const accessToken = await generateAccessToken(user, String(session._id));
+
+  return { user, session, accessToken };
+}
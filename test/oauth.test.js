@@ -0,0 +1,264 @@
+import './setup.js';
+import { test, describe, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import request from 'supertest';
+import app from '../app.js';
+import UserModel from '../models/user.model.js';
+import SessionModel from '../models/session.model.js';
+import { fakeQuery, mockAuthStore } from './helpers.js';
+
+// Minimal OIDC provider: hands out a token for any code whose PKCE verifier matches
+function startStubIdP() {
+  const challenges = new Map();
+  let profile = null;
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (url.pathname === '/token' && req.method === 'POST') {
+      let raw = '';
+      for await (const chunk of req) raw += chunk;
+      const form = new URLSearchParams(raw);
+      const expected = challenges.get(form.get('code'));
+      const actual = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+
+      return expected && expected === actual
+        ? send(200, { access_token: `token-${form.get('code')}`, token_type: 'Bearer' })
+        : send(400, { error: 'invalid_grant' });
+    }
+
+    if (url.pathname === '/userinfo') {
+      return req.headers.authorization?.startsWith('Bearer token-')
+        ? send(200, profile)
+        : send(401, { error: 'invalid_token' });
+    }
+
+    send(404, {});
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        server,
+        baseUrl,
+        setProfile: (value) => { profile = value; },
+        // What the provider does when the user approves: issue a code bound to the challenge
+        authorize: (authorizationUrl) => {
+          const params = new URL(authorizationUrl).searchParams;
+          const code = crypto.randomBytes(8).toString('hex');
+          challenges.set(code, params.get('code_challenge'));
+          return { code, state: params.get('state') };
+        }
+      });
+    });
+  });
+}
+
+const stateCookie = (res) =>
+  res.headers['set-cookie']?.find(cookie => cookie.startsWith('oauthState='))?.split(';')[0];
+
+async function startLogin() {
+  const res = await request(app).get('/api/auth/oauth/oidc?redirect=false');
+  assert.equal(res.status, 200);
+
+  return { authorizationUrl: res.body.data.authorizationUrl, cookie: stateCookie(res) };
+}
+
+const callback = ({ code, state }, cookie) => {
+  const req = request(app).get('/api/auth/oauth/oidc/callback').query({ code, state });
+  return cookie ? req.set('Cookie', cookie) : req;
+};
+
+describe('OAuth login', () => {
+  let idp;
+
+  before(async () => {
+    idp = await startStubIdP();
+    Object.assign(process.env, {
+      OIDC_AUTHORIZATION_URL: `${idp.baseUrl}/authorize`,
+      OIDC_TOKEN_URL: `${idp.baseUrl}/token`,
+      OIDC_USERINFO_URL: `${idp.baseUrl}/userinfo`,
+      OIDC_CLIENT_ID: 'test-client',
+      OIDC_CLIENT_SECRET: 'test-secret'
+    });
+  });
+
+  after(() => idp.server.close());
+
+  beforeEach(() => {
+    mockAuthStore();
+    mock.method(SessionModel.prototype, 'save', async function () { return this; });
+    mock.method(UserModel, 'findByIdAndUpdate', async () => null);
+    idp.setProfile({
+      sub: 'idp-user-1',
+      email: 'jane@example.com',
+      email_verified: true,
+      name: 'Jane'
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('start sets an httpOnly SameSite=Lax state cookie', async () => {
+    const res = await request(app).get('/api/auth/oauth/oidc?redirect=false');
+    const cookie = res.headers['set-cookie'].find(c => c.startsWith('oauthState='));
+    const state = new URL(res.body.data.authorizationUrl).searchParams.get('state');
+
+    assert.ok(cookie.startsWith(`oauthState=${state};`));
+    assert.match(cookie, /HttpOnly/);
+    assert.match(cookie, /SameSite=Lax/);
+  });
+
+  test('happy path creates the user and signs in', async () => {
+    mock.method(UserModel, 'findOne', () => fakeQuery(null));
+    const create = mock.method(UserModel, 'create', async (data) => new UserModel(data));
+
+    const { authorizationUrl, cookie } = await startLogin();
+    const res = await callback(idp.authorize(authorizationUrl), cookie);
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.accountCreated, true);
+    assert.ok(res.body.data.accessToken);
+    assert.equal(create.mock.calls[0].arguments[0].email, 'jane@example.com');
+    assert.equal(create.mock.calls[0].arguments[0].oauth_accounts[0].provider_user_id, 'idp-user-1');
+  });
+
+  test('a callback with a state that does not match the cookie is refused', async () => {
+    const findOne = mock.method(UserModel, 'findOne', () => fakeQuery(null));
+
+    const first = await startLogin();
+    const second = await startLogin();
+
+    // Attacker's state delivered to a victim browser holding another login's cookie
+    const res = await callback(idp.authorize(first.authorizationUrl), second.cookie);
+    assert.equal(res.status, 400);
+
+    // Without any cookie
+    const noCookie = await callback(idp.authorize(first.authorizationUrl));
+    assert.equal(noCookie.status, 400);
+    assert.equal(findOne.mock.callCount(), 0);
+
+    // The refused attempts did not consume the state of the real login
+    mock.method(UserModel, 'create', async (data) => new UserModel(data));
+    const legit = await callback(idp.authorize(first.authorizationUrl), first.cookie);
+    assert.equal(legit.status, 201);
+  });
+
+  test('a state cannot be used twice', async () => {
+    mock.method(UserModel, 'findOne', () => fakeQuery(null));
+    mock.method(UserModel, 'create', async (data) => new UserModel(data));
+
+    const { authorizationUrl, cookie } = await startLogin();
+    const approval = idp.authorize(authorizationUrl);
+
+    const first = await callback(approval, cookie);
+    assert.equal(first.status, 201);
+
+    const replay = await callback(approval, cookie);
+    assert.equal(replay.status, 400);
+    assert.match(replay.body.message, /Invalid or expired OAuth state/);
+  });
+
+  test('links the provider to an existing verified account with the same email', async () => {
+    const existing = new UserModel({
+      name: 'Jane',
+      email: 'jane@example.com',
+      password: 'hashed',
+      verify_email: true,
+      status: 'Active'
+    });
+    const save = mock.method(existing, 'save', async () => existing);
+    mock.method(UserModel, 'findOne', (filter) => fakeQuery(filter.email === 'jane@example.com' ? existing : null));
+    const create = mock.method(UserModel, 'create', async () => {
+      throw new Error('should not create a user');
+    });
+
+    const { authorizationUrl, cookie } = await startLogin();
+    const res = await callback(idp.authorize(authorizationUrl), cookie);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.accountLinked, true);
+    assert.equal(save.mock.callCount(), 1);
+    assert.equal(create.mock.callCount(), 0);
+    assert.equal(existing.oauth_accounts[0].provider, 'oidc');
+    assert.equal(existing.oauth_accounts[0].provider_user_id, 'idp-user-1');
+  });
+
+  test('an unverified local account with the same email is not linked', async () => {
+    const existing = new UserModel({
+      name: 'Jane',
+      email: 'jane@example.com',
+      password: 'hashed',
+      verify_email: false
+    });
+    const save = mock.method(existing, 'save', async () => existing);
+    mock.method(UserModel, 'findOne', (filter) => fakeQuery(filter.email ? existing : null));
+
+    const { authorizationUrl, cookie } = await startLogin();
+    const res = await callback(idp.authorize(authorizationUrl), cookie);
+
+    assert.equal(res.status, 409);
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  test('matches an existing account whatever the case of the provider email', async () => {
+    idp.setProfile({ sub: 'idp-user-1', email: ' Jane@Example.COM ', email_verified: true, name: 'Jane' });
+    const existing = new UserModel({
+      name: 'Jane',
+      email: 'Jane@example.com',
+      password: 'hashed',
+      verify_email: true,
+      status: 'Active'
+    });
+    mock.method(existing, 'save', async () => existing);
+    const findOne = mock.method(UserModel, 'findOne', (filter) => fakeQuery(filter.email ? existing : null));
+    const create = mock.method(UserModel, 'create', async (data) => new UserModel(data));
+
+    const { authorizationUrl, cookie } = await startLogin();
+    const res = await callback(idp.authorize(authorizationUrl), cookie);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.accountLinked, true);
+    assert.equal(findOne.mock.calls[1].arguments[0].email, 'jane@example.com');
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  test('a suspended account with the same email is not linked', async () => {
+    const existing = new UserModel({
+      name: 'Jane',
+      email: 'jane@example.com',
+      password: 'hashed',
+      verify_email: true,
+      status: 'Suspended'
+    });
+    const save = mock.method(existing, 'save', async () => existing);
+    mock.method(UserModel, 'findOne', (filter) => fakeQuery(filter.email ? existing : null));
+
+    const { authorizationUrl, cookie } = await startLogin();
+    const res = await callback(idp.authorize(authorizationUrl), cookie);
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.message, 'User account is not active');
+    assert.equal(save.mock.callCount(), 0);
+    assert.equal(existing.oauth_accounts.length, 0);
+  });
+
+  test('new accounts store the normalised email', async () => {
+    idp.setProfile({ sub: 'idp-user-2', email: 'New.User@Example.com', email_verified: true });
+    mock.method(UserModel, 'findOne', () => fakeQuery(null));
+    const create = mock.method(UserModel, 'create', async (data) => new UserModel(data));
+
+    const { authorizationUrl, cookie } = await startLogin();
+    const res = await callback(idp.authorize(authorizationUrl), cookie);
+
+    assert.equal(res.status, 201);
+    assert.equal(create.mock.calls[0].arguments[0].email, 'new.user@example.com');
+  });
+});
@@ -0,0 +1,79 @@
+import './setup.js';
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import app from '../app.js';
+import OrderModel from '../models/order.model.js';
+import AddressModel from '../models/address.model.js';
+import { snapshotDeliveryAddress } from '../helpers/order.helper.js';
+import { fakeQuery, loginAs, mockAuthStore } from './helpers.js';
+
+const ADDRESS = {
+  address_line: '1 Main Street',
+  city: 'Springfield',
+  state: 'IL',
+  pincode: '62701',
+  country: 'USA',
+  mobile: '+15555550100'
+};
+
+describe('order delivery address', () => {
+  let user;
+  let accessToken;
+
+  beforeEach(async () => {
+    mockAuthStore();
+    ({ user, accessToken } = await loginAs('User'));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const storedOrder = (fields) => ({
+    _id: new mongoose.Types.ObjectId(),
+    orderId: 'ORD-ADDR',
+    userId: user._id,
+    status: 'shipped',
+    statusHistory: [{ status: 'pending', changedAt: new Date(), actorType: 'customer', note: 'Order placed' }],
+    delivery_address: new mongoose.Types.ObjectId(),
+    ...fields
+  });
+
+  test('snapshot keeps only the address fields', () => {
+    const address = new AddressModel({ ...ADDRESS, userId: user._id, is_default: true });
+    assert.deepEqual(snapshotDeliveryAddress(address), ADDRESS);
+  });
+
+  test('order detail and timeline read the snapshot, not the address book', async () => {
+    const order = storedOrder({ delivery_address_snapshot: ADDRESS });
+    mock.method(OrderModel, 'findOne', () => fakeQuery(order));
+    const addressLookup = mock.method(AddressModel, 'findById', () => fakeQuery({ ...ADDRESS, city: 'Edited later' }));
+
+    const detail = await request(app)
+      .get(`/api/orders/${order.orderId}`)
+      .set('Authorization', `Bearer ${accessToken}`);
+    const timeline = await request(app)
+      .get(`/api/orders/${order.orderId}/timeline`)
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    assert.equal(detail.status, 200);
+    assert.deepEqual(detail.body.data.delivery_address, ADDRESS);
+    assert.equal(detail.body.data.delivery_address_snapshot, undefined);
+    assert.equal(timeline.status, 200);
+    assert.deepEqual(timeline.body.data.deliveryAddress, ADDRESS);
+    assert.equal(addressLookup.mock.callCount(), 0);
+  });
+
+  test('orders placed before snapshots fall back to the address book entry', async () => {
+    const order = storedOrder({});
+    mock.method(OrderModel, 'findOne', () => fakeQuery(order));
+    mock.method(AddressModel, 'findById', () => fakeQuery({ ...ADDRESS, _id: order.delivery_address }));
+
+    const res = await request(app)
+      .get(`/api/orders/${order.orderId}`)
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.delivery_address, ADDRESS);
+  });
+});
@@ -0,0 +1,132 @@
+import './setup.js';
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import app from '../app.js';
+import OrderModel from '../models/order.model.js';
+import ProductModel from '../models/product.model.js';
+import { getPaymentProvider } from '../config/paymentService.js';
+import { refundOrderPayment } from '../helpers/order.helper.js';
+import { fakeQuery, fakeSession, loginAs, mockAuthStore } from './helpers.js';
+
+function paidOrder(userId) {
+  return new OrderModel({
+    userId,
+    orderId: 'ORD-REFUND',
+    status: 'paid',
+    payment_status: 'paid',
+    paymentId: 'mock_pi_123',
+    items: [{ productId: new mongoose.Types.ObjectId(), name: 'Phone', quantity: 1, price: 100 }]
+  });
+}
+
+describe('order refunds', () => {
+  let calls;
+  let order;
+
+  beforeEach(() => {
+    mockAuthStore();
+    calls = [];
+
+    const session = fakeSession();
+    session.commitTransaction = mock.fn(async () => { calls.push('commit'); });
+    mock.method(mongoose, 'startSession', async () => session);
+    mock.method(ProductModel, 'bulkWrite', async () => ({}));
+    mock.method(OrderModel, 'findOne', () => fakeQuery(order));
+    // Stands in for the conditional update: applies it to a copy of the order
+    mock.method(OrderModel, 'findOneAndUpdate', async (filter, update) => {
+      calls.push('update');
+      const matches = filter.payment_status === order.payment_status && filter.refundId === order.refundId;
+      if (!matches) return null;
+      const updated = new OrderModel(order.toObject());
+      updated.set(update.$set);
+      if (update.$push) updated.statusHistory.push(update.$push.statusHistory);
+      return updated;
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const mockRefund = (impl) => mock.method(getPaymentProvider(), 'refundPayment', async (...args) => {
+    calls.push('refund');
+    return impl(...args);
+  });
+
+  test('customer cancellation commits before calling the provider', async () => {
+    const { user, accessToken } = await loginAs('User');
+    order = paidOrder(user._id);
+    mock.method(order, 'save', async () => { calls.push('save'); return order; });
+    const refund = mockRefund((paymentId) => ({ id: 're_1', paymentId, status: 'succeeded' }));
+
+    const res = await request(app)
+      .post(`/api/orders/${order.orderId}/cancel`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ reason: 'Changed my mind' });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(calls, ['save', 'commit', 'refund', 'update']);
+    assert.equal(refund.mock.calls[0].arguments[1].idempotencyKey, `refund:${order._id}`);
+    assert.equal(res.body.data.status, 'refunded');
+    assert.equal(res.body.data.refundId, 're_1');
+  });
+
+  test('a provider failure keeps the cancellation and the refund-pending marker', async () => {
+    const { user, accessToken } = await loginAs('User');
+    order = paidOrder(user._id);
+    mock.method(order, 'save', async () => order);
+    mockRefund(() => { throw new Error('gateway timeout'); });
+    mock.method(console, 'error', () => {});
+
+    const res = await request(app)
+      .post(`/api/orders/${order.orderId}/cancel`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ reason: 'Changed my mind' });
+
+    assert.equal(res.status, 200);
+    assert.match(res.body.message, /refund is being processed/);
+    assert.equal(res.body.data.status, 'cancelled');
+    assert.equal(res.body.data.payment_status, 'refund_pending');
+  });
+
+  test('admin refund is requested after commit and reports a pending refund', async () => {
+    const { accessToken } = await loginAs('OrderFulfilment');
+    order = paidOrder(new mongoose.Types.ObjectId());
+    mock.method(order, 'save', async () => { calls.push('save'); return order; });
+    mockRefund((paymentId) => ({ id: 're_2', paymentId, status: 'pending' }));
+
+    const res = await request(app)
+      .patch(`/api/orders/${order.orderId}/status`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ status: 'refunded' });
+
+    assert.equal(res.status, 202);
+    assert.deepEqual(calls, ['save', 'commit', 'refund', 'update']);
+    assert.equal(res.body.data.payment_status, 'refund_pending');
+    assert.equal(res.body.data.refundId, 're_2');
+  });
+
+  test('a cancellation without a body asks for the reason', async () => {
+    const { user, accessToken } = await loginAs('User');
+    order = paidOrder(user._id);
+
+    const res = await request(app)
+      .post(`/api/orders/${order.orderId}/cancel`)
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, 'Cancellation reason is required');
+  });
+
+  test('refundOrderPayment does nothing once a refund was recorded', async () => {
+    order = paidOrder(new mongoose.Types.ObjectId());
+    order.payment_status = 'refund_pending';
+    order.refundId = 're_3';
+    const refund = mockRefund(() => ({ id: 're_4', status: 'succeeded' }));
+
+    const result = await refundOrderPayment(order);
+
+    assert.equal(result.refund, null);
+    assert.equal(refund.mock.callCount(), 0);
+  });
+});
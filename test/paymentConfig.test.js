@@ -0,0 +1,59 @@
+import './setup.js';
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertPaymentConfig, getPaymentProvider } from '../config/paymentService.js';
+import { signMockWebhookPayload } from '../config/paymentProviders/mockProvider.js';
+
+const KEYS = ['NODE_ENV', 'PAYMENT_PROVIDER', 'PAYMENT_WEBHOOK_SECRET'];
+const original = Object.fromEntries(KEYS.map(key => [key, process.env[key]]));
+
+function setEnv(values) {
+  for (const key of KEYS) {
+    if (values[key] === undefined) delete process.env[key];
+    else process.env[key] = values[key];
+  }
+}
+
+describe('payment configuration', () => {
+  afterEach(() => setEnv(original));
+
+  test('development and test may rely on the mock defaults', () => {
+    for (const NODE_ENV of ['development', 'test']) {
+      setEnv({ NODE_ENV });
+      assert.doesNotThrow(() => assertPaymentConfig());
+      assert.equal(getPaymentProvider().name, 'mock');
+      assert.ok(signMockWebhookPayload('{}'));
+    }
+  });
+
+  test('other environments require an explicit provider and webhook secret', () => {
+    for (const NODE_ENV of ['production', 'staging', undefined]) {
+      setEnv({ NODE_ENV });
+      assert.throws(() => assertPaymentConfig(), /PAYMENT_PROVIDER and PAYMENT_WEBHOOK_SECRET/);
+
+      setEnv({ NODE_ENV, PAYMENT_PROVIDER: 'mock' });
+      assert.throws(() => assertPaymentConfig(), /PAYMENT_WEBHOOK_SECRET/);
+    }
+
+    setEnv({ NODE_ENV: 'staging' });
+    assert.throws(() => getPaymentProvider(), /PAYMENT_PROVIDER is not configured/);
+    assert.throws(() => signMockWebhookPayload('{}'), /PAYMENT_WEBHOOK_SECRET is not configured/);
+  });
+
+  test('the mock provider is refused in production', () => {
+    setEnv({ NODE_ENV: 'production', PAYMENT_PROVIDER: 'mock', PAYMENT_WEBHOOK_SECRET: 'secret' });
+
+    assert.throws(() => assertPaymentConfig(), /mock payment provider cannot be used in production/);
+    assert.throws(() => getPaymentProvider(), /mock payment provider cannot be used in production/);
+  });
+
+  test('an explicit setup outside production is accepted', () => {
+    setEnv({ NODE_ENV: 'staging', PAYMENT_PROVIDER: 'mock', PAYMENT_WEBHOOK_SECRET: 'secret' });
+    assert.doesNotThrow(() => assertPaymentConfig());
+  });
+
+  test('an unknown provider is refused', () => {
+    setEnv({ NODE_ENV: 'production', PAYMENT_PROVIDER: 'nope', PAYMENT_WEBHOOK_SECRET: 'secret' });
+    assert.throws(() => assertPaymentConfig(), /Unknown payment provider: nope/);
+  });
+});
@@ -0,0 +1,77 @@
+import './setup.js';
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import app from '../app.js';
+import OrderModel from '../models/order.model.js';
+import { getPaymentProvider } from '../config/paymentService.js';
+import { fakeQuery, loginAs, mockAuthStore } from './helpers.js';
+
+describe('payment confirmation', () => {
+  let accessToken;
+  let order;
+  // Status of the order in the database
+  let storedStatus;
+
+  beforeEach(async () => {
+    mockAuthStore();
+    const login = await loginAs('User');
+    accessToken = login.accessToken;
+
+    order = new OrderModel({
+      userId: login.user._id,
+      orderId: 'ORD-CONFIRM',
+      status: 'pending',
+      payment_status: 'pending',
+      payment_provider: 'mock',
+      paymentId: 'mock_pi_confirm',
+      items: [{ productId: new mongoose.Types.ObjectId(), name: 'Phone', quantity: 1, price: 100 }]
+    });
+    storedStatus = 'pending';
+    mock.method(OrderModel, 'findOne', () => fakeQuery(order));
+    mock.method(OrderModel, 'findOneAndUpdate', async (filter, update) => {
+      if (filter.status !== storedStatus) return null;
+      const updated = new OrderModel({ ...order.toObject(), status: storedStatus });
+      updated.set(update.$set);
+      return updated;
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const confirm = () => request(app)
+    .post(`/api/payments/${order.orderId}/confirm`)
+    .set('Authorization', `Bearer ${accessToken}`);
+
+  test('a request without a body uses the default payment method', async () => {
+    const res = await confirm();
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.status, 'paid');
+  });
+
+  test('the order is only marked paid while it is still pending', async () => {
+    const update = OrderModel.findOneAndUpdate;
+
+    await confirm();
+
+    const [filter, changes] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: order._id, status: 'pending' });
+    assert.equal(changes.$set.status, 'paid');
+  });
+
+  test('a payment that lands on an order cancelled meanwhile is refunded', async () => {
+    storedStatus = 'cancelled';
+    const update = OrderModel.findOneAndUpdate;
+    const refund = mock.method(getPaymentProvider(), 'refundPayment', async (paymentId) => ({
+      id: 're_confirm', paymentId, status: 'succeeded'
+    }));
+
+    const res = await confirm();
+
+    assert.equal(res.status, 409);
+    assert.equal(update.mock.calls[1].arguments[0].status, 'cancelled');
+    assert.equal(refund.mock.callCount(), 1);
+  });
+});
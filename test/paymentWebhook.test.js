@@ -0,0 +1,118 @@
+import './setup.js';
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import app from '../app.js';
+import OrderModel from '../models/order.model.js';
+import PaymentEventModel from '../models/paymentEvent.model.js';
+import { getPaymentProvider } from '../config/paymentService.js';
+import { signMockWebhookPayload } from '../config/paymentProviders/mockProvider.js';
+import { fakeQuery, fakeSession } from './helpers.js';
+
+function cancelledOrder() {
+  return new OrderModel({
+    userId: new mongoose.Types.ObjectId(),
+    orderId: 'ORD-LATE-PAY',
+    status: 'cancelled',
+    payment_status: 'pending',
+    payment_provider: 'mock',
+    paymentId: 'mock_pi_late',
+    items: [{ productId: new mongoose.Types.ObjectId(), name: 'Phone', quantity: 1, price: 100 }]
+  });
+}
+
+function sendEvent(event) {
+  const payload = JSON.stringify(event);
+  return request(app)
+    .post('/api/payments/webhook')
+    .set('Content-Type', 'application/json')
+    .set('x-mock-signature', signMockWebhookPayload(payload))
+    .send(payload);
+}
+
+const succeededEvent = {
+  id: 'evt_late_1',
+  type: 'payment.succeeded',
+  data: { paymentId: 'mock_pi_late' }
+};
+
+describe('payment webhook', () => {
+  let calls;
+  let order;
+  // Status of the order in the database
+  let storedStatus;
+
+  beforeEach(() => {
+    calls = [];
+    order = cancelledOrder();
+
+    const session = fakeSession();
+    session.commitTransaction = mock.fn(async () => { calls.push('commit'); });
+    mock.method(mongoose, 'startSession', async () => session);
+    mock.method(PaymentEventModel, 'exists', () => fakeQuery(null));
+    mock.method(PaymentEventModel, 'create', async () => []);
+    storedStatus = order.status;
+    mock.method(OrderModel, 'findOne', () => fakeQuery(order));
+    // Conditional save of the event's changes, or the refund result update
+    mock.method(OrderModel, 'findOneAndUpdate', async (filter, update) => {
+      calls.push('refundId' in filter ? 'update' : 'save');
+      if (filter.status !== storedStatus) return null;
+      const updated = new OrderModel(order.toObject());
+      updated.set(update.$set);
+      return updated;
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('a payment that succeeds on a cancelled order is refunded after commit', async () => {
+    const refund = mock.method(getPaymentProvider(), 'refundPayment', async (paymentId) => {
+      calls.push('refund');
+      return { id: 're_late', paymentId, status: 'succeeded' };
+    });
+
+    const res = await sendEvent(succeededEvent);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.result, 'processed');
+    assert.deepEqual(calls, ['save', 'commit', 'refund', 'update']);
+    assert.equal(refund.mock.calls[0].arguments[0], 'mock_pi_late');
+    assert.equal(res.body.data.status, 'refunded');
+    assert.equal(res.body.data.payment_status, 'refunded');
+  });
+
+  test('a failed refund leaves the order flagged as refund pending', async () => {
+    mock.method(getPaymentProvider(), 'refundPayment', async () => { throw new Error('gateway timeout'); });
+    mock.method(console, 'error', () => {});
+
+    const res = await sendEvent(succeededEvent);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(calls, ['save', 'commit']);
+    assert.equal(order.status, 'cancelled');
+    assert.equal(res.body.data.payment_status, 'refund_pending');
+  });
+
+  test('an order already refunded is not refunded twice', async () => {
+    order.payment_status = 'refunded';
+    order.refundId = 're_done';
+    const refund = mock.method(getPaymentProvider(), 'refundPayment', async () => ({}));
+
+    const res = await sendEvent(succeededEvent);
+
+    assert.equal(res.body.data.result, 'ignored');
+    assert.equal(refund.mock.callCount(), 0);
+  });
+
+  test('an order that changed status meanwhile is not overwritten', async () => {
+    order.status = 'pending';
+    order.payment_status = 'pending';
+    storedStatus = 'cancelled';
+
+    const res = await sendEvent({ ...succeededEvent, id: 'evt_race_1' });
+
+    assert.equal(res.status, 409);
+    assert.deepEqual(calls, ['save']);
+  });
+});
@@ -0,0 +1,118 @@
+import './setup.js';
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { v2 as cloudinary } from 'cloudinary';
+import app from '../app.js';
+import ProductModel from '../models/product.model.js';
+import ReviewModel from '../models/review.model.js';
+import AuditLogModel from '../models/auditLog.model.js';
+import { fakeQuery, loginAs, mockAuthStore } from './helpers.js';
+
+// A product as loaded from the database
+function storedProduct() {
+  return ProductModel.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Phone',
+    description: 'A phone',
+    price: 100,
+    countInStock: 8,
+    category: new mongoose.Types.ObjectId(),
+    images: [{ url: 'https://img/p1', public_id: 'products/p1' }],
+    variants: [
+      {
+        _id: new mongoose.Types.ObjectId(),
+        sku: 'PHONE-8GB',
+        attributes: { ram: '8GB' },
+        price: 100,
+        countInStock: 5,
+        isActive: true,
+        images: [{ url: 'https://img/v1', public_id: 'products/v1' }]
+      },
+      {
+        _id: new mongoose.Types.ObjectId(),
+        sku: 'PHONE-16GB',
+        attributes: { ram: '16GB' },
+        price: 150,
+        countInStock: 3,
+        isActive: true,
+        images: [{ url: 'https://img/v2', public_id: 'products/v2' }]
+      }
+    ]
+  });
+}
+
+describe('product variants', () => {
+  beforeEach(() => mockAuthStore());
+  afterEach(() => mock.restoreAll());
+
+  test('deleting a product deletes its variant images too', async () => {
+    const { accessToken } = await loginAs('CatalogManager');
+    const product = storedProduct();
+    const destroy = mock.method(cloudinary.uploader, 'destroy', async () => ({ result: 'ok' }));
+    mock.method(ProductModel, 'findById', () => fakeQuery(product));
+    mock.method(ProductModel, 'findByIdAndDelete', async () => product);
+    mock.method(ReviewModel, 'find', () => fakeQuery([]));
+    mock.method(AuditLogModel, 'create', async () => ({}));
+    mock.method(console, 'log', () => {});
+
+    const res = await request(app)
+      .delete(`/api/products/${product._id}`)
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      destroy.mock.calls.map(call => call.arguments[0]).sort(),
+      ['products/p1', 'products/v1', 'products/v2']
+    );
+  });
+
+  test('bulk delete removes variant images too', async () => {
+    const { accessToken } = await loginAs('CatalogManager');
+    const product = storedProduct();
+    const destroy = mock.method(cloudinary.uploader, 'destroy', async () => ({ result: 'ok' }));
+    mock.method(ProductModel, 'find', () => fakeQuery([product]));
+    mock.method(ProductModel, 'deleteMany', async () => ({ deletedCount: 1 }));
+    mock.method(ReviewModel, 'find', () => fakeQuery([]));
+    mock.method(AuditLogModel, 'create', async () => ({}));
+    mock.method(console, 'log', () => {});
+
+    const res = await request(app)
+      .delete('/api/products/bulk')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ productIds: [String(product._id)] });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.imagesDeleted, 3);
+    assert.equal(destroy.mock.callCount(), 3);
+  });
+
+  test('saving a loaded product never writes totals computed in memory', async () => {
+    const product = storedProduct();
+    product.variants[0].countInStock = 10;
+    product.countInStock = 999;
+
+    await product.validate();
+
+    assert.equal(product.isModified('countInStock'), false);
+    assert.equal(product.isModified('price'), false);
+  });
+
+  test('totals are recomputed with one atomic pipeline update after save', async () => {
+    const product = storedProduct();
+    product.variants[1].isActive = false;
+
+    mock.method(ProductModel.collection, 'updateOne', async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }));
+    const sync = mock.method(ProductModel, 'findOneAndUpdate', () => fakeQuery({ countInStock: 5, price: 100 }));
+
+    await product.save();
+
+    const [filter, pipeline, options] = sync.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: product._id, 'variants.0': { $exists: true } });
+    assert.ok(Array.isArray(pipeline));
+    assert.equal(options.updatePipeline, true);
+    assert.equal(product.countInStock, 5);
+    assert.equal(product.isModified('countInStock'), false);
+  });
+});
@@ -0,0 +1,57 @@
+import './setup.js';
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import request from 'supertest';
+import rateLimit from '../middlewares/rateLimit.js';
+import { loginAs, mockAuthStore } from './helpers.js';
+
+describe('rate limit Admin exemption', () => {
+  let app;
+
+  beforeEach((t) => {
+    mockAuthStore();
+
+    // Own counter per test, the store outlives the app
+    app = express();
+    app.get('/', rateLimit('strict', { group: `admin-exemption:${t.name}` }), (req, res) => res.json({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  // One more than the strict limit
+  async function lastStatus(accessToken) {
+    let res;
+    for (let attempt = 1; attempt <= 11; attempt += 1) {
+      res = await request(app).get('/').set('Authorization', `Bearer ${accessToken}`);
+    }
+    return res.status;
+  }
+
+  test('an Admin with a valid token is not throttled', async () => {
+    const { accessToken } = await loginAs('Admin');
+
+    assert.equal(await lastStatus(accessToken), 200);
+  });
+
+  test('a revoked Admin token is throttled', async () => {
+    const { user, accessToken } = await loginAs('Admin');
+    user.token_version = 1;
+
+    assert.equal(await lastStatus(accessToken), 429);
+  });
+
+  test('an Admin token of a revoked session is throttled', async () => {
+    const { session, accessToken } = await loginAs('Admin');
+    session.revokedAt = new Date();
+
+    assert.equal(await lastStatus(accessToken), 429);
+  });
+
+  test('an Admin token of a suspended account is throttled', async () => {
+    const { user, accessToken } = await loginAs('Admin');
+    user.status = 'Suspended';
+
+    assert.equal(await lastStatus(accessToken), 429);
+  });
+});
@@ -0,0 +1,136 @@
+import './setup.js';
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import app from '../app.js';
+import ReviewModel from '../models/review.model.js';
+import ProductModel from '../models/product.model.js';
+import MyListModel from '../models/mylist.model.js';
+import OrderModel from '../models/order.model.js';
+import AuditLogModel from '../models/auditLog.model.js';
+import { hasVerifiedPurchase } from '../helpers/review.helper.js';
+import { fakeQuery, fakeSession, loginAs, mockAuthStore } from './helpers.js';
+
+describe('review moderation', () => {
+  let accessToken;
+  let session;
+  let review;
+
+  beforeEach(async () => {
+    mockAuthStore();
+    ({ accessToken } = await loginAs('CatalogManager'));
+
+    session = fakeSession();
+    mock.method(mongoose, 'startSession', async () => session);
+    review = new ReviewModel({
+      productId: new mongoose.Types.ObjectId(),
+      userId: new mongoose.Types.ObjectId(),
+      rating: 4,
+      text: 'Nice',
+      status: 'pending'
+    });
+    mock.method(review, 'save', async () => review);
+    mock.method(ReviewModel, 'findById', () => fakeQuery(review));
+    mock.method(ReviewModel, 'aggregate', () => fakeQuery([{ _id: 4, count: 1 }]));
+    mock.method(MyListModel, 'updateMany', async () => ({}));
+    mock.method(AuditLogModel, 'create', async () => ({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const moderate = (body) => request(app)
+    .patch(`/api/admin/reviews/${review._id}/moderation`)
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send(body);
+
+  test('status change and rating recompute are committed together', async () => {
+    const updateProduct = mock.method(ProductModel, 'updateOne', async () => ({}));
+
+    const res = await moderate({ action: 'approve' });
+
+    assert.equal(res.status, 200);
+    assert.equal(review.save.mock.calls[0].arguments[0].session, session);
+    assert.equal(updateProduct.mock.calls[0].arguments[2].session, session);
+    assert.equal(session.commitTransaction.mock.callCount(), 1);
+  });
+
+  test('a failed recompute rolls the status change back', async () => {
+    mock.method(ProductModel, 'updateOne', async () => { throw new Error('write conflict'); });
+    mock.method(console, 'error', () => {});
+
+    const res = await moderate({ action: 'approve' });
+
+    assert.equal(res.status, 500);
+    assert.equal(session.commitTransaction.mock.callCount(), 0);
+    assert.equal(session.abortTransaction.mock.callCount(), 1);
+  });
+});
+
+describe('hasVerifiedPurchase', () => {
+  afterEach(() => mock.restoreAll());
+
+  test('only counts delivered orders', async () => {
+    const exists = mock.method(OrderModel, 'exists', async () => null);
+
+    await hasVerifiedPurchase('user', 'product');
+
+    assert.equal(exists.mock.calls[0].arguments[0].status, 'delivered');
+  });
+});
+
+describe('verified purchase badge on refunds', () => {
+  let accessToken;
+  let order;
+  let reviewUpdates;
+
+  beforeEach(async () => {
+    mockAuthStore();
+    ({ accessToken } = await loginAs('OrderFulfilment'));
+
+    order = new OrderModel({
+      userId: new mongoose.Types.ObjectId(),
+      orderId: 'ORD-DELIVERED',
+      status: 'delivered',
+      statusHistory: [{ status: 'delivered', actorType: 'admin' }],
+      items: [
+        { productId: new mongoose.Types.ObjectId(), name: 'Phone', quantity: 1, price: 100 },
+        { productId: new mongoose.Types.ObjectId(), name: 'Case', quantity: 1, price: 10 }
+      ]
+    });
+
+    mock.method(mongoose, 'startSession', async () => fakeSession());
+    mock.method(OrderModel, 'findOne', () => fakeQuery(order));
+    mock.method(order, 'save', async () => order);
+    reviewUpdates = mock.method(ReviewModel, 'updateMany', async () => ({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const refund = () => request(app)
+    .patch(`/api/orders/${order.orderId}/status`)
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send({ status: 'refunded' });
+
+  test('refunding a delivered order removes the badge from its products', async () => {
+    mock.method(OrderModel, 'distinct', async () => []);
+
+    const res = await refund();
+
+    assert.equal(res.status, 200);
+    assert.equal(reviewUpdates.mock.callCount(), 1);
+    const [filter, update] = reviewUpdates.mock.calls[0].arguments;
+    assert.deepEqual(filter.productId.$in.map(String), order.items.map(item => String(item.productId)));
+    assert.deepEqual(update, { $set: { verifiedPurchase: false } });
+  });
+
+  test('products still in another delivered order keep the badge', async () => {
+    const [phone, phoneCase] = order.items.map(item => item.productId);
+    const distinct = mock.method(OrderModel, 'distinct', async () => [phone]);
+
+    await refund();
+
+    assert.equal(String(distinct.mock.calls[0].arguments[1]._id.$ne), String(order._id));
+    assert.deepEqual(reviewUpdates.mock.calls[0].arguments[0].productId.$in.map(String), [String(phoneCase)]);
+  });
+});
@@ -0,0 +1,114 @@
+import './setup.js';
+import { test, describe, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../app.js';
+import RoleModel from '../models/role.model.js';
+import UserModel from '../models/user.model.js';
+import AuditLogModel from '../models/auditLog.model.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { defineRole, fakeQuery, loginAs, mockAuthStore } from './helpers.js';
+
+describe('PUT /api/admin/roles/:roleName', () => {
+  let accessToken;
+  let role;
+  let bump;
+
+  beforeEach(async () => {
+    mockAuthStore();
+    ({ accessToken } = await loginAs('Admin'));
+
+    role = new RoleModel({
+      name: 'Support',
+      permissions: [PERMISSIONS.ORDER_READ],
+      requireTwoFactor: false
+    });
+    mock.method(role, 'save', async () => role);
+    mock.method(RoleModel, 'findOne', () => fakeQuery(role));
+    mock.method(AuditLogModel, 'create', async () => ({}));
+    mock.method(UserModel, 'find', () => fakeQuery([{ _id: 'member' }]));
+    bump = mock.method(UserModel, 'updateMany', async () => ({ modifiedCount: 1 }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const updateRole = (body) => request(app)
+    .put('/api/admin/roles/Support')
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send(body);
+
+  test('revokes member tokens when the permissions change', async () => {
+    const res = await updateRole({ permissions: [PERMISSIONS.ORDER_READ, PERMISSIONS.PRODUCT_WRITE] });
+
+    assert.equal(res.status, 200);
+    assert.equal(bump.mock.callCount(), 1);
+    assert.deepEqual(bump.mock.calls[0].arguments, [{ role: 'Support' }, { $inc: { token_version: 1 } }]);
+    assert.match(res.body.message, /revoked/);
+  });
+
+  test('leaves tokens alone when the permissions are the same', async () => {
+    const res = await updateRole({ permissions: [PERMISSIONS.ORDER_READ], description: 'Support team' });
+
+    assert.equal(res.status, 200);
+    assert.equal(bump.mock.callCount(), 0);
+    assert.equal(res.body.message, 'Role updated successfully');
+  });
+});
+
+describe('role management by a non-Admin', () => {
+  const MANAGER_ROLE = 'RoleManager';
+  let accessToken;
+  let role;
+  let save;
+
+  before(() => defineRole(MANAGER_ROLE, [PERMISSIONS.ROLE_MANAGE, PERMISSIONS.ORDER_READ]));
+
+  beforeEach(async () => {
+    mockAuthStore();
+    ({ accessToken } = await loginAs(MANAGER_ROLE));
+
+    role = new RoleModel({ name: 'Support', permissions: [], requireTwoFactor: false });
+    save = mock.method(role, 'save', async () => role);
+    mock.method(RoleModel, 'findOne', () => fakeQuery(role));
+    mock.method(RoleModel, 'create', async (doc) => new RoleModel(doc));
+    mock.method(AuditLogModel, 'create', async () => ({}));
+    mock.method(UserModel, 'find', () => fakeQuery([]));
+    mock.method(UserModel, 'updateMany', async () => ({ modifiedCount: 0 }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const send = (method, path, body) => request(app)[method](path)
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send(body);
+
+  test('cannot edit its own role', async () => {
+    const res = await send('put', `/api/admin/roles/${MANAGER_ROLE}`, { permissions: [PERMISSIONS.ROLE_MANAGE, PERMISSIONS.ORDER_READ, PERMISSIONS.USER_MANAGE] });
+
+    assert.equal(res.status, 403);
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  test('cannot grant a permission it does not hold', async () => {
+    const res = await send('put', '/api/admin/roles/Support', { permissions: [PERMISSIONS.ORDER_READ, PERMISSIONS.USER_MANAGE] });
+
+    assert.equal(res.status, 403);
+    assert.deepEqual(res.body.missingPermissions, [PERMISSIONS.USER_MANAGE]);
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  test('cannot create a role with a permission it does not hold', async () => {
+    const res = await send('post', '/api/admin/roles', { name: 'Escalated', permissions: [PERMISSIONS.ORDER_MANAGE] });
+
+    assert.equal(res.status, 403);
+    assert.deepEqual(res.body.missingPermissions, [PERMISSIONS.ORDER_MANAGE]);
+    assert.equal(RoleModel.create.mock.callCount(), 0);
+  });
+
+  test('can grant permissions it holds', async () => {
+    const res = await send('put', '/api/admin/roles/Support', { permissions: [PERMISSIONS.ORDER_READ] });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.permissions, [PERMISSIONS.ORDER_READ]);
+  });
+});
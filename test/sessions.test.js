@@ -0,0 +1,52 @@
+import './setup.js';
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../app.js';
+import SessionModel from '../models/session.model.js';
+import { revokeUserSessions } from '../helpers/session.helper.js';
+import { loginAs, mockAuthStore } from './helpers.js';
+
+// Any auth-only route works; this one needs no database besides the auth checks
+const whoAmI = (accessToken) => request(app)
+  .get('/api/admin/permissions')
+  .set('Authorization', `Bearer ${accessToken}`);
+
+describe('access token session check', () => {
+  beforeEach(() => mockAuthStore());
+  afterEach(() => mock.restoreAll());
+
+  test('a token of a live session is accepted', async () => {
+    const { accessToken } = await loginAs('Admin');
+    assert.equal((await whoAmI(accessToken)).status, 200);
+  });
+
+  test('a token of a revoked session is refused', async () => {
+    const { session, accessToken } = await loginAs('Admin');
+    session.revokedAt = new Date();
+
+    const res = await whoAmI(accessToken);
+    assert.equal(res.status, 401);
+    assert.match(res.body.message, /revoked/);
+  });
+
+  test('a token of an expired session is refused', async () => {
+    const { session, accessToken } = await loginAs('Admin');
+    session.expiresAt = new Date(Date.now() - 1000);
+
+    assert.equal((await whoAmI(accessToken)).status, 401);
+  });
+
+  test('revoking sessions takes effect without waiting for the cache', async () => {
+    const { user, session, accessToken } = await loginAs('Admin');
+    assert.equal((await whoAmI(accessToken)).status, 200);
+
+    mock.method(SessionModel, 'updateMany', async () => {
+      session.revokedAt = new Date();
+      return { modifiedCount: 1 };
+    });
+    await revokeUserSessions(user._id, 'logout', { _id: session._id });
+
+    assert.equal((await whoAmI(accessToken)).status, 401);
+  });
+});
@@ -0,0 +1,9 @@
+import mongoose from 'mongoose';
+
+// Imported before the app: modules read some settings when they are evaluated
+process.env.NODE_ENV = 'test';
+process.env.SECRET_KEY_ACCESS_TOKEN ||= 'test_access_secret';
+process.env.SECRET_KEY_REFRESH_TOKEN ||= 'test_refresh_secret';
+
+// No database in tests: a query that was not mocked fails at once instead of hanging
+mongoose.set('bufferCommands', false);
@@ -0,0 +1,72 @@
+import './setup.js';
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import bcrypt from 'bcryptjs';
+import app from '../app.js';
+import UserModel from '../models/user.model.js';
+import { encryptSecret } from '../helpers/twoFactor.helper.js';
+import { generateTotp, generateTotpSecret } from '../utils/totp.js';
+import { loginAs, mockAuthStore } from './helpers.js';
+
+process.env.TWO_FACTOR_ENCRYPTION_KEY ||= 'test_two_factor_key';
+
+describe('two-factor management', () => {
+  let accessToken;
+  let wrongCode;
+
+  beforeEach(async () => {
+    mockAuthStore();
+
+    const secret = generateTotpSecret();
+    wrongCode = String((Number(generateTotp(secret)) + 500000) % 1000000).padStart(6, '0');
+
+    ({ accessToken } = await loginAs('User', {
+      password: await bcrypt.hash('correct-password', 4),
+      two_factor: { enabled: true, secret: encryptSecret(secret), backup_codes: [] }
+    }));
+
+    // No code or backup code matches
+    mock.method(UserModel, 'updateOne', async () => ({ modifiedCount: 0 }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const post = (path, body) => request(app)
+    .post(`/api/users/2fa/${path}`)
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send(body);
+
+  test('wrong codes on backup code regeneration are throttled', async () => {
+    for (let attempt = 1; attempt <= 3; attempt += 1) {
+      const res = await post('backup-codes', { code: wrongCode });
+      assert.equal(res.status, 401);
+    }
+
+    const res = await post('backup-codes', { code: wrongCode });
+    assert.equal(res.status, 429);
+    assert.ok(res.headers['retry-after']);
+  });
+
+  test('wrong passwords and backup codes on disable are throttled', async () => {
+    assert.equal((await post('disable', { password: 'guess', backupCode: 'aaaaa-bbbbb' })).status, 401);
+    assert.equal((await post('disable', { password: 'correct-password', backupCode: 'aaaaa-bbbbb' })).status, 401);
+    assert.equal((await post('disable', { password: 'correct-password', backupCode: 'ccccc-ddddd' })).status, 401);
+
+    const res = await post('disable', { password: 'correct-password', backupCode: 'eeeee-fffff' });
+    assert.equal(res.status, 429);
+  });
+
+  test('both routes use the strict rate limit', async () => {
+    for (const path of ['disable', 'backup-codes']) {
+      // Rejected before any code is checked: only the rate limiter counts these
+      for (let attempt = 1; attempt <= 10; attempt += 1) {
+        assert.equal((await post(path, {})).status, 400);
+      }
+
+      const res = await post(path, {});
+      assert.equal(res.status, 429);
+      assert.equal(res.headers['ratelimit-limit'], '10');
+    }
+  });
+});
@@ -0,0 +1,39 @@
+import './setup.js';
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../app.js';
+import UserModel from '../models/user.model.js';
+import { fakeQuery, loginAs, mockAuthStore } from './helpers.js';
+
+describe('PUT /api/users/profile', () => {
+  beforeEach(() => mockAuthStore());
+  afterEach(() => mock.restoreAll());
+
+  test('refuses to change the password', async () => {
+    const { accessToken } = await loginAs('User');
+    const update = mock.method(UserModel, 'findByIdAndUpdate', () => fakeQuery(null));
+
+    const res = await request(app)
+      .put('/api/users/profile')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ name: 'New name', password: 'NewPassw0rd!' });
+
+    assert.equal(res.status, 400);
+    assert.match(res.body.message, /change password/);
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  test('updates name and mobile without touching the password', async () => {
+    const { user, accessToken } = await loginAs('User');
+    const update = mock.method(UserModel, 'findByIdAndUpdate', (id, data) => fakeQuery({ ...user, ...data }));
+
+    const res = await request(app)
+      .put('/api/users/profile')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ name: 'New name', mobile: '0600000000' });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(update.mock.calls[0].arguments[1], { name: 'New name', mobile: '0600000000' });
+  });
+});
@@ -96,6 +96,35 @@ export async function uploadProductImage(filePath, productId) {
     }
 }
 
+/**
+ * Upload review photo to Cloudinary
+ * @param {string} filePath - Local file path
+ * @param {string} reviewId - Review ID for unique naming
+ * @returns {Promise<{url: string, publicId: string}>}
+ */
+export async function uploadReviewImage(filePath, reviewId) {
+    try {
+        const result = await cloudinary.uploader.upload(filePath, {
+            folder: 'reviews',
+            public_id: `review_${reviewId}_${Date.now()}`,
+            transformation: [
+                { width: 1200, height: 1200, crop: 'limit' },
+                { quality: 'auto:good', fetch_format: 'auto' }
+            ]
+        });
+
+        return {
+            url: result.secure_url,
+            publicId: result.public_id
+        };
+    } finally {
+        // Always cleanup local file
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+    }
+}
+
 /**
  * Delete image from Cloudinary
  * @param {string} publicId - Cloudinary public ID
@@ -0,0 +1,114 @@
+const EmailChangedTemplate = (username, newEmail) => {
+    return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <meta http-equiv="X-UA-Compatible" content="IE=edge">
+        <title>Your Email Was Changed</title>
+        <!--[if mso]>
+        <style type="text/css">
+            body, table, td {font-family: Arial, Helvetica, sans-serif !important;}
+        </style>
+        <![endif]-->
+    </head>
+    <body style="margin: 0; padding: 0; background-color: #f4f4f4; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;">
+        <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #f4f4f4;">
+            <tr>
+                <td style="padding: 40px 20px;">
+                    <!-- Main Container -->
+                    <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.1);">
+                        
+                        <!-- Header -->
+                        <tr>
+                            <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 30px; text-align: center; border-radius: 8px 8px 0 0;">
+                                <h1 style="margin: 0; color: #ffffff; font-size: 28px; font-weight: 600; letter-spacing: -0.5px;">
+                                    Email Address Changed
+                                </h1>
+                            </td>
+                        </tr>
+                        
+                        <!-- Content -->
+                        <tr>
+                            <td style="padding: 40px 30px;">
+                                <p style="margin: 0 0 20px; font-size: 16px; line-height: 1.6; color: #333333;">
+                                    Hello <strong style="color: #667eea;">${username}</strong>,
+                                </p>
+                                
+                                <p style="margin: 0 0 30px; font-size: 16px; line-height: 1.6; color: #666666;">
+                                    The email address of your <strong>E-Commerce App</strong> account has been changed. From now on, sign-in and notifications will use:
+                                </p>
+                                
+                                <!-- OTP Box -->
+                                <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%">
+                                    <tr>
+                                        <td style="padding: 30px; background: linear-gradient(135deg, #f5f7fa 0%, #c3cfe2 100%); border-radius: 8px; text-align: center;">
+                                            <p style="margin: 0 0 10px; font-size: 14px; color: #666666; text-transform: uppercase; letter-spacing: 1px; font-weight: 600;">
+                                                New Email Address
+                                            </p>
+                                            <p style="margin: 0; font-size: 20px; font-weight: 700; color: #667eea; word-break: break-all;">
+                                                ${newEmail}
+                                            </p>
+                                        </td>
+                                    </tr>
+                                </table>
+                                
+                                <!-- Info Box -->
+                                <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="margin-top: 30px;">
+                                    <tr>
+                                        <td style="padding: 20px; background-color: #fff3cd; border-left: 4px solid #ffc107; border-radius: 4px;">
+                                            <p style="margin: 0; font-size: 14px; line-height: 1.6; color: #856404;">
+                                                <strong>ℹ️ Note:</strong> This address will no longer receive emails about your account.
+                                            </p>
+                                        </td>
+                                    </tr>
+                                </table>
+                                
+                                <!-- Security Notice -->
+                                <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="margin-top: 20px;">
+                                    <tr>
+                                        <td style="padding: 20px; background-color: #f8d7da; border-left: 4px solid #dc3545; border-radius: 4px;">
+                                            <p style="margin: 0; font-size: 14px; line-height: 1.6; color: #721c24;">
+                                                <strong>🔒 Not you?</strong> If you did not make this change, contact our support team immediately so we can secure your account.
+                                            </p>
+                                        </td>
+                                    </tr>
+                                </table>
+                                
+                                <p style="margin: 30px 0 0; font-size: 14px; line-height: 1.6; color: #999999;">
+                                    This is an automatic security notification sent to your previous email address.
+                                </p>
+                            </td>
+                        </tr>
+                        
+                        <!-- Footer -->
+                        <tr>
+                            <td style="padding: 30px; background-color: #f8f9fa; border-radius: 0 0 8px 8px; text-align: center;">
+                                <p style="margin: 0 0 10px; font-size: 14px; color: #666666;">
+                                    Best regards,<br/>
+                                    <strong style="color: #667eea;">E-Commerce App Team</strong>
+                                </p>
+                                
+                                <div style="margin: 20px 0; padding-top: 20px; border-top: 1px solid #dee2e6;">
+                                    <p style="margin: 0 0 10px; font-size: 12px; color: #999999;">
+                                        Need help? Contact us at 
+                                        <a href="mailto:support@ecommerce.com" style="color: #667eea; text-decoration: none;">support@ecommerce.com</a>
+                                    </p>
+                                    <p style="margin: 0; font-size: 11px; color: #adb5bd;">
+                                        &copy; ${new Date().getFullYear()} E-Commerce App. All rights reserved.
+                                    </p>
+                                </div>
+                            </td>
+                        </tr>
+                        
+                    </table>
+                </td>
+            </tr>
+        </table>
+    </body>
+    </html>
+    `;
+}
+
+export default EmailChangedTemplate;
\ No newline at end of file
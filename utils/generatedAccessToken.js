@@ -1,13 +1,21 @@
 import jwt from 'jsonwebtoken';
+import { resolveRolePolicy } from '../helpers/role.helper.js';
 
-const generateAccessToken = (user) => {
+const generateAccessToken = async (user, sessionId = null, { twoFactorVerified = false } = {}) => {
     try {
+        const { permissions, requireTwoFactor } = await resolveRolePolicy(user.role);
+
         return jwt.sign(
             { 
                 id: user._id,
                 name: user.name,
                 email: user.email,
-                role: user.role
+                role: user.role,
+                permissions,
+                sid: sessionId,
+                tv: user.token_version || 0,
+                mfa: twoFactorVerified,
+                mfaRequired: requireTwoFactor
             },
             process.env.SECRET_KEY_ACCESS_TOKEN,
             { expiresIn: '1h' }
@@ -17,4 +25,4 @@ const generateAccessToken = (user) => {
     }
 };
 
-export default generateAccessToken;
\ No newline at end of file
+export default generateAccessToken;
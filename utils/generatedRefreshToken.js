@@ -1,27 +1,24 @@
 import jwt from 'jsonwebtoken';
-import UserModel from '../models/user.model.js';
+import crypto from 'crypto';
 
-const generateRefreshToken = async (user) => {
+export const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const generateRefreshToken = (user, sessionId) => {
     try {
-        const token = jwt.sign(
+        return jwt.sign(
             { 
                 email: user.email, 
                 id: user._id, 
-                role: user.role 
+                role: user.role,
+                sid: sessionId,
+                jti: crypto.randomUUID()
             },
             process.env.SECRET_KEY_REFRESH_TOKEN,
             { expiresIn: '7d' }
         );
-
-        await UserModel.findByIdAndUpdate(
-            user._id,
-            { refresh_token: token },
-        );
-
-        return token;
     } catch (error) {
         throw new Error(`Failed to generate refresh token: ${error.message}`);
     }
 }
 
-export default generateRefreshToken;
\ No newline at end of file
+export default generateRefreshToken;